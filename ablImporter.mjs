@@ -0,0 +1,362 @@
+import { DOMParser } from "common-xml-features";
+
+import { Coordinate } from "./coordinate.mjs";
+import { Diagnostics } from "./diagnostics.mjs";
+import { Importer } from "./importer.mjs";
+import { Pin } from "./pin.mjs";
+import { ADS_COMPONENTS_MAP, ADS_PORT_CELLS } from "./components.mjs";
+
+/**
+ * @class Importer for XML files exported by Keysight ADS using Advanced Board Link (ABL). It is also used for every
+ * other XML file following the ABL structure `library > cells > cell > views > schematicview`.
+ *
+ * The schematic views are parsed on first access, so that only the converted schematics need to be valid.
+ *
+ * @extends Importer
+ * @hideconstructor
+ */
+class AblImporter extends Importer {
+	static FORMAT = "abl";
+	static DESCRIPTION = "Keysight ADS Advanced Board Link (XML)";
+
+	/**
+	 * Checks if the content of a file can be parsed by this importer, i.e. if it is a XML file.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {boolean} true if the file is a XML file
+	 */
+	static canParse(text) {
+		return /^\uFEFF?\s*</.test(text) && this.getRootName(text) !== null;
+	}
+
+	/**
+	 * Parses the content of a file. The file must contain the tags `library > cells > cell`.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {importedCell[]} the cells found in the file
+	 * @throws {Error} if the file is no valid XML file or an expected xml-tag does not exist
+	 */
+	static parse(text) {
+		/** @type {DOMParser} */
+		const parser = new DOMParser();
+		/** @type {XMLDocument} */
+		let parsed;
+		try {
+			parsed = parser.parseFromString(text, "text/xml");
+		} catch (_error) {
+			throw new Error("Syntax error in XML file.");
+		}
+		/** @type {Element} */
+		const ABLRoot = parsed.documentElement;
+		this.assertTagFound(ABLRoot, "The XML root tag");
+		const Library = this.getNamedTag(ABLRoot, "library");
+		this.assertTagFound(Library, "library");
+		const Cells = this.getNamedTag(Library, "cells");
+		this.assertTagFound(Cells, "cells");
+		const libraryName = Library.getAttribute("name") || "";
+
+		const isSchematicView = (tagName, type) => tagName == "schematicview" && type == "schematic";
+		const isSymbolView = (tagName, type) => tagName == "symbolview" || type == "symbol";
+		return this.getNamedTags(Cells, "cell").map((cell) => {
+			const cellName = cell.getAttribute("name") || "";
+			return {
+				name: cellName,
+				libraryName: libraryName,
+				schematicViews: this.#getViews(cell, isSchematicView).map((view) =>
+					this.readSchematicView(view, 'cell "' + cellName + '"')
+				),
+				symbolPins: this.#readSymbolPins(this.#getViews(cell, isSymbolView)[0]),
+			};
+		});
+	}
+
+	/**
+	 * Finds the views of a cell.
+	 *
+	 * @param {Element} cell - the cell node to find the views in
+	 * @param {function(string, string|null): boolean} filter - filter function getting the lowercase tag name and the
+	 * type attribute of a view
+	 * @returns {Element[]} an array of views; may be empty
+	 */
+	static #getViews(cell, filter) {
+		const views = this.getNamedTag(cell, "views");
+		if (!views) return [];
+		return Array.prototype.filter.call(
+			views.childNodes,
+			(node) =>
+				node.nodeType === 1 && // node instanceof Element
+				node.localName &&
+				filter(node.localName.toLowerCase(), node.getAttribute("type"))
+		);
+	}
+
+	/**
+	 * Creates the description of a schematic view. Wires and instances are parsed on first access.
+	 *
+	 * @param {Element} schematicView - the schematic view node
+	 * @param {string} [cellContext=""] - the location of the cell for diagnostics, e.g. 'cell "amp"'
+	 * @returns {importedSchematicView} the schematic
+	 */
+	static readSchematicView(schematicView, cellContext = "") {
+		const name = schematicView.getAttribute("name") || "";
+		const context = (cellContext ? cellContext + " > " : "") + 'schematicView "' + name + '"';
+		/** @type {{wires: importedWire[], instances: importedInstance[], diagnostics: diagnostic[]}|null} */
+		let content = null;
+		const getContent = () => content || (content = this.#parseSchematicContent(schematicView, context));
+		return {
+			name: name,
+			get wires() {
+				return getContent().wires;
+			},
+			get instances() {
+				return getContent().instances;
+			},
+			get diagnostics() {
+				return getContent().diagnostics;
+			},
+			componentMap: ADS_COMPONENTS_MAP,
+			portCells: ADS_PORT_CELLS,
+		};
+	}
+
+	/**
+	 * Parses the wires and instances of a schematic view.
+	 *
+	 * @param {Element} schematicView - the schematic view node
+	 * @param {string} context - the location of the schematic view for diagnostics
+	 * @returns {{wires: importedWire[], instances: importedInstance[], diagnostics: diagnostic[]}} the content
+	 * @throws {Error} if an expected xml-tag does not exist
+	 */
+	static #parseSchematicContent(schematicView, context) {
+		/** @type {Element} */
+		const shapes = this.getNamedTag(schematicView, "shapes");
+		this.assertTagFound(shapes, "shapes");
+		/** @type {Element} */
+		const instances = this.getNamedTag(schematicView, "instances");
+		this.assertTagFound(instances, "instances");
+
+		const diagnostics = new Diagnostics();
+		return {
+			wires: this.getNamedTags(shapes, "wire").map((wireXml, i) =>
+				this.#parseWire(wireXml, context + " > wire " + (i + 1), diagnostics)
+			),
+			instances: this.getNamedTags(instances, "instance").map((instanceXml) =>
+				this.#parseInstance(instanceXml, context)
+			),
+			diagnostics: diagnostics.entries,
+		};
+	}
+
+	/**
+	 * Parses a wire node.
+	 *
+	 * @param {Element} wireXml - the wire node
+	 * @param {string} context - the location of the wire for diagnostics, e.g. '... > wire 3'
+	 * @param {Diagnostics} diagnostics - collector for coordinates, which can't be parsed
+	 * @returns {importedWire} the wire
+	 * @throws {Error} if the points of the wire are missing
+	 */
+	static #parseWire(wireXml, context, diagnostics) {
+		const nameNode = this.getNamedTag(wireXml, "net");
+		const netName = (nameNode ? nameNode.getAttribute("name") : "") || ""; // jsdoc doesn't like "?."
+
+		/** @type {Element} */ // node containing coordinates as a string
+		const points = ["genpolyline", "centerline", "points"].reduce((node, tagname) => {
+			node = this.getNamedTag(node, tagname);
+			this.assertTagFound(node, tagname);
+			return node;
+		}, wireXml);
+
+		return {
+			netName: netName,
+			points: points.textContent.split(" ").reduce((wirePoints, coordString) => {
+				let [x, y] = coordString.split(",", 2);
+				x = parseFloat(x);
+				y = parseFloat(y);
+				if (isFinite(x) && isFinite(y)) wirePoints.push({ x: x, y: y });
+				else
+					diagnostics.warning("invalid-coordinate", 'Couldn\'t parse wire coordinate "' + coordString + '"', {
+						context: context,
+					});
+				return wirePoints;
+			}, []),
+		};
+	}
+
+	/**
+	 * Parses an instance node.
+	 *
+	 * @param {Element} instanceXml - the instance node
+	 * @param {string} viewContext - the location of the schematic view for diagnostics
+	 * @returns {importedInstance} the instance
+	 */
+	static #parseInstance(instanceXml, viewContext) {
+		const parametersNode = this.getNamedTag(instanceXml, "parameters");
+		const parameters = parametersNode
+			? this.getNamedTags(parametersNode, "parameter").map((param) => ({
+					name: param.getAttribute("name") || "",
+					value: param.getAttribute("value") || "",
+					visible: param.getAttribute("visible") == "true",
+			  }))
+			: [];
+
+		// <abl:PlacementTransform x="1.50000" y="-0.12500" angle="0.00000" xScale="1.00000" yScale="1.00000" mirrorX="false" mirrorY="false"/>
+		const placementXml = this.getNamedTag(instanceXml, "placementtransform");
+		const placement = {
+			x: placementXml ? parseFloat(placementXml.getAttribute("x")) || 0 : 0,
+			y: placementXml ? parseFloat(placementXml.getAttribute("y")) || 0 : 0,
+			angle: placementXml ? parseFloat(placementXml.getAttribute("angle")) || 0 : 0,
+			xScale: placementXml ? parseFloat(placementXml.getAttribute("xScale")) || 1 : 1,
+			yScale: placementXml ? parseFloat(placementXml.getAttribute("yScale")) || 1 : 1,
+			mirrorX: placementXml ? placementXml.getAttribute("mirrorX") == "true" : false,
+			mirrorY: placementXml ? placementXml.getAttribute("mirrorY") == "true" : false,
+		};
+
+		const instPinsXml = this.getNamedTag(instanceXml, "instpins");
+		const pins = (instPinsXml ? this.getNamedTags(instPinsXml, "instpin") : []).map((pinXml) => {
+			const netNameNode = this.getNamedTag(pinXml, "net");
+			return {
+				instTermNumber: Number.parseInt(pinXml.getAttribute("instTermNumber")) || 0,
+				pinName: pinXml.getAttribute("pinName") || "",
+				netName: netNameNode ? netNameNode.getAttribute("name") || "" : "",
+			};
+		});
+
+		const instanceName = instanceXml.getAttribute("instanceName") || "";
+		return {
+			libraryName: instanceXml.getAttribute("libraryName") || "",
+			cellName: instanceXml.getAttribute("cellName") || "",
+			instanceName: instanceName,
+			attributes: new Map(
+				Array.prototype.map.call(instanceXml.attributes, (attribute) => [
+					attribute.name,
+					attribute.value || null,
+				])
+			),
+			parameters: parameters,
+			placement: placement,
+			pins: pins,
+			context: viewContext + ' > instance "' + instanceName + '"',
+		};
+	}
+
+	/**
+	 * Reads the pin positions of a symbol view. The pin coordinates are relative to the symbol origin and in ADS units
+	 * (inch), just like the built-in stencil pins in `components.mjs`.
+	 *
+	 * The pins are read from the `pins` tag of the symbol view or of its `shapes` tag:
+	 * ```xml
+	 * <abl:symbolView name="symbol" type="symbol">
+	 * 	<abl:pins>
+	 * 		<abl:pin pinName="P1" termNumber="1" x="0" y="0"/>
+	 * 		<abl:pin pinName="P2" termNumber="2"><abl:placementTransform x="1.0" y="0"/></abl:pin>
+	 * 	</abl:pins>
+	 * </abl:symbolView>
+	 * ```
+	 * The number is taken from `termNumber`, `instTermNumber` or `number`; the name from `pinName` or `name`. The
+	 * position is taken from the `x` and `y` attributes of the pin, of a `placementtransform` child or from the first
+	 * point of a `points` text (as used by wires).
+	 *
+	 * @param {Element|undefined} symbolView - the symbol view node
+	 * @returns {Pin[]|null} the pins or null if there is no symbol view or it has no (usable) pins
+	 */
+	static #readSymbolPins(symbolView) {
+		if (!symbolView) return null;
+		const shapes = this.getNamedTag(symbolView, "shapes");
+		const pinsNode = this.getNamedTag(symbolView, "pins") || (shapes && this.getNamedTag(shapes, "pins"));
+		const pins = pinsNode
+			? this.getNamedTags(pinsNode, "pin")
+					.map((pinXml) => this.#parseSymbolPin(pinXml))
+					.filter((pin) => pin)
+			: [];
+		return pins.length > 0 ? pins : null;
+	}
+
+	/**
+	 * Parses a single pin of a symbol view.
+	 *
+	 * @param {Element} pinXml - the pin node
+	 * @returns {Pin|null} the pin (relative position, no net) or null if the number or the position is missing
+	 */
+	static #parseSymbolPin(pinXml) {
+		const instTermNumber = Number.parseInt(
+			pinXml.getAttribute("termNumber") || pinXml.getAttribute("instTermNumber") || pinXml.getAttribute("number")
+		);
+		if (!Number.isInteger(instTermNumber)) return null;
+		const pinName = pinXml.getAttribute("pinName") || pinXml.getAttribute("name") || null;
+
+		let x = parseFloat(pinXml.getAttribute("x"));
+		let y = parseFloat(pinXml.getAttribute("y"));
+		if (!Number.isFinite(x) || !Number.isFinite(y)) {
+			const placementXml = this.getNamedTag(pinXml, "placementtransform");
+			const pointsXml = this.getNamedTag(pinXml, "points");
+			if (placementXml) {
+				x = parseFloat(placementXml.getAttribute("x"));
+				y = parseFloat(placementXml.getAttribute("y"));
+			} else if (pointsXml) {
+				[x, y] = pointsXml.textContent.trim().split(/\s+/)[0].split(",", 2).map(parseFloat);
+			}
+		}
+		if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+		return new Pin(new Coordinate(x, y), pinName, instTermNumber, null);
+	}
+
+	//-- Helper functions
+	/**
+	 * Searches a child node by name and by an additional filter if present.
+	 *
+	 * @param {Element} root - the root node to find the child
+	 * @param {string} tagName  the name of the xml tag to find
+	 * @param {function(Element): boolean} [additionalFilter] - filter function returning true if node matches the criteria
+	 * @returns {Element|null} the found node or null if not found
+	 */
+	static getNamedTag(root, tagName, additionalFilter) {
+		return Array.prototype.find.call(
+			/** @type {NodeList} */ root.childNodes,
+			(node) =>
+				node.nodeType === 1 && // node instanceof Element
+				node.localName &&
+				node.localName.toLowerCase() == tagName &&
+				(!additionalFilter || additionalFilter(node))
+		);
+	}
+
+	/**
+	 * Filters child nodes by name and by an additional filter if present.
+	 *
+	 * @param {Element} root - the root node to find the children
+	 * @param {string} tagName - the name of the xml tag to filter
+	 * @param {function(Element): boolean} [additionalFilter] - filter function returning true if node matches the criteria
+	 * @returns {Element[]} the filtered nodes (may be empty)
+	 */
+	static getNamedTags(root, tagName, additionalFilter) {
+		return Array.prototype.filter.call(
+			/** @type {NodeList} */ root.childNodes,
+			(node) =>
+				node.nodeType === 1 && // node instanceof Element
+				node.localName &&
+				node.localName.toLowerCase() == tagName &&
+				(!additionalFilter || additionalFilter(node))
+		);
+	}
+
+	/**
+	 * Internal helper function for checking if a variable is correctly set.
+	 *
+	 * The message of the thrown error depends on the data type.
+	 * If an variable is falsy (`null`, `undefined`, etc.) a error with the message "XML-Tag not found: \<tagname\>" is
+	 * thrown. If the variable is an empty array, the message is instead "Filtered list of tags is empty: \<tagname\>".
+	 *
+	 * @param {*} variable - the variable to check
+	 * @param {string} tagname - the name of the variable for the error message
+	 * @throws {Error} the Error if `variable` is falsy or an empty array
+	 */
+	static assertTagFound(variable, tagname) {
+		if (!variable) throw new Error("XML-Tag not found: " + tagname);
+		else if (Array.isArray(variable) && variable.length === 0)
+			throw new Error("Filtered list of tags is empty: " + tagname);
+	}
+}
+
+export { AblImporter };
@@ -113,10 +113,22 @@ class ABLTransistorMapper {
 	 * @param {Wire[]} wires - list of all wires
 	 * @param {Map<string,Net>} nets - list of all nets
 	 * @param {Coordinate[]} coords - list of all coordinates
+	 * @param {Pin[]|null} [symbolPins=null] - pin positions of the ABL symbol view; overwrite the stencil pins
 	 *
 	 * @returns {Transistor} the new Transistor
 	 */
-	useAsStencil(libraryName, cellName, instanceName, attributes, pins, placement, wires, nets, coords) {
+	useAsStencil(
+		libraryName,
+		cellName,
+		instanceName,
+		attributes,
+		pins,
+		placement,
+		wires,
+		nets,
+		coords,
+		symbolPins = null
+	) {
 		// normalize angle --> -180 < angle <= 180
 		while (placement.angle <= -180) placement.angle += 360;
 		while (placement.angle > 180) placement.angle -= 360;
@@ -129,6 +141,11 @@ class ABLTransistorMapper {
 			y: placement.yScale * placement.scaling,
 		};
 		const ablTransistorClone = this.clone();
+		if (symbolPins)
+			ablTransistorClone.pins.forEach((ablPin) => {
+				const symbolPin = symbolPins.find((pin) => pin.instTermNumber === ablPin.instTermNumber);
+				if (symbolPin) ablPin.coord = symbolPin.coord.clone();
+			});
 		ablTransistorClone.pins.forEach((pin) => pin.coord.scale(scaling.x, scaling.y));
 		ablTransistorClone.rotate(placement.angle);
 		ablTransistorClone.mirror(placement.mirrorX, placement.mirrorY);
@@ -140,15 +157,20 @@ class ABLTransistorMapper {
 		transistor.mirror(placement.mirrorX, placement.mirrorY);
 		transistor.translate(ablTransistorClone.lineCrossingCoord.clone().subtract(transistor.lineCrossingCoord));
 
-		if (global.DEBUG) {
-			// "Midpoint"
-			console.error("\\draw[Gold3] " + transistor.lineCrossingCoord.serializeName() + " circle [radius=1.2pt];");
-
-			// Initial pins of TikZ transistor (SearchHints)
-			transistor.pins.forEach((pin) =>
-				console.error("\\draw[Cornsilk4] " + pin.coord.serializeName() + " circle [radius=1.2pt];")
-			);
-		}
+		/** @type {debugMarker[]} */
+		const debugMarkers = [];
+		/**
+		 * @param {Coordinate} coord - the position to mark; copied
+		 * @param {string} color - the x11 color name
+		 * @param {"circle"|"star"} [shape="circle"] - the shape of the marker
+		 */
+		const mark = (coord, color, shape = "circle") =>
+			debugMarkers.push({ coord: coord.clone(), color: color, mark: shape });
+
+		// "Midpoint"
+		mark(transistor.lineCrossingCoord, "Gold3");
+		// Initial pins of TikZ transistor (SearchHints)
+		transistor.pins.forEach((pin) => mark(pin.coord, "Cornsilk4"));
 
 		if (transistor.anchorNr != null && transistor.anchorCoord) {
 			const oldCoord = coords.find((existingCoord) => transistor.anchorCoord.equals(existingCoord));
@@ -160,33 +182,25 @@ class ABLTransistorMapper {
 		pins.forEach((pin) => pin.findPosition(ablTransistorClone.pins, null, null, wires, nets, coords, false));
 
 		// reorder
-		pins = ablTransistorClone.pins.map((ablPin) =>
-			pins.find((pin) =>
-				pin.name && ablPin.name ? pin.name == ablPin.name : pin.instTermNumber === ablPin.instTermNumber
-			)
-		);
+		pins = ablTransistorClone.pins.map((ablPin) => pins.find((pin) => Pin.matches(ablPin, pin)));
 
 		// Pins of ADS transistor
-		if (global.DEBUG)
-			pins.forEach((pin) =>
-				console.error("\\draw[SpringGreen4] " + pin.coord.serializeName() + " circle [radius=1.2pt];")
-			);
+		pins.forEach((pin) => mark(pin.coord, "SpringGreen4"));
 
 		for (let i = 0; i < transistor.pins.length && i < pins.length; i++) {
+			const oldCoord = pins[i].coord.clone();
 			pins[i].coord.x = transistor.pins[i].coord.x;
 			pins[i].coord.y = transistor.pins[i].coord.y;
+			// the coordinate is shared with the wires --> remember the move for rerouting them
+			if (!oldCoord.equals(pins[i].coord)) transistor.movedPins.push({ pin: pins[i], from: oldCoord });
 		}
 
 		// Pins of final TikZ Transistor
-		if (global.DEBUG)
-			pins.forEach((pin) =>
-				console.error(
-					"\\node at " + pin.coord.serializeName() + " {\\color{Turquoise3}\\pgfuseplotmark{Mercedes star}};"
-				)
-			);
+		pins.forEach((pin) => mark(pin.coord, "Turquoise3", "star"));
 
 		transistor.pins = pins;
 		transistor.instanceName = instanceName;
+		transistor.debugMarkers = debugMarkers;
 
 		return transistor;
 	}
@@ -1,14 +1,21 @@
 #! /usr/bin/env node
 
 import * as fs from "node:fs";
+import * as path from "node:path";
 import { Writable as writeableStream } from "node:stream";
 import { promisify } from "node:util";
 
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 
+import { ConnectivityChecker } from "./connectivityChecker.mjs";
 import { Converter } from "./converter.mjs";
+import { Diagnostics } from "./diagnostics.mjs";
+import { MappingFile } from "./mappingFile.mjs";
 import { Schematic } from "./schematic.mjs";
+import { SpiceNetlist } from "./spiceNetlist.mjs";
+import { Subcircuit } from "./subcircuit.mjs";
+import { STYLE_PROFILES } from "./styles.mjs";
 
 /**
  * @file CLI for converting files from Keysight ADS to CircuiTikZ.
@@ -25,6 +32,31 @@ import { Schematic } from "./schematic.mjs";
 global.VERBOSE = false;
 global.DEBUG = false;
 
+/**
+ * File extensions used with `--all` for output formats other than CircuiTikZ code.
+ *
+ * @type {Object<string, string>}
+ */
+const OUTPUT_EXTENSIONS = { svg: ".svg", designer: ".json", json: ".json" };
+
+/**
+ * Time (ms) to wait after the last change of the source file before converting it with `--watch`. Exporters write
+ * files in several chunks; converting after every chunk would fail or write intermediate results.
+ *
+ * @type {number}
+ */
+const WATCH_DEBOUNCE_MS = 300;
+
+/**
+ * Gets the directory of the source file, e.g. to search the default mapping file there.
+ *
+ * @param {string} filename - the path to the source file; "-" for stdin
+ * @returns {string|null} the directory; null for stdin
+ */
+function getSourceDirectory(filename) {
+	return filename && typeof filename === "string" && filename !== "-" ? path.dirname(filename) : null;
+}
+
 /**
  * Opens a file for reading.
  *
@@ -132,10 +164,11 @@ function closeFD(fd) {
  * Parses the opens file descriptor, closes the file and returns the array of cells.
  *
  * @param {number} fd - the input file descriptor
- * @returns {Promise<Element[]>} the array of cells
+ * @param {string} [format="auto"] - the format of the file (see `Converter.FORMATS`) or "auto" to detect it
+ * @returns {Promise<importedCell[]>} the array of cells
  */
-function getCellArrayForInputFD(fd) {
-	return Converter.parseFile(fd).then(
+function getCellArrayForInputFD(fd, format = "auto") {
+	return Converter.parseFile(fd, format).then(
 		// close FD on success & on fail
 		(val) => {
 			closeFD(fd);
@@ -148,6 +181,460 @@ function getCellArrayForInputFD(fd) {
 	);
 }
 
+/**
+ * Reads the content of an open file descriptor and closes the file.
+ *
+ * @param {number} fd - the input file descriptor
+ * @returns {Promise<string>} the content of the file
+ */
+function readInputFD(fd) {
+	return promisify(fs.readFile)(fd, "utf-8").then(
+		(text) => {
+			closeFD(fd);
+			return text;
+		},
+		(err) => {
+			closeFD(fd);
+			return Promise.reject(err);
+		}
+	);
+}
+
+/**
+ * Creates a writeable stream for an open file descriptor. The stdout and stderr file descriptors are mapped to their
+ * existing streams.
+ *
+ * @param {number} fd - the output file descriptor
+ * @returns {writeableStream} the stream
+ */
+function fdToWriteStream(fd) {
+	switch (fd) {
+		case process.stdout.fd:
+			return process.stdout;
+		case process.stderr.fd:
+			return process.stderr;
+		default:
+			return fs.createWriteStream(null, {
+				encoding: "utf-8",
+				autoClose: true,
+				emitClose: true,
+				fd: fd,
+			});
+	}
+}
+
+/**
+ * Loads the user supplied component mapping. If no file is given, the default mapping file in the directory of the
+ * source file or in the working directory is used if it exists (see `MappingFile.findDefault`).
+ *
+ * @param {string} [filename] - the path to the mapping file; empty to search the default file
+ * @param {string|null} [sourceDirectory=null] - the directory of the source file; null if read from stdin
+ * @returns {Promise<Map<string, Component>>} the component map; empty if there is no mapping file
+ */
+function loadComponentMap(filename, sourceDirectory = null) {
+	const mappingFile = filename || MappingFile.findDefault(sourceDirectory);
+	if (!mappingFile) return Promise.resolve(new Map());
+	if (global.VERBOSE) console.error("Using mapping file: " + mappingFile);
+	return MappingFile.load(mappingFile);
+}
+
+/**
+ * Extracts the settings for parsing from the parsed CLI arguments.
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @returns {parseOptions} the options for `Schematic.fromView`
+ */
+function getParseOptions(args) {
+	return {
+		optimizeWires: args.optimize,
+		scale: args.scale,
+		normalizeOrigin: args.normalize,
+		grid: args.grid,
+		componentMap: args.componentMap,
+		fallback: args.fallback,
+		strict: args.strict,
+		pinGeometries: args.pinGeometries,
+		subcircuits: args.subcircuits,
+		hierarchy: args.hierarchy,
+	};
+}
+
+/**
+ * Extracts the settings for the serialization from the parsed CLI arguments.
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @returns {serializeOptions} the options for `Schematic.printToStream`
+ */
+function getSerializeOptions(args) {
+	return {
+		nameLabel: args.namelabel,
+		valueLabel: args.valuelabel,
+		valueParameters: args.parameters
+			? args.parameters
+					.split(",")
+					.map((name) => name.trim())
+					.filter((name) => name)
+			: null,
+		junctions: args.crossings !== "none",
+		hops: args.crossings === "hop",
+		poles: args.poles,
+		netLabels: args.netlabels,
+		namedCoordinates: args.namedcoordinates,
+		precision: args.precision >= 0 ? Math.round(args.precision) : null,
+		standalone: args.standalone,
+		style: args.style,
+		voltageDirection: args.voltagedir,
+		componentScale: args.componentscale,
+		outputFormat: args.outputformat,
+		debugOverlay: args.debug,
+		debug: args.debug,
+	};
+}
+
+/**
+ * Serializes a schematic to an open file descriptor and ends the stream afterwards.
+ *
+ * @param {Schematic} schematic - the schematic to serialize
+ * @param {number} fd - the output file descriptor
+ * @param {serializeOptions} [options={}] - settings for the serialization
+ * @returns {Promise<void>}
+ */
+function printSchematicToFD(schematic, fd, options = {}) {
+	const writeStream = fdToWriteStream(fd);
+	return schematic.printToStream(writeStream, options).then(() => promisify(writeStream.end).call(writeStream));
+}
+
+/**
+ * Writes lines to an open file descriptor and ends the stream afterwards.
+ *
+ * @param {string[]} lines - the lines to write (without line breaks)
+ * @param {number} fd - the output file descriptor
+ * @returns {Promise<void>}
+ */
+function printLinesToFD(lines, fd) {
+	const writeStream = fdToWriteStream(fd);
+	return promisify(writeStream.write)
+		.call(writeStream, lines.join("\n") + "\n")
+		.then(() => promisify(writeStream.end).call(writeStream));
+}
+
+/**
+ * Prints an error, which stopped a command, and sets the exit code to 1.
+ *
+ * @param {Error|string} [error] - the error
+ */
+function printError(error) {
+	console.error("Error: " + (error ? error.message || error : "unknown error"));
+	process.exitCode = 1;
+}
+
+/**
+ * Prints diagnostics to stderr. Errors and warnings are always printed, infos with `--verbose` and debug messages with
+ * `--debug`. If there is an error, the exit code is set to 1.
+ *
+ * @param {diagnostic[]} entries - the diagnostics
+ * @param {string} [label=""] - prefix of the messages, e.g. "cell/schematic"
+ */
+function printDiagnostics(entries, label = "") {
+	const minSeverity = global.DEBUG ? "debug" : global.VERBOSE ? "info" : "warning";
+	for (const entry of entries)
+		if (Diagnostics.isAtLeast(entry, minSeverity)) console.error(Diagnostics.format(entry, label));
+	if (entries.some((entry) => entry.severity === "error")) process.exitCode = 1;
+}
+
+/**
+ * Parses a schematic view and prints the diagnostics of the importer and the parser.
+ *
+ * @param {importedSchematicView} schematicView - the schematic view to parse
+ * @param {object} args - the parsed CLI arguments
+ * @param {string} [label=""] - prefix of the messages, e.g. "cell/schematic"
+ * @returns {Schematic} the parsed schematic
+ * @throws {Error} if the schematic can not be parsed
+ */
+function parseSchematicView(schematicView, args, label = "") {
+	const schematic = Schematic.fromView(schematicView, getParseOptions(args));
+	printDiagnostics(schematic.diagnostics, label);
+	return schematic;
+}
+
+/**
+ * Runs the connectivity check of a schematic and prints every problem as warning.
+ *
+ * @param {Schematic} schematic - the parsed schematic
+ * @param {string} [label=""] - prefix of the warnings, e.g. "cell/schematic"
+ * @returns {connectivityProblem[]} the found problems
+ */
+function verifySchematic(schematic, label = "") {
+	const problems = schematic.verifyConnectivity();
+	printDiagnostics(problems.map((problem) => ConnectivityChecker.toDiagnostic(problem)), label);
+	return problems;
+}
+
+/**
+ * Writes the results of the connectivity checks as JSON report. An existing file is overwritten.
+ *
+ * @param {{cellName: string, schematicName: string, problems: connectivityProblem[]}[]} results - the results per
+ * schematic
+ * @param {string} filename - the path of the report file
+ * @returns {Promise<void>}
+ */
+function writeConnectivityReport(results, filename) {
+	const report = {
+		problemCount: results.reduce((count, result) => count + result.problems.length, 0),
+		schematics: results,
+	};
+	if (global.VERBOSE) console.error("Writing connectivity report: " + filename);
+	return promisify(fs.writeFile)(filename, JSON.stringify(report, null, "\t") + "\n", "utf-8");
+}
+
+/**
+ * Parses the source file and the schematic selected by the CLI arguments. A schematic in JSON representation (see
+ * `Schematic.toJSON`) is read as it is, if `--format` is "json" or "auto".
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @param {{cellName: string, schematicName: string}} result - receives the names of the selected cell and schematic;
+ * unchanged for a schematic in JSON representation
+ * @returns {Promise<Schematic>} the parsed schematic
+ */
+async function parseSchematic(args, result) {
+	const text = await readInputFD(args.sourcefile);
+	if (args.format === "json" || (args.format === "auto" && Schematic.isJSON(text))) return Schematic.fromJSON(text);
+
+	args.componentMap = await loadComponentMap(args.mapping, args.sourcedirectory);
+	const cellArray = await Converter.getImporter(text, args.format).parse(text);
+	args.pinGeometries = args.symbols ? Converter.getPinGeometries(cellArray) : new Map();
+	args.subcircuits = Converter.getSubcircuitViews(cellArray);
+	const cell = Converter.findCell(cellArray, args.cellname);
+	result.cellName = cell.name;
+	const schematicView = Converter.findSchematicView(Converter.getSchematicViews(cell), args.schematicname);
+	result.schematicName = schematicView.name;
+	return parseSchematicView(schematicView, args);
+}
+
+/**
+ * Converts a cell or schematic name to a string usable as (part of) a file name. Every character except for letters,
+ * digits, "-" and "." is replaced by an underscore.
+ *
+ * @example sanitizeFileName("my schematic/v2"); // returns "my_schematic_v2"
+ *
+ * @param {string} name - the name to convert
+ * @returns {string} the sanitized name; "unnamed" if nothing is left
+ */
+function sanitizeFileName(name) {
+	const sanitized = (name || "")
+		.replace(/[^a-zA-Z0-9.-]+/g, "_")
+		.replace(/^[_.]+|_+$/g, "");
+	return sanitized || "unnamed";
+}
+
+/**
+ * Converts every schematic of every cell matching the filters. Each schematic is written to its own file named
+ * `<cellname>_<schematicname>.pgf` (`.tex` for standalone documents, `.svg` for SVG previews, `.json` for the
+ * designer) in the target directory. A summary is printed afterwards.
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @param {number} args.sourcefile - the input file descriptor
+ * @param {string} args.targetfile - the target directory; "-" for the working directory
+ * @param {string} args.cellfilter - glob pattern for cell names
+ * @param {string} args.schematicfilter - glob pattern for schematic names
+ * @param {boolean} args.force - true to overwrite existing files
+ * @returns {Promise<void>}
+ */
+async function convertAll(args) {
+	const targetDir = !args.targetfile || args.targetfile === "-" ? "." : String(args.targetfile);
+	fs.mkdirSync(targetDir, { recursive: true });
+
+	args.componentMap = await loadComponentMap(args.mapping, args.sourcedirectory);
+	const cellArray = await getCellArrayForInputFD(args.sourcefile, args.format);
+	args.pinGeometries = args.symbols ? Converter.getPinGeometries(cellArray) : new Map();
+	args.subcircuits = Converter.getSubcircuitViews(cellArray);
+	/** @type {{cellName: string, schematicName: string, fileName: string}[]} */
+	const succeeded = [];
+	/** @type {{cellName: string, schematicName: string, message: string}[]} */
+	const failed = [];
+	/** @type {{cellName: string, schematicName: string, instanceName: string, libraryName: string, componentCellName: string, drawnAsBlock: boolean}[]} */
+	const skipped = [];
+	/** @type {{cellName: string, schematicName: string, problems: connectivityProblem[]}[]} */
+	const verified = [];
+	/** @type {Set<string>} */
+	const usedFileNames = new Set();
+
+	for (const cell of Converter.filterByName(cellArray, args.cellfilter)) {
+		const cellName = cell.name;
+		const schematicViews = Converter.filterByName(Converter.getSchematicViews(cell), args.schematicfilter);
+		for (const schematicView of schematicViews) {
+			const schematicName = schematicView.name;
+
+			// predictable file name; append a counter on collisions
+			const baseName = sanitizeFileName(cellName) + "_" + sanitizeFileName(schematicName);
+			const extension = OUTPUT_EXTENSIONS[args.outputformat] || (args.standalone ? ".tex" : ".pgf");
+			let fileName = baseName + extension;
+			for (let i = 2; usedFileNames.has(fileName); i++) fileName = baseName + "-" + i + extension;
+			usedFileNames.add(fileName);
+			const filePath = path.join(targetDir, fileName);
+
+			try {
+				const schematic = parseSchematicView(schematicView, args, cellName + "/" + schematicName);
+				const fd = strToOutFile(filePath, args.force);
+				await printSchematicToFD(schematic, fd, getSerializeOptions(args));
+				succeeded.push({ cellName: cellName, schematicName: schematicName, fileName: filePath });
+				// only written schematics are listed with their unidentified components
+				schematic.skippedComponents.forEach((component) =>
+					skipped.push({
+						cellName: cellName,
+						schematicName: schematicName,
+						instanceName: component.instanceName,
+						libraryName: component.libraryName,
+						componentCellName: component.cellName,
+						drawnAsBlock: component.drawnAsBlock,
+					})
+				);
+				if (args.verify)
+					verified.push({
+						cellName: cellName,
+						schematicName: schematicName,
+						problems: verifySchematic(schematic, cellName + "/" + schematicName),
+					});
+			} catch (error) {
+				failed.push({
+					cellName: cellName,
+					schematicName: schematicName,
+					message: error ? error.message || error : "unknown error",
+				});
+			}
+		}
+	}
+
+	// summary
+	console.log("Converted " + succeeded.length + " of " + (succeeded.length + failed.length) + " schematics:");
+	succeeded.forEach((item) => console.log(" + " + item.cellName + "/" + item.schematicName + " -> " + item.fileName));
+	if (failed.length > 0) {
+		console.log("Failed:");
+		failed.forEach((item) => console.log(" - " + item.cellName + "/" + item.schematicName + ": " + item.message));
+	}
+	if (skipped.length > 0) {
+		console.log("Unidentified components:");
+		skipped.forEach((item) =>
+			console.log(
+				" - " +
+					item.cellName +
+					"/" +
+					item.schematicName +
+					": " +
+					item.instanceName +
+					" (" +
+					item.libraryName +
+					":" +
+					item.componentCellName +
+					")" +
+					(item.drawnAsBlock ? " --> generic block" : " --> skipped")
+			)
+		);
+	}
+	const unverified = verified.filter((item) => item.problems.length > 0);
+	if (unverified.length > 0) {
+		console.log("Connectivity problems:");
+		unverified.forEach((item) =>
+			console.log(" - " + item.cellName + "/" + item.schematicName + ": " + item.problems.length + " problem(s)")
+		);
+	}
+	if (args.verify && args.report) await writeConnectivityReport(verified, args.report);
+	if (failed.length > 0 || (args.strict && unverified.length > 0)) process.exitCode = 1;
+}
+
+/**
+ * Converts the source file and writes the result to the target file, if the content of the target file differs. This
+ * is used by `--watch`; the files are opened on every call, as they may be replaced in between. The connectivity check
+ * runs on every call and its report (`--report`) is rewritten.
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @param {string} args.sourcefile - the path of the source file
+ * @param {string} args.targetfile - the path of the target file
+ * @param {boolean} [overwrite=false] - set to true to overwrite an existing target file, i.e. with `--force` or after
+ * the first write
+ * @returns {Promise<{written: boolean, problems: connectivityProblem[]}>} written is true if the target file was
+ * written and false if the output did not change; problems are the problems found by the connectivity check
+ * @throws {Error} if the source can't be converted or the target file exists and `overwrite` is false
+ */
+async function convertIfChanged(args, overwrite = false) {
+	const sourceFD = strToInFile(args.sourcefile);
+	/** @type {{cellName: string, schematicName: string, problems: connectivityProblem[]}} */
+	const result = { cellName: "", schematicName: "", problems: [] };
+	const schematic = await parseSchematic({ ...args, sourcefile: sourceFD }, result);
+	const output = schematic.serializeLines(getSerializeOptions(args)).join("\n") + "\n";
+
+	const previous = await promisify(fs.readFile)(args.targetfile, "utf-8").catch(() => null);
+	const written = output !== previous;
+	if (written) {
+		if (!overwrite && fs.existsSync(args.targetfile))
+			throw new Error('Target file "' + args.targetfile + '" already exists; use --force to overwrite it');
+		await promisify(fs.writeFile)(args.targetfile, output, "utf-8");
+	}
+
+	if (args.verify) {
+		result.problems = verifySchematic(schematic);
+		if (args.report) await writeConnectivityReport([result], args.report);
+	}
+	return { written: written, problems: result.problems };
+}
+
+/**
+ * Converts the source file once and again whenever it changes, until the process is stopped (e.g. using Ctrl+C).
+ * Changes are debounced by `WATCH_DEBOUNCE_MS`. The directory of the source file is watched instead of the file, as
+ * exporters often replace the file instead of changing it. Errors, including those of `--strict`, are printed, but do
+ * not stop watching.
+ *
+ * @param {object} args - the parsed CLI arguments
+ * @param {string} args.sourcefile - the path of the source file
+ * @param {string} args.targetfile - the path of the target file
+ * @returns {fs.FSWatcher} the watcher of the source directory
+ */
+function watchSourceFile(args) {
+	const sourceName = path.basename(args.sourcefile);
+	/** @type {NodeJS.Timeout|null} */
+	let timer = null;
+	let running = false;
+	let pending = false;
+	let overwrite = args.force; // the target file is ours after the first write
+
+	const run = () => {
+		timer = null;
+		if (running) {
+			pending = true; // the file changed while converting --> convert again afterwards
+			return;
+		}
+		running = true;
+		convertIfChanged(args, overwrite)
+			.then(({ written, problems }) => {
+				if (written) {
+					overwrite = true;
+					console.error("Converted " + args.sourcefile + " --> " + args.targetfile);
+				} else if (global.VERBOSE) console.error("Unchanged: " + args.targetfile);
+				if (args.strict && problems.length > 0)
+					throw new Error("Connectivity check found " + problems.length + " problem(s)");
+			})
+			.catch(printError)
+			.finally(() => {
+				running = false;
+				if (pending) {
+					pending = false;
+					run();
+				}
+			});
+	};
+
+	const watcher = fs.watch(path.dirname(args.sourcefile), (_eventType, fileName) => {
+		// the file name is not provided on every platform
+		if (fileName && fileName.toString() !== sourceName) return;
+		if (timer) clearTimeout(timer);
+		timer = setTimeout(run, WATCH_DEBOUNCE_MS);
+	});
+	watcher.on("error", printError);
+	console.error("Watching " + args.sourcefile + " (press Ctrl+C to stop)");
+	run();
+	return watcher;
+}
+
 yargs(hideBin(process.argv))
 	.detectLocale(false)
 	.usage("$0 <command> [args]")
@@ -161,9 +648,52 @@ yargs(hideBin(process.argv))
 	})
 	.command(
 		"convert <source file> [target file]",
-		"Converts a Keysight ADS schematic from the XML/ABL (Advanced Board Link) to an CircuiTikZ schematic (.pgf).",
+		"Converts a Keysight ADS schematic from the XML/ABL (Advanced Board Link) or a KiCad schematic to an CircuiTikZ " +
+			"schematic (.pgf).",
 		function convertArgumentBuilder(yargs) {
 			yargs
+				.option("all", {
+					alias: "a",
+					type: "boolean",
+					description:
+						"Convert every schematic of every cell; the target is a directory receiving one .pgf per schematic",
+					default: false,
+				})
+				.option("watch", {
+					alias: "w",
+					type: "boolean",
+					description:
+						"Keep running and convert the source file again whenever it changes; the target file is only " +
+						"rewritten if the output differs",
+					default: false,
+				})
+				.option("cellfilter", {
+					type: "string",
+					description: "Glob pattern (* and ?) for the cells to convert; only used with --all",
+					default: "*",
+				})
+				.option("schematicfilter", {
+					type: "string",
+					description: "Glob pattern (* and ?) for the schematics to convert; only used with --all",
+					default: "*",
+				})
+				.option("format", {
+					type: "string",
+					choices: ["auto", ...Converter.FORMATS, "json"],
+					description:
+						"Format of the source file; json reads a schematic written with --outputformat json (parse " +
+						"options like --scale are ignored)",
+					default: "auto",
+					defaultDescription: "auto: Detect by the root element or the JSON format",
+				})
+				.option("outputformat", {
+					type: "string",
+					choices: ["pgf", "svg", "designer", "json"],
+					description:
+						"Format of the target file: CircuiTikZ code, an SVG preview with simple symbols, but the " +
+						"same geometry, a JSON file for the Circuit2TikZ web designer or the parsed model as JSON",
+					default: "pgf",
+				})
 				.option("cellname", {
 					alias: "c",
 					type: "string",
@@ -184,9 +714,159 @@ yargs(hideBin(process.argv))
 					description: "Overwrite target file, if existing",
 					default: false,
 				})
+				.option("mapping", {
+					alias: "m",
+					type: "string",
+					description: "JSON file mapping further ADS cells to CircuiTikZ components",
+					default: "",
+					defaultDescription:
+						"(Empty): Use " +
+						MappingFile.DEFAULT_FILE_NAME +
+						" if found in the directory of the source file or the working directory",
+				})
+				.option("fallback", {
+					type: "boolean",
+					description:
+						"Draw components, which could not be identified, as generic labeled block; " +
+						"use --no-fallback to skip them",
+					default: true,
+				})
+				.option("strict", {
+					type: "boolean",
+					description:
+						"Fail if a component could not be identified; exit with an error code if the connectivity check " +
+						"finds problems",
+					default: false,
+				})
+				.option("verify", {
+					type: "boolean",
+					description:
+						"Check that every pin touches a wire or pin of its net and that no pin or wire touches another " +
+						"net; problems are printed as warnings. Use --no-verify to skip the check",
+					default: true,
+				})
+				.option("report", {
+					type: "string",
+					description: "Write the result of the connectivity check as JSON to this file",
+					default: "",
+					defaultDescription: "(Empty): Print warnings only",
+				})
+				.option("hierarchy", {
+					type: "string",
+					choices: Subcircuit.MODES,
+					description:
+						"Rendering of instances of other cells of the source file: " +
+						"box with port names (block), inlined schematic as scope (scope) or as pic (pic)",
+					default: "block",
+				})
+				.option("symbols", {
+					type: "boolean",
+					description:
+						"Use the pin positions of symbol views found in the source file; " +
+						"use --no-symbols to use the built-in pin positions only",
+					default: true,
+				})
+				.option("optimize", {
+					type: "boolean",
+					description:
+						"Merge wires of the same net and remove collinear edges, zero-length and duplicate segments; " +
+						"use --no-optimize to keep the wires as exported",
+					default: true,
+				})
+				.option("scale", {
+					type: "number",
+					description: "Factor for scaling the ADS coordinates; ADS uses inch, TikZ uses cm",
+					default: 2.54,
+				})
+				.option("normalize", {
+					type: "boolean",
+					description: "Move the drawing, so that its bounding box starts at the origin",
+					default: false,
+				})
+				.option("grid", {
+					type: "number",
+					description: "Snap all coordinates to a grid of this size (after scaling); 0 disables snapping",
+					default: 0,
+				})
+				.option("precision", {
+					type: "number",
+					description: "Number of decimal places of the coordinates; a negative value disables rounding",
+					default: 3,
+				})
+				.option("namelabel", {
+					type: "string",
+					choices: ["l", "a", "none"],
+					description: "Where to put the instance name: as label (l), as annotation (a) or not at all",
+					default: "l",
+				})
+				.option("valuelabel", {
+					type: "string",
+					choices: ["l", "a", "none"],
+					description:
+						"Where to put the parameter values: as label (l), as annotation (a) or not at all; " +
+						"uses the same side as the name, if equal to --namelabel",
+					default: "none",
+				})
+				.option("parameters", {
+					alias: "p",
+					type: "string",
+					description: "Comma separated list of the parameters to show with --valuelabel, e.g. R,C,L",
+					default: "",
+					defaultDescription: "(Empty): Show all visible parameters",
+				})
+				.option("crossings", {
+					type: "string",
+					choices: ["none", "dots", "hop"],
+					description:
+						"Marking of wires: none, dots at junctions of three or more wires/pins (dots) or " +
+						"additionally hops over crossing wires of different nets (hop)",
+					default: "dots",
+				})
+				.option("poles", {
+					type: "boolean",
+					description: "Mark dangling wire ends at ports with open poles",
+					default: false,
+				})
+				.option("netlabels", {
+					type: "string",
+					choices: ["none", "ends", "longest"],
+					description:
+						"Show the names of user named nets at their dangling wire ends (ends) or at their longest " +
+						"wire segment (longest)",
+					default: "none",
+				})
+				.option("namedcoordinates", {
+					type: "boolean",
+					description:
+						"Define named TikZ coordinates (e.g. n_VDD_1) first and reference them in wires and components",
+					default: false,
+				})
+				.option("style", {
+					type: "string",
+					choices: ["", ...Object.keys(STYLE_PROFILES)],
+					description: "CircuiTikZ style profile for the symbols",
+					default: "",
+					defaultDescription: "(Empty): Use the symbols as mapped",
+				})
+				.option("voltagedir", {
+					type: "string",
+					choices: ["old", "noold", "RP", "EF"],
+					description: "CircuiTikZ voltage direction convention",
+				})
+				.option("componentscale", {
+					type: "number",
+					description: "Scale of resistors, capacitors, inductors and diodes",
+				})
+				.option("standalone", {
+					type: "boolean",
+					description: "Wrap the picture in a compilable standalone LaTeX document",
+					default: false,
+				})
 				.option("debug", {
 					type: "boolean",
-					description: "Target file will contain debug symbols (circles around specific positions etc.)",
+					description:
+						"Draw debug markers (circles around specific positions etc.) on a separate layer of the " +
+						"picture and print debug messages",
 					default: false,
 					implies: "verbose",
 					coerce: (value) => {
@@ -196,75 +876,185 @@ yargs(hideBin(process.argv))
 					}
 				})
 				.positional("sourcefile", {
-					describe: "The ABL/XML source file; - for stdin",
-					coerce: strToInFile,
+					describe: "The source file (ABL/XML, KiCad schematic or JSON, see --format); - for stdin",
 				})
 				.positional("targetfile", {
-					describe: "The CircuiTikZ/PGF target file",
+					describe: "The CircuiTikZ/PGF target file; the target directory if --all is set",
 					default: "-",
-					defaultDescription: "Defaults to stdout",
+					defaultDescription: "Defaults to stdout (--all: working directory)",
 					demandOption: false,
 				})
 				.check((options) => {
 					// converting to file only here possible
 					// coerce:     can't access other flags like options.force
 					// middleware: can't throw error and show help
-					options.targetfile = strToOutFile(options.targetfile, options.force);
+					if (options.all && options.format === "json")
+						throw new Error("--all can not be used with --format json, as the file contains one schematic");
+					options.sourcedirectory = getSourceDirectory(options.sourcefile);
+					if (options.watch) {
+						// the files are opened on every change
+						if (options.all) throw new Error("--watch can not be used with --all");
+						if (!options.sourcefile || options.sourcefile === "-" || options.targetfile === "-")
+							throw new Error("--watch needs a source and a target file");
+						if (!fs.existsSync(options.sourcefile))
+							throw new Error('Error: File "' + options.sourcefile + '" does not exist.');
+						if (!options.force && fs.existsSync(options.targetfile))
+							throw new Error(
+								'Target file "' + options.targetfile + '" already exists; use --force to overwrite it'
+							);
+						options.sourcefile = String(options.sourcefile);
+						options.targetfile = String(options.targetfile);
+						return true;
+					}
+					options.sourcefile = strToInFile(options.sourcefile);
+					if (!options.all) options.targetfile = strToOutFile(options.targetfile, options.force);
 					return true;
 				}, false);
 		},
 		function convert(args) {
-			getCellArrayForInputFD(args.sourcefile)
-				.then((cellArray) => Converter.findCell(cellArray, args.cellname))
-				.then((cell) => Converter.findSchematicView(Converter.getSchematicViews(cell), args.schematicname))
-				.then((schematic) => Schematic.fromXML(schematic))
+			if (args.watch) {
+				watchSourceFile(args);
+				return;
+			}
+			if (args.all) {
+				convertAll(args).catch(printError);
+				return;
+			}
+			/** @type {{cellName: string, schematicName: string, problems: connectivityProblem[]}} */
+			const result = { cellName: "", schematicName: "", problems: [] };
+			parseSchematic(args, result)
+				.then((schematic) =>
+					printSchematicToFD(schematic, args.targetfile, getSerializeOptions(args)).then(() => schematic)
+				)
 				.then((schematic) => {
-					/** @type {writeableStream} */
-					let writeStream;
-					switch (args.targetfile) {
-						case process.stdout.fd:
-							writeStream = process.stdout;
-							break;
-						case process.stderr.fd:
-							writeStream = process.stderr;
-							break;
-
-						default:
-							writeStream = fs.createWriteStream(null, {
-								encoding: "utf-8",
-								autoClose: true,
-								emitClose: true,
-								fd: args.targetfile,
-							});
-							break;
-					}
-					return schematic
-						.printToStream(writeStream)
-						.then(() => promisify(writeStream.end).call(writeStream));
+					if (!args.verify) return;
+					result.problems = verifySchematic(schematic);
+					return (args.report ? writeConnectivityReport([result], args.report) : Promise.resolve()).then(() => {
+						if (args.strict && result.problems.length > 0)
+							throw new Error("Connectivity check found " + result.problems.length + " problem(s)");
+					});
 				})
-				.catch((error) => console.error("Error: " + (error ? error.message || error : "unknown error")));
+				.catch(printError);
+		}
+	)
+	.command(
+		"netlist <source file> [target file]",
+		"Exports a schematic as SPICE netlist, e.g. for cross-checking it with ngspice",
+		function netlistArgumentBuilder(yargs) {
+			yargs
+				.option("format", {
+					type: "string",
+					choices: ["auto", ...Converter.FORMATS],
+					description: "Format of the source file",
+					default: "auto",
+					defaultDescription: "auto: Detect by the root element",
+				})
+				.option("cellname", {
+					alias: "c",
+					type: "string",
+					description: "The name of the cell to use (source file)",
+					default: "",
+					defaultDescription: "(Empty): Use first cell in file",
+				})
+				.option("schematicname", {
+					alias: "s",
+					type: "string",
+					description: "The name of the schematic of the cell (source file)",
+					default: "",
+					defaultDescription: "(Empty): Use schematic in cell",
+				})
+				.option("force", {
+					alias: "f",
+					boolean: true,
+					description: "Overwrite target file, if existing",
+					default: false,
+				})
+				.option("mapping", {
+					alias: "m",
+					type: "string",
+					description: "JSON file mapping further ADS cells to CircuiTikZ components",
+					default: "",
+					defaultDescription:
+						"(Empty): Use " +
+						MappingFile.DEFAULT_FILE_NAME +
+						" if found in the directory of the source file or the working directory",
+				})
+				.option("strict", {
+					type: "boolean",
+					description: "Fail if a component could not be identified",
+					default: false,
+				})
+				.positional("sourcefile", {
+					describe: "The source file (ABL/XML or KiCad schematic); - for stdin",
+				})
+				.positional("targetfile", {
+					describe: "The SPICE netlist target file, e.g. schematic.cir",
+					default: "-",
+					defaultDescription: "Defaults to stdout",
+					demandOption: false,
+				})
+				.check((options) => {
+					options.sourcedirectory = getSourceDirectory(options.sourcefile);
+					options.sourcefile = strToInFile(options.sourcefile);
+					options.targetfile = strToOutFile(options.targetfile, options.force);
+					return true;
+				}, false);
+		},
+		function netlist(args) {
+			let title = "";
+			loadComponentMap(args.mapping, args.sourcedirectory)
+				.then((componentMap) => {
+					args.componentMap = componentMap;
+					return getCellArrayForInputFD(args.sourcefile, args.format);
+				})
+				.then((cellArray) => {
+					args.subcircuits = Converter.getSubcircuitViews(cellArray);
+					return Converter.findCell(cellArray, args.cellname);
+				})
+				.then((cell) => {
+					const view = Converter.findSchematicView(Converter.getSchematicViews(cell), args.schematicname);
+					title = cell.name + " / " + view.name;
+					return parseSchematicView(view, args);
+				})
+				.then((schematic) => printLinesToFD(SpiceNetlist.serialize(schematic, title), args.targetfile))
+				.catch(printError);
 		}
 	)
 	.command(
 		"list-cells <source file>",
-		"List all cells in an ABL/XML source file",
+		"List all cells (KiCad: sheets) in a source file",
 		function listCellsArgumentBuilder(yargs) {
-			yargs.positional("sourcefile", {
-				describe: "The ABL/XML source file; - for stdin",
-				coerce: strToInFile,
-			});
+			yargs
+				.option("format", {
+					type: "string",
+					choices: ["auto", ...Converter.FORMATS],
+					description: "Format of the source file",
+					default: "auto",
+					defaultDescription: "auto: Detect by the root element",
+				})
+				.positional("sourcefile", {
+					describe: "The source file (ABL/XML or KiCad schematic); - for stdin",
+					coerce: strToInFile,
+				});
 		},
 		function listCells(args) {
-			getCellArrayForInputFD(args.sourcefile)
-				.then((cells) => Converter.printNodeList(cells), "Cells: ")
-				.catch((error) => console.error("Error: " + (error ? error.message || error : "unknown error")));
+			getCellArrayForInputFD(args.sourcefile, args.format)
+				.then((cells) => Converter.printNameList(cells), "Cells: ")
+				.catch(printError);
 		}
 	)
 	.command(
 		"list-schematics [(-c|--cellname) <cellname>] <source file>",
-		"List all schematics of a selected cell in an ABL/XML source file",
+		"List all schematics of a selected cell in a source file",
 		function listSchematicsArgumentBuilder(yargs) {
 			yargs
+				.option("format", {
+					type: "string",
+					choices: ["auto", ...Converter.FORMATS],
+					description: "Format of the source file",
+					default: "auto",
+					defaultDescription: "auto: Detect by the root element",
+				})
 				.option("cellname", {
 					alias: "c",
 					type: "string",
@@ -273,38 +1063,36 @@ yargs(hideBin(process.argv))
 					defaultDescription: "(Empty): Use first cell in file",
 				})
 				.positional("sourcefile", {
-					describe: "The ABL/XML source file; - for stdin",
+					describe: "The source file (ABL/XML or KiCad schematic); - for stdin",
 					coerce: strToInFile,
 				});
 		},
 		function listSchematics(args) {
-			const cellArrayPromise = getCellArrayForInputFD(args.sourcefile);
+			const cellArrayPromise = getCellArrayForInputFD(args.sourcefile, args.format);
 			let printPromise;
 			if (args.cellname) {
 				// only one cell
 				printPromise = cellArrayPromise
 					.then((cellArray) => Converter.findCell(cellArray, args.cellname))
 					.then((cell) => Converter.getSchematicViews(cell))
-					.then((cell) => Converter.printNodeList(cell, "Schematics:"));
+					.then((cell) => Converter.printNameList(cell, "Schematics:"));
 			} else {
 				// all cells --> promise chain
 				printPromise = cellArrayPromise.then((cells) =>
 					cells.reduce((promise, cell) => {
 						/** @type {string|undefined} */
 						let cellName;
-						if (cell && cell.getAttribute && (cellName = cell.getAttribute("name"))) {
+						if (cell && (cellName = cell.name)) {
 							// is cell with non-empty name --> append to chain
 							return promise.then(() => {
 								const schematicViews = Converter.getSchematicViews(cell);
-								Converter.printNodeList(schematicViews, "Schematics of " + cellName + ":");
+								Converter.printNameList(schematicViews, "Schematics of " + cellName + ":");
 							});
 						} else return promise;
 					}, Promise.resolve())
 				);
 			}
-			printPromise.catch((error) =>
-				console.error("Error: " + (error ? error.message || error : "unknown error"))
-			);
+			printPromise.catch(printError);
 		}
 	)
 	.demandCommand(1, 1, "Error: No command given", "Error: Only one command is allowed")
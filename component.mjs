@@ -5,7 +5,12 @@
  * @property {boolean} mirrorX - true to mirror on x axis
  * @property {boolean} mirrorY - true to mirror on y axis
  *
- * @property {{}} [values] - a list of values to display
+ * @property {Object<string, string>} [values] - a list of values to display, e.g. `{R: "\\qty{50}{\\ohm}"}`
+ * @property {{nameLabel?: string, valueLabel?: string, valueParameters?: string[]}|null} [labelOptions] - label
+ * settings overwriting the settings of the serialization
+ * @property {{libraryName: string, cellName: string, parameters: Object<string, string>}|null} [source] - the
+ * instance of the source file, including the raw values of all (also invisible) parameters, e.g. `{libraryName:
+ * "ads_rflib", cellName: "R", parameters: {R: "50 Ohm"}}`
  */
 class Component {
 	angle;
@@ -13,6 +18,8 @@ class Component {
 	mirrorY;
 
 	values = {};
+	labelOptions = null;
+	source = null;
 
 	/**
 	 * For use in subclasses only.
@@ -26,6 +33,73 @@ class Component {
 		this.mirrorX = mirrorX;
 		this.mirrorY = mirrorY;
 	}
+
+	/**
+	 * Serializes the properties common to all components for the JSON representation (see `Schematic.toJSON`).
+	 * Subclasses add their type, name and geometry.
+	 *
+	 * @param {jsonSerializeContext} _context - resolves shared coordinates and nets to their index
+	 * @returns {componentJson} the common properties
+	 */
+	serializeJson(_context) {
+		return {
+			angle: this.angle,
+			mirrorX: !!this.mirrorX,
+			mirrorY: !!this.mirrorY,
+			values: { ...this.values },
+			labelOptions: this.labelOptions,
+			source: this.source,
+		};
+	}
+
+	/**
+	 * Restores the values, label options and source of a component read from the JSON representation (see
+	 * `Schematic.fromJSON`). The geometry is set by the `fromJson` method of the subclass.
+	 *
+	 * @param {componentJson} json - the component
+	 * @returns {Component} `this`
+	 */
+	applyJson(json) {
+		this.values = { ...(json.values || {}) };
+		this.labelOptions = json.labelOptions || null;
+		this.source = json.source || null;
+		return this;
+	}
+
+	/**
+	 * Escapes special characters of a text for LaTeX.
+	 *
+	 * @example Component.escapeLaTeX("R_load & more"); // returns "R\_load \& more"
+	 *
+	 * @param {string} text - the text to escape
+	 * @returns {string} the escaped text
+	 */
+	static escapeLaTeX(text) {
+		const specialChars = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+		return String(text).replace(/[\\~^_%&#${}]/g, (char) => specialChars[char] || "\\" + char);
+	}
+
+	/**
+	 * Joins the values to display to a single label text. Values, which were not converted to siunitx syntax, are
+	 * escaped for LaTeX.
+	 *
+	 * @example
+	 * component.values = { R: "\\qty{50}{\\ohm}", Temp: "T_amb" };
+	 * component.getValueText(); // returns "\qty{50}{\ohm}, T\_amb"
+	 *
+	 * @param {string[]|null} [parameterNames=null] - names of the values to use (in this order); null to use all
+	 * @returns {string} the label text; may be empty
+	 */
+	getValueText(parameterNames = null) {
+		const names = parameterNames || Object.keys(this.values || {});
+		return names
+			.filter((name) => this.values && this.values[name])
+			.map((name) => {
+				const value = this.values[name];
+				return /^\\(qty|num)\{/.test(value) ? value : Component.escapeLaTeX(value);
+			})
+			.join(", ");
+	}
 }
 
 export { Component };
@@ -5,6 +5,7 @@ import { Coordinate } from "./coordinate.mjs";
 import { Pin } from "./pin.mjs";
 import { Transistor } from "./transistor.mjs";
 import { ABLTransistorMapper } from "./ablTransistorMapper.mjs";
+import { GenericBlock } from "./genericBlock.mjs";
 
 const TWO_POLE_COMPONENT_LENGTH = 1;
 
@@ -17,6 +18,13 @@ const TWO_POLE_SECOND_PIN = new Pin(new Coordinate(TWO_POLE_COMPONENT_LENGTH, 0)
 const TWO_POLE_COMPONENT_PINS = [ZERO_PIN, TWO_POLE_SECOND_PIN];
 const TWO_POLE_COMPONENT_PINS_MIRRORED = [TWO_POLE_SECOND_PIN, ZERO_PIN];
 
+/**
+ * Default ABL positions of the top, bottom and tap pin of transistors.
+ *
+ * @type {Pin[]}
+ */
+const ABL_TRANSISTOR_PINS = [TRANSISTOR_TOP_PIN, TRANSISTOR_BOTTOM_PIN, TRANSISTOR_TAP_PIN];
+
 // prettier-ignore
 /**
  * Enum/map-alike of all (supported) TikZ components.
@@ -180,6 +188,7 @@ const TIKZ_COMPONENTS = {
 	// ## Multiplexer and de-multiplexer
 
 	// ## Chips (integrated circuits)
+	block: new GenericBlock(),													// labeled box; fallback for unknown components
 
 	// ## Seven segment displays
 };
@@ -286,4 +295,110 @@ const ADS_COMPONENTS_MAP = new Map([
 	],
 ]);
 
-export { ADS_COMPONENTS_MAP };
+/**
+ * Cell names of ADS ports. Ports are not drawn as components, but their (dangling) wire ends can be marked with open
+ * poles.
+ *
+ * @type {Set<string>}
+ */
+const ADS_PORT_CELLS = new Set(["Port"]);
+
+/**
+ * Creates the mapper of a KiCad transistor symbol. KiCad encodes the pin order in the symbol name, e.g. `Q_NPN_BCE`
+ * has the pins B=1, C=2 and E=3.
+ *
+ * @param {Transistor} tikzTransistor - the transistor used as stencil
+ * @param {string} pinOrder - the names of the pins 1, 2 and 3, e.g. "BCE"
+ * @returns {ABLTransistorMapper} the mapper
+ */
+function kicadTransistor(tikzTransistor, pinOrder) {
+	const [top, bottom, tap] = tikzTransistor.anchorNames.map((name) => pinOrder.indexOf(name) + 1);
+	return new ABLTransistorMapper(
+		tikzTransistor,
+		[
+			new Pin(TRANSISTOR_TOP_PIN.coord, null, top),
+			new Pin(TRANSISTOR_BOTTOM_PIN.coord, null, bottom),
+			new Pin(TRANSISTOR_TAP_PIN.coord, null, tap),
+		],
+		2
+	);
+}
+
+/**
+ * Diode with KiCad pin order (1=cathode, 2=anode).
+ *
+ * @type {PathComponent}
+ */
+const KICAD_DIODE = new PathComponent("Do", null, TWO_POLE_COMPONENT_PINS_MIRRORED);
+
+/**
+ * Maps a KiCad symbol to a TikZ component stencil. The key is libraryName:cellName, i.e. the `lib_id` of the symbol.
+ *
+ * The pin positions are always taken from the symbol definitions embedded in the schematic file. Thus, only the pin
+ * order of the stencils matters.
+ *
+ * @type {Map<string, Component>}
+ */
+const KICAD_COMPONENTS_MAP = new Map([
+	// Potentials
+	...["GND", "GNDA", "GNDD", "GNDPWR"].map((name) => ["power:" + name, TIKZ_COMPONENTS.ground]),
+	["power:GNDREF", TIKZ_COMPONENTS.rground],
+	["power:Earth", TIKZ_COMPONENTS.eground],
+	["power:Earth_Protective", TIKZ_COMPONENTS.pground],
+	...["VCC", "VDD", "VAA", "+BATT", "+1V2", "+1V8", "+2V5", "+3V3", "+3.3V", "+5V", "+9V", "+12V", "+15V", "+24V"]
+		.map((name) => ["power:" + name, TIKZ_COMPONENTS.vcc]),
+	...["VEE", "VSS", "-BATT", "-5V", "-12V", "-15V", "-24V"].map((name) => ["power:" + name, TIKZ_COMPONENTS.vee]),
+
+	// #passive components
+	...["R", "R_Small", "R_US", "R_Small_US"].map((name) => ["Device:" + name, TIKZ_COMPONENTS.R]),
+	...["C", "C_Small"].map((name) => ["Device:" + name, TIKZ_COMPONENTS.C]),
+	...["C_Polarized", "C_Polarized_Small", "CP", "CP_Small"].map((name) => ["Device:" + name, TIKZ_COMPONENTS.eC]),
+	...["L", "L_Small"].map((name) => ["Device:" + name, TIKZ_COMPONENTS.L]),
+
+	// #sources
+	["Device:Battery", TIKZ_COMPONENTS.battery],
+	["Device:Battery_Cell", TIKZ_COMPONENTS.batteryCell1],
+	["Simulation_SPICE:VDC", TIKZ_COMPONENTS.dcvsource],
+	["Simulation_SPICE:IDC", TIKZ_COMPONENTS.dcisource],
+	["Simulation_SPICE:VSIN", TIKZ_COMPONENTS.sV],
+	["Simulation_SPICE:ISIN", TIKZ_COMPONENTS.sI],
+	["Simulation_SPICE:VPULSE", TIKZ_COMPONENTS.sqV],
+
+	// #active components
+	// ##Diodes
+	...["D", "D_Small"].map((name) => ["Device:" + name, KICAD_DIODE]),
+	// ##Transistors
+	...["BCE", "BEC", "CBE", "CEB", "EBC", "ECB"].flatMap((pinOrder) => [
+		["Device:Q_NPN_" + pinOrder, kicadTransistor(TIKZ_COMPONENTS.npn, pinOrder)],
+		["Device:Q_PNP_" + pinOrder, kicadTransistor(TIKZ_COMPONENTS.pnp, pinOrder)],
+	]),
+	...["DGS", "DSG", "GDS", "GSD", "SDG", "SGD"].flatMap((pinOrder) => [
+		["Device:Q_NMOS_" + pinOrder, kicadTransistor(TIKZ_COMPONENTS.nmos, pinOrder)],
+		["Device:Q_PMOS_" + pinOrder, kicadTransistor(TIKZ_COMPONENTS.pmos, pinOrder)],
+	]),
+]);
+
+/**
+ * Cell names of the pseudo instances created for KiCad hierarchical labels. These are the ports of a sheet.
+ *
+ * @type {Set<string>}
+ */
+const KICAD_PORT_CELLS = new Set(["hierarchical_label"]);
+
+/**
+ * Stencil for KiCad sheet symbols, i.e. instances of other sheets: a box labeled with the sheet pin names.
+ *
+ * @type {GenericBlock}
+ */
+const KICAD_SHEET_STENCIL = new GenericBlock();
+KICAD_SHEET_STENCIL.showPinNames = true;
+
+export {
+	TIKZ_COMPONENTS,
+	ADS_COMPONENTS_MAP,
+	ADS_PORT_CELLS,
+	ABL_TRANSISTOR_PINS,
+	KICAD_COMPONENTS_MAP,
+	KICAD_PORT_CELLS,
+	KICAD_SHEET_STENCIL,
+};
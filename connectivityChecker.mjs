@@ -0,0 +1,218 @@
+import { Coordinate } from "./coordinate.mjs";
+import { Net } from "./net.mjs";
+import { Pin } from "./pin.mjs";
+import { Wire } from "./wire.mjs";
+
+/**
+ * @typedef {object} connectivityProblem a mismatch of the drawing and the nets found by the connectivity check.
+ * @property {"floating"|"short"} type - "floating": a pin does not touch any wire or pin of its net; "short": a pin or
+ * wire touches a wire or pin of another net
+ * @property {string} instanceName - the instance of the pin; empty for wires
+ * @property {string} pinName - the name (or number) of the pin; empty for wires
+ * @property {string} netName - the name of the net of the pin or wire; empty if generated
+ * @property {string} [otherNetName] - shorts only: the name of the touched net; empty if generated
+ * @property {{x: number, y: number}} position - the position of the problem (TikZ units)
+ * @property {string} message - a human readable description
+ */
+
+/**
+ * @typedef {object} pinOwner a component or port with pins.
+ * @property {string} instanceName - the instance name, e.g. "R1"
+ * @property {Pin[]} pins - the pins; entries without net or coordinate are ignored
+ */
+
+/**
+ * @class Static class for verifying that the drawing of a schematic matches its nets.
+ *
+ * Pins are snapped to the nearest wire coordinate of their net while parsing. If there is none near enough, a new
+ * coordinate is created, and transistors move their pins to the TikZ anchors afterwards. Thus, a pin may end up away
+ * from its wires without notice. The checker finds
+ * - pins not touching any wire (end point or segment) or pin of their net, if the net has other wires or pins and
+ * - pins and wire edges touching a wire or pin of another net, which would look like a connection.
+ *
+ * Crossing wires do not count as touching.
+ *
+ * @example
+ * // nets and owners: the nets and the components/ports of a parsed schematic
+ * const problems = ConnectivityChecker.check(nets, owners);
+ * problems.forEach((problem) => console.error(problem.message));
+ * @hideconstructor
+ */
+class ConnectivityChecker {
+	/**
+	 * Maximum distance of a coordinate to a wire or pin to be treated as touching.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static TOLERANCE = 1e-6;
+
+	/**
+	 * Checks the pins and wires of all nets.
+	 *
+	 * @param {Net[]} nets - all nets including their wires
+	 * @param {pinOwner[]} owners - all components and ports
+	 * @returns {connectivityProblem[]} the found problems; empty if the drawing matches the nets
+	 */
+	static check(nets, owners) {
+		/** @type {{owner: pinOwner, pin: Pin}[]} */
+		const pinEntries = owners.flatMap((owner) =>
+			(owner.pins || []).filter((pin) => pin && pin.net && pin.coord).map((pin) => ({ owner: owner, pin: pin }))
+		);
+		/** @type {connectivityProblem[]} */
+		const problems = [];
+		/** @type {Set<string>} */ // avoids reporting a short twice (pin/wire and wire/pin)
+		const reportedShorts = new Set();
+
+		const reportShort = (coord, net, otherNet, instanceName = "", pinName = "") => {
+			const key = [coord.x.toFixed(6), coord.y.toFixed(6), ...[net.netname, otherNet.netname].sort()].join("|");
+			if (reportedShorts.has(key)) return;
+			reportedShorts.add(key);
+			problems.push({
+				type: "short",
+				instanceName: instanceName,
+				pinName: pinName,
+				netName: this.#getNetName(net),
+				otherNetName: this.#getNetName(otherNet),
+				position: this.#getPosition(coord),
+				message:
+					(instanceName ? "Pin " + pinName + " of " + instanceName : "Wire") +
+					" (" +
+					this.#describeNet(net) +
+					") touches " +
+					this.#describeNet(otherNet) +
+					" at " +
+					this.#describePosition(coord),
+			});
+		};
+
+		// 1. pins
+		for (const { owner, pin } of pinEntries) {
+			const pinName = String(pin.name || pin.instTermNumber);
+			const otherPins = pinEntries.filter((entry) => entry.pin !== pin);
+
+			const touchesOwnNet =
+				pin.net.wires.some((wire) => this.#touchesWire(pin.coord, wire)) ||
+				otherPins.some((entry) => entry.pin.net === pin.net && this.#isSamePosition(pin.coord, entry.pin.coord));
+			const netHasOtherItems =
+				pin.net.wires.length > 0 || otherPins.some((entry) => entry.pin.net === pin.net);
+			if (!touchesOwnNet && netHasOtherItems)
+				problems.push({
+					type: "floating",
+					instanceName: owner.instanceName,
+					pinName: pinName,
+					netName: this.#getNetName(pin.net),
+					position: this.#getPosition(pin.coord),
+					message:
+						"Pin " +
+						pinName +
+						" of " +
+						owner.instanceName +
+						" is not connected to its " +
+						this.#describeNet(pin.net) +
+						" at " +
+						this.#describePosition(pin.coord),
+				});
+
+			for (const net of nets) {
+				if (net === pin.net) continue;
+				if (net.wires.some((wire) => this.#touchesWire(pin.coord, wire)))
+					reportShort(pin.coord, pin.net, net, owner.instanceName, pinName);
+			}
+			for (const entry of otherPins)
+				if (entry.pin.net !== pin.net && this.#isSamePosition(pin.coord, entry.pin.coord))
+					reportShort(pin.coord, pin.net, entry.pin.net, owner.instanceName, pinName);
+		}
+
+		// 2. wire edges on wires of other nets
+		for (const net of nets)
+			for (const wire of net.wires)
+				for (const coord of wire.coords)
+					for (const otherNet of nets) {
+						if (otherNet === net) continue;
+						if (otherNet.wires.some((otherWire) => this.#touchesWire(coord, otherWire)))
+							reportShort(coord, net, otherNet);
+					}
+
+		return problems;
+	}
+
+	/**
+	 * Converts a problem to a warning for a diagnostics collector (see `Diagnostics`). The code is "floating-pin" or
+	 * "short-circuit".
+	 *
+	 * @param {connectivityProblem} problem - the problem found by `check`
+	 * @returns {diagnostic} the diagnostic
+	 */
+	static toDiagnostic(problem) {
+		return {
+			severity: "warning",
+			code: problem.type === "floating" ? "floating-pin" : "short-circuit",
+			message: problem.message,
+			instanceName: problem.instanceName,
+			context: "",
+			position: { ...problem.position },
+		};
+	}
+
+	/**
+	 * Checks if a coordinate touches a wire, i.e. equals one of its edges or lies on one of its segments.
+	 *
+	 * @param {Coordinate} coord - the coordinate to check
+	 * @param {Wire} wire - the wire
+	 * @returns {boolean} true if touching
+	 */
+	static #touchesWire(coord, wire) {
+		return wire.coords.some(
+			(wireCoord, i) =>
+				this.#isSamePosition(coord, wireCoord) ||
+				(i > 0 && coord.isInsideSegment(wire.coords[i - 1], wireCoord, this.TOLERANCE))
+		);
+	}
+
+	/**
+	 * Compares two coordinates using `TOLERANCE`.
+	 *
+	 * @param {Coordinate} a - the first coordinate
+	 * @param {Coordinate} b - the second coordinate
+	 * @returns {boolean} true if both are at the same position
+	 */
+	static #isSamePosition(a, b) {
+		return a === b || a.getDistance(b) <= this.TOLERANCE;
+	}
+
+	/**
+	 * @param {Net} net - the net
+	 * @returns {string} the name of the net; empty if generated
+	 */
+	static #getNetName(net) {
+		return net.isGenerated ? "" : net.netname;
+	}
+
+	/**
+	 * @param {Net} net - the net
+	 * @returns {string} the net for messages, e.g. 'net "VDD"' or "unnamed net"
+	 */
+	static #describeNet(net) {
+		return net.isGenerated ? "unnamed net" : 'net "' + net.netname + '"';
+	}
+
+	/**
+	 * @param {Coordinate} coord - the coordinate
+	 * @returns {{x: number, y: number}} the rounded position
+	 */
+	static #getPosition(coord) {
+		return { x: Math.round(coord.x * 1000) / 1000, y: Math.round(coord.y * 1000) / 1000 };
+	}
+
+	/**
+	 * @param {Coordinate} coord - the coordinate
+	 * @returns {string} the position for messages, e.g. "(1.27, 2.54)"
+	 */
+	static #describePosition(coord) {
+		const position = this.#getPosition(coord);
+		return "(" + position.x + ", " + position.y + ")";
+	}
+}
+
+export { ConnectivityChecker };
@@ -1,60 +1,93 @@
 import { readFile } from "node:fs";
 import { promisify } from "node:util";
 
-import { DOMParser } from "common-xml-features";
+import { Importer } from "./importer.mjs";
+import { AblImporter } from "./ablImporter.mjs";
+import { KicadImporter } from "./kicadImporter.mjs";
+import { Pin } from "./pin.mjs";
+import { Schematic } from "./schematic.mjs";
 
 /**
- * @class Class for parsing a XML file and extracting a schematic.
- * This static class contains many helper functions to extract information from the file. The extracted node of the
- * schematic view can than be passed to `Schematic.fromXML`.
+ * @class Class for parsing a source file and extracting a schematic.
+ * This static class selects the importer for the source file and contains many helper functions to extract
+ * information from the resulting cells. The extracted schematic view can than be passed to `Schematic.fromView`.
  */
 class Converter {
+	/**
+	 * All registered importers. If the format is detected automatically, the first one accepting the file is used.
+	 *
+	 * @constant
+	 * @type {(typeof Importer)[]}
+	 */
+	static IMPORTERS = [AblImporter, KicadImporter];
+
+	/**
+	 * Names of all supported formats, e.g. `["abl", "kicad"]`.
+	 *
+	 * @returns {string[]} the format names
+	 */
+	static get FORMATS() {
+		return this.IMPORTERS.map((importer) => importer.FORMAT);
+	}
+
 	/**
 	 * Parses a file using its file handle. The file will be completely read and a list of cells will be returned.
 	 *
 	 * The file won't be closed.
 	 *
 	 * @param {number} inFileDescriptor - the file descriptor for the file to parse, e.g. 0 for stdin
-	 * @param {string} cellName - the name of the cell to parse
-	 * @param {number} [scale=2.54] - factor for scaling; ADS uses inch, TikZ uses cm, thus scale=2.54 is recommended
-	 * @returns {Element[]} an array of cells
-	 * @throws {Error} if an expected xml-tag does not exist
+	 * @param {string} [format="auto"] - the format of the file (see `FORMATS`) or "auto" to detect it by its root element
+	 * @returns {Promise<importedCell[]>} an array of cells
+	 * @throws {Error} if the format is unknown or an expected element does not exist
 	 */
-	static async parseFile(inFileDescriptor) {
+	static async parseFile(inFileDescriptor, format = "auto") {
 		const promisifiedRead = promisify(readFile);
 
 		let buffer = await promisifiedRead(inFileDescriptor).then((buff) =>
 			buff instanceof Buffer ? buff.toString("utf-8") : buff
 		);
 
-		/** @type {DOMParser} */
-		const parser = new DOMParser();
-		/** @type {XMLDocument} */
-		let parsed;
-		try {
-			parsed = parser.parseFromString(buffer, "text/xml");
-		} catch (_error) {
-			throw new Error("Syntax error in XML file.");
-		}
-		/** @type {Element} */
-		const ABLRoot = parsed.documentElement;
-		this.assertTagFound(ABLRoot, "The XML root tag");
-		const Library = this.getNamedTag(ABLRoot, "library");
-		this.assertTagFound(Library, "library");
-		const Cells = this.getNamedTag(Library, "cells");
-		this.assertTagFound(Cells, "cells");
+		return this.getImporter(buffer, format).parse(buffer);
+	}
 
-		const CellArray = this.getNamedTags(Cells, "cell");
-		return CellArray;
+	/**
+	 * Selects the importer for the content of a file.
+	 *
+	 * @param {string} text - the content of the file
+	 * @param {string} [format="auto"] - the format of the file (see `FORMATS`) or "auto" to detect it by its root element
+	 * @returns {typeof Importer} the importer
+	 * @throws {Error} if the format is unknown or can not be detected, e.g. for a schematic in JSON representation,
+	 * which is no importer format (see `Schematic.fromJSON`)
+	 */
+	static getImporter(text, format = "auto") {
+		if (!format || format === "auto") {
+			const importer = this.IMPORTERS.find((importer) => importer.canParse(text));
+			if (!importer && Schematic.isJSON(text))
+				throw new Error(
+					'The file contains a schematic in JSON representation (output format "json"); read it with the ' +
+						'format "json"'
+				);
+			if (!importer)
+				throw new Error(
+					'Unknown file format (root element "' +
+						(Importer.getRootName(text) || "") +
+						'"); supported formats: ' +
+						this.FORMATS.join(", ")
+				);
+			return importer;
+		}
+		const importer = this.IMPORTERS.find((importer) => importer.FORMAT === format);
+		if (!importer) throw new Error('Unknown format "' + format + '"; supported formats: ' + this.FORMATS.join(", "));
+		return importer;
 	}
 
 	/**
-	 * Filters a list of cell nodes by name.
+	 * Filters a list of cells by name.
 	 *
-	 * @param {Element[]} cellArray - the array of cells obtained from {@link parseFile}
+	 * @param {importedCell[]} cellArray - the array of cells obtained from {@link parseFile}
 	 * @param {string} cellname - the name of the cell to parse or `""` to use the first one
 	 * @throws {Error} - if cell was not found
-	 * @returns {Element} the wanted cell node
+	 * @returns {importedCell} the wanted cell
 	 */
 	static findCell(cellArray, cellname) {
 		let thisCell;
@@ -62,36 +95,68 @@ class Converter {
 			thisCell = cellArray[0];
 			if (!thisCell) throw new Error("No cells found");
 		} else {
-			thisCell = cellArray.find((node) => node.getAttribute("name") == cellname);
+			thisCell = cellArray.find((cell) => cell.name == cellname);
 			if (!thisCell) throw new Error('Cell "' + cellname + '" not found');
 		}
 		return thisCell;
 	}
 
 	/**
-	 * Finds the `schematicview`s of a cell.
+	 * Finds the schematic views of a cell.
 	 *
-	 * @param {Element} cell - the cell node to find the schematics in
-	 * @returns {Element[]} an array of `schematicview`s
+	 * @param {importedCell} cell - the cell to find the schematics in
+	 * @returns {importedSchematicView[]} an array of schematic views
 	 */
 	static getSchematicViews(cell) {
-		const views = this.getNamedTag(cell, "views");
-		if (!views) return [];
-		const schematicViewArray = this.getNamedTags(
-			views,
-			"schematicview",
-			(node) => node.getAttribute("type") == "schematic"
-		);
-		return schematicViewArray;
+		return cell.schematicViews || [];
+	}
+
+	/**
+	 * Builds the pin geometry table of all cells having a symbol with pins (see `importedCell.symbolPins`). The pin
+	 * coordinates are relative to the symbol origin and in ADS units (inch), just like the built-in stencil pins in
+	 * `components.mjs`.
+	 *
+	 * @param {importedCell[]} cellArray - the array of cells obtained from {@link parseFile}
+	 * @returns {Map<string, Pin[]>} cellName and libraryName:cellName --> pins; cells without (usable) symbol are
+	 * omitted
+	 */
+	static getPinGeometries(cellArray) {
+		/** @type {Map<string, Pin[]>} */
+		const pinGeometries = new Map();
+		for (const cell of cellArray) {
+			if (!cell.name || !cell.symbolPins || cell.symbolPins.length === 0) continue;
+			pinGeometries.set(cell.name, cell.symbolPins);
+			if (cell.libraryName) pinGeometries.set(cell.libraryName + ":" + cell.name, cell.symbolPins);
+		}
+		return pinGeometries;
+	}
+
+	/**
+	 * Collects the schematic views of all cells, which can be used as hierarchical subcircuits. The first schematic view
+	 * of a cell is used.
+	 *
+	 * @param {importedCell[]} cellArray - the array of cells obtained from {@link parseFile}
+	 * @returns {Map<string, importedSchematicView>} cellName and libraryName:cellName --> schematic view
+	 */
+	static getSubcircuitViews(cellArray) {
+		/** @type {Map<string, importedSchematicView>} */
+		const subcircuitViews = new Map();
+		for (const cell of cellArray) {
+			const schematicView = this.getSchematicViews(cell)[0];
+			if (!cell.name || !schematicView) continue;
+			subcircuitViews.set(cell.name, schematicView);
+			if (cell.libraryName) subcircuitViews.set(cell.libraryName + ":" + cell.name, schematicView);
+		}
+		return subcircuitViews;
 	}
 
 	/**
 	 * Find a specific schematic in a list.
 	 *
-	 * @param {Element[]} schematicViewArray - the list of nodes to search in
+	 * @param {importedSchematicView[]} schematicViewArray - the list of schematics to search in
 	 * @param {string} schematicViewName - the name of the schematic or `""` to use the first one
 	 * @throws {Error} - if the desired schematic can not be found
-	 * @returns {Element} the found node
+	 * @returns {importedSchematicView} the found schematic
 	 */
 	static findSchematicView(schematicViewArray, schematicViewName) {
 		let thisSchematicView;
@@ -99,84 +164,51 @@ class Converter {
 			thisSchematicView = schematicViewArray[0];
 			if (!thisSchematicView) throw new Error("Error: No schematic found");
 		} else {
-			thisSchematicView = Array.prototype.find.call(
-				schematicViewArray,
-				(node) => node.getAttribute("name") == schematicViewName
-			);
+			thisSchematicView = schematicViewArray.find((view) => view.name == schematicViewName);
 			if (!thisSchematicView) throw new Error('Error: Schematic "' + schematicViewName + '" not found');
 		}
 		return thisSchematicView;
 	}
 
 	/**
-	 * Prints the names of found cells or schematics.
+	 * Filters a list of cells or schematics using a glob pattern on their name. The wildcards `*` (any amount of
+	 * characters) and `?` (exactly one character) are supported.
 	 *
-	 * @param {Element[]} schematicViewArray - the list of nodes to search in
-	 * @param {string} [heading] - heading to print
-	 */
-	static printNodeList(schematicViewArray, heading) {
-		if (schematicViewArray && schematicViewArray.length > 0) {
-			if (heading) console.log(heading);
-			schematicViewArray.forEach((node) => console.log(" - " + (node.getAttribute("name") || "- unnamed -")));
-		} else console.log((heading || "") + "none found.");
-	}
-
-	//-- Helper functions
-	/**
-	 * Searches a child node by name and by an additional filter if present.
+	 * @example
+	 * // keeps all cells starting with "amp", e.g. "amp_lna" and "amplifier"
+	 * Converter.filterByName(cellArray, "amp*");
 	 *
-	 * @private
-	 * @param {Element} root - the root node to find the child
-	 * @param {string} tagName  the name of the xml tag to find
-	 * @param {function(Element): boolean} [additionalFilter] - filter function returning true if node matches the criteria
-	 * @returns {Element|null} the found node or null if not found
+	 * @template {{name: string}} T
+	 * @param {T[]} array - the list of cells or schematics to filter
+	 * @param {string} [pattern="*"] - the glob pattern; `""` or `"*"` keeps every entry
+	 * @returns {T[]} the filtered entries (may be empty)
 	 */
-	static getNamedTag(root, tagName, additionalFilter) {
-		return Array.prototype.find.call(
-			/** @type {NodeList} */ root.childNodes,
-			(node) =>
-				node.nodeType === 1 && // node instanceof Element
-				node.localName &&
-				node.localName.toLowerCase() == tagName &&
-				(!additionalFilter || additionalFilter(node))
+	static filterByName(array, pattern = "*") {
+		if (!pattern || pattern === "*") return array.slice();
+		const regex = new RegExp(
+			"^" +
+				pattern
+					.split("")
+					.map((char) =>
+						char === "*" ? ".*" : char === "?" ? "." : char.replace(/[\\^$.|+()[\]{}]/g, "\\$&")
+					)
+					.join("") +
+				"$"
 		);
+		return array.filter((entry) => regex.test(entry.name || ""));
 	}
 
 	/**
-	 * Filters child nodes by name and by an additional filter if present.
-	 *
-	 * @private
-	 * @param {Element} root - the root node to find the children
-	 * @param {string} tagName - the name of the xml tag to filter
-	 * @param {function(Element): boolean} [additionalFilter] - filter function returning true if node matches the criteria
-	 * @returns {Element[]} the filtered nodes (may be empty)
-	 */
-	static getNamedTags(root, tagName, additionalFilter) {
-		return Array.prototype.filter.call(
-			/** @type {NodeList} */ root.childNodes,
-			(node) =>
-				node.nodeType === 1 && // node instanceof Element
-				node.localName &&
-				node.localName.toLowerCase() == tagName &&
-				(!additionalFilter || additionalFilter(node))
-		);
-	}
-
-	/**
-	 * Internal helper function for checking if a variable is correctly set.
-	 *
-	 * The message of the thrown error depends on the data type.
-	 * If an variable is falsy (`null`, `undefined`, etc.) a error with the message "XML-Tag not found: \<tagname\>" is
-	 * thrown. If the variable is an empty array, the message is instead "Filtered list of tags is empty: \<tagname\>".
+	 * Prints the names of found cells or schematics.
 	 *
-	 * @param {*} variable - the variable to check
-	 * @param {string} tagname - the name of the variable for the error message
-	 * @throws {Error} the Error if `variable` is falsy or an empty array
+	 * @param {{name: string}[]} array - the list of cells or schematics
+	 * @param {string} [heading] - heading to print
 	 */
-	static assertTagFound(variable, tagname) {
-		if (!variable) throw new Error("XML-Tag not found: " + tagname);
-		else if (Array.isArray(variable) && variable.length === 0)
-			throw new Error("Filtered list of tags is empty: " + tagname);
+	static printNameList(array, heading) {
+		if (array && array.length > 0) {
+			if (heading) console.log(heading);
+			array.forEach((entry) => console.log(" - " + (entry.name || "- unnamed -")));
+		} else console.log((heading || "") + "none found.");
 	}
 }
 
@@ -3,10 +3,19 @@
  *
  * @property {number} x
  * @property {number} y
+ * @property {string|null} name - the name of the TikZ coordinate; null to serialize the position instead
  */
 class Coordinate {
 	x;
 	y;
+	name = null;
+
+	/**
+	 * Number of decimal places used for serializing positions; null to print the numbers unrounded.
+	 *
+	 * @type {number|null}
+	 */
+	static precision = null;
 
 	/**
 	 * Generate a coordninate from x and y numbers.
@@ -30,7 +39,7 @@ class Coordinate {
 	}
 
 	/**
-	 * Serializes the coordinate for TikZ.
+	 * Serializes the coordinate for TikZ. If the coordinate has a name, the name is used instead of the position.
 	 *
 	 * @example new Coordinate(1, 2).serializeName();
 	 * // returns (1, 2)
@@ -38,7 +47,37 @@ class Coordinate {
 	 * @returns {String} the serialized coordinate
 	 */
 	serializeName() {
-		return "(" + this.x + ", " + this.y + ")";
+		if (this.name) return "(" + this.name + ")";
+		return this.serializePosition();
+	}
+
+	/**
+	 * Serializes the position of the coordinate for TikZ, ignoring its name.
+	 *
+	 * @example new Coordinate(1, 2).serializePosition();
+	 * // returns (1, 2)
+	 *
+	 * @returns {String} the serialized position
+	 */
+	serializePosition() {
+		return "(" + Coordinate.formatNumber(this.x) + ", " + Coordinate.formatNumber(this.y) + ")";
+	}
+
+	/**
+	 * Rounds a number to {@link Coordinate.precision} decimal places and converts it to a string. Trailing zeros and
+	 * negative zeros are removed.
+	 *
+	 * @example
+	 * Coordinate.precision = 3;
+	 * Coordinate.formatNumber(0.30000000000000004); // returns "0.3"
+	 *
+	 * @param {number} value - the number to format
+	 * @returns {string} the formatted number
+	 */
+	static formatNumber(value) {
+		if (!Number.isInteger(Coordinate.precision) || !Number.isFinite(value)) return String(value);
+		const rounded = Number(value.toFixed(Coordinate.precision));
+		return String(rounded === 0 ? 0 : rounded);
 	}
 
 	/**
@@ -187,6 +226,48 @@ class Coordinate {
 		return lineVector.scale(lambda, true).add(lineStart);
 	}
 
+	/**
+	 * Checks if the point lies on a line segment. The end points of the segment do not count.
+	 *
+	 * @param {Coordinate} lineStart - first coord of the segment
+	 * @param {Coordinate} lineEnd - second coord of the segment
+	 * @param {number} [tolerance=1e-9] - maximum distance to the segment
+	 * @returns {boolean} true if the point is between start and end
+	 */
+	isInsideSegment(lineStart, lineEnd, tolerance = 1e-9) {
+		if (this.getDistance(lineStart) <= tolerance || this.getDistance(lineEnd) <= tolerance) return false;
+		const segmentLength = lineStart.getDistance(lineEnd);
+		if (segmentLength <= tolerance) return false;
+		// triangle inequality: the detour via this point is (almost) as long as the segment itself
+		return this.getDistance(lineStart) + this.getDistance(lineEnd) - segmentLength <= tolerance;
+	}
+
+	/**
+	 * Calculates the point where two line segments cross each other. Touching end points, parallel or overlapping
+	 * segments do not count as crossing.
+	 *
+	 * @param {Coordinate} startA - first coord of the first segment
+	 * @param {Coordinate} endA - second coord of the first segment
+	 * @param {Coordinate} startB - first coord of the second segment
+	 * @param {Coordinate} endB - second coord of the second segment
+	 * @param {number} [tolerance=1e-9] - minimum distance of the crossing to the segment ends (relative)
+	 * @returns {Coordinate|null} the crossing point (new instance) or null if the segments do not cross
+	 */
+	static segmentCrossing(startA, endA, startB, endB, tolerance = 1e-9) {
+		const vectorA = endA.clone().subtract(startA);
+		const vectorB = endB.clone().subtract(startB);
+		const denominator = vectorA.x * vectorB.y - vectorA.y * vectorB.x;
+		if (Math.abs(denominator) <= tolerance) return null; // parallel
+
+		const startVector = startB.clone().subtract(startA);
+		const lambdaA = (startVector.x * vectorB.y - startVector.y * vectorB.x) / denominator;
+		const lambdaB = (startVector.x * vectorA.y - startVector.y * vectorA.x) / denominator;
+		if (lambdaA <= tolerance || lambdaA >= 1 - tolerance || lambdaB <= tolerance || lambdaB >= 1 - tolerance)
+			return null; // crossing outside or at the end of a segment
+
+		return vectorA.scale(lambdaA, true).add(startA);
+	}
+
 	/**
 	 * Scale the coordinate with one or two factors.
 	 *
@@ -0,0 +1,213 @@
+import { Coordinate } from "./coordinate.mjs";
+
+/**
+ * @typedef {object} designerPoint a position in the Circuit2TikZ designer (px, y axis pointing down).
+ * @property {number} x - the x position
+ * @property {number} y - the y position
+ */
+
+/**
+ * @typedef {object} designerLabel the label of a designer component.
+ * @property {string} value - the text (LaTeX)
+ * @property {boolean} [otherSide] - path components only: true to place the label on the other side (like `a=`)
+ */
+
+/**
+ * @typedef {object} designerComponent a component of the Circuit2TikZ designer save format.
+ * @property {"path"|"node"|"wire"|"rect"} type - the kind of the component
+ * @property {string} [id] - path and node only: the symbol id, e.g. "path_R" or "node_npn"
+ * @property {string[]} [options] - path and node only: additional TikZ options of the symbol, e.g. ["twolineschoke"]
+ * @property {string} [name] - path and node only: the TikZ name of the component
+ * @property {designerPoint[]} [points] - path and wire only: the points
+ * @property {string[]} [directions] - wire only: the TikZ path operation of every segment, e.g. "--"
+ * @property {designerPoint} [position] - node: the node position; rect: the upper left corner
+ * @property {number} [rotation] - node only: the rotation in degrees, clockwise
+ * @property {designerPoint} [scale] - node only: -1 to mirror on an axis
+ * @property {designerPoint} [size] - rect only: the size
+ * @property {designerLabel} [label] - path and node only: the label
+ * @property {{value: string}} [text] - rect only: the text inside
+ */
+
+/**
+ * @class Static class for serializing schematics for the Circuit2TikZ web designer. It contains the helpers used by the
+ * `serializeDesigner` methods of the components and the schematic.
+ *
+ * The designer saves a drawing as JSON object `{version: "1", components: [...]}` (see `designerComponent`). Its
+ * positions are SVG pixels (96 per inch) with the y axis pointing down and its rotations are clockwise. Thus, the TikZ
+ * coordinates are scaled and flipped, so that the drawing matches the TikZ output.
+ *
+ * @example
+ * const lines = Designer.serializeDocument([Designer.wire([new Coordinate(0, 0), new Coordinate(1, 0)])]);
+ * // lines of {version: "1", components: [{type: "wire", points: [{x: 0, y: 0}, {x: 37.795, y: 0}], ...}]}
+ * @hideconstructor
+ */
+class Designer {
+	/**
+	 * Version of the save format.
+	 *
+	 * @constant
+	 * @type {string}
+	 */
+	static VERSION = "1";
+
+	/**
+	 * Pixels per cm (96 dpi).
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static PX_PER_CM = 4800 / 127;
+
+	/**
+	 * Number of decimal places of positions in the JSON file.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static PRECISION = 3;
+
+	/**
+	 * Converts a TikZ coordinate to a designer position. The position is not rounded yet (see `serializeDocument`).
+	 *
+	 * @param {Coordinate} coord - the coordinate (cm)
+	 * @returns {designerPoint} the position (px)
+	 */
+	static point(coord) {
+		return { x: coord.x * this.PX_PER_CM, y: -coord.y * this.PX_PER_CM };
+	}
+
+	/**
+	 * Serializes components as JSON file of the designer. All numbers are rounded to `PRECISION` decimal places.
+	 *
+	 * @param {designerComponent[]} components - the components of the drawing
+	 * @returns {string[]} the lines of the JSON file
+	 */
+	static serializeDocument(components) {
+		const round = (_key, value) =>
+			typeof value === "number" ? Number(value.toFixed(this.PRECISION)) || 0 : value; // no negative zeros
+		return JSON.stringify({ version: this.VERSION, components: components }, round, "\t").split("\n");
+	}
+
+	/**
+	 * Splits a TikZ component name into the symbol id and the additional options.
+	 *
+	 * @example
+	 * Designer.getSymbol("path", "cute choke, twolineschoke");
+	 * // returns {id: "path_cute choke", options: ["twolineschoke"]}
+	 *
+	 * @param {"path"|"node"} type - the kind of the component
+	 * @param {string} tikzComponentName - the TikZ component name, e.g. "R"
+	 * @returns {{id: string, options: string[]}} the symbol id and options
+	 */
+	static getSymbol(type, tikzComponentName) {
+		const [name, ...options] = tikzComponentName.split(",").map((part) => part.trim());
+		return { id: type + "_" + name, options: options };
+	}
+
+	/**
+	 * Creates a path component.
+	 *
+	 * @param {string} tikzComponentName - the (styled) TikZ component name, e.g. "R"
+	 * @param {Coordinate[]} coords - the start and end position
+	 * @param {Map<string, string[]>} [labelTexts] - label key ("l" or "a") --> texts; all texts are joined to a single
+	 * label, which is placed on the other side if there are only annotations
+	 * @param {string} [name=""] - the TikZ name of the component
+	 * @returns {designerComponent} the component
+	 */
+	static path(tikzComponentName, coords, labelTexts = new Map(), name = "") {
+		const { id, options } = this.getSymbol("path", tikzComponentName);
+		/** @type {designerComponent} */
+		const component = { type: "path", id: id, points: coords.map((coord) => this.point(coord)) };
+		if (options.length > 0) component.options = options;
+		if (name) component.name = name;
+
+		const texts = [...labelTexts.values()].flat();
+		if (texts.length > 0) {
+			component.label = { value: texts.join(", ") };
+			if (!labelTexts.has("l")) component.label.otherSide = true;
+		}
+		return component;
+	}
+
+	/**
+	 * Creates a node component. The rotation and mirroring are converted like the TikZ options of `NodeComponent`.
+	 *
+	 * @param {string} tikzComponentName - the TikZ component name, e.g. "npn"
+	 * @param {Coordinate} coord - the node position
+	 * @param {number} [angle=0] - the TikZ rotation (counter clockwise)
+	 * @param {boolean} [mirrorX=false] - true to mirror on x axis
+	 * @param {boolean} [mirrorY=false] - true to mirror on y axis
+	 * @param {string} [text=""] - the node text (LaTeX)
+	 * @param {string} [name=""] - the TikZ name of the node
+	 * @returns {designerComponent} the component
+	 */
+	static node(tikzComponentName, coord, angle = 0, mirrorX = false, mirrorY = false, text = "", name = "") {
+		const { id, options } = this.getSymbol("node", tikzComponentName);
+		/** @type {designerComponent} */
+		const component = { type: "node", id: id, position: this.point(coord) };
+		if (options.length > 0) component.options = options;
+		if (name) component.name = name;
+		if (angle) component.rotation = -angle;
+		if (mirrorX || mirrorY) component.scale = { x: mirrorY ? -1 : 1, y: mirrorX ? -1 : 1 };
+		if (text) component.label = { value: text };
+		return component;
+	}
+
+	/**
+	 * Creates a wire of straight segments.
+	 *
+	 * @param {Coordinate[]} coords - the positions of the wire edges
+	 * @returns {designerComponent} the component
+	 */
+	static wire(coords) {
+		coords = coords.filter((coord, i) => i === 0 || !coord.equals(coords[i - 1])); // no zero length segments
+		return {
+			type: "wire",
+			points: coords.map((coord) => this.point(coord)),
+			directions: coords.slice(1).map(() => "--"),
+		};
+	}
+
+	/**
+	 * Creates a rectangle with a text inside.
+	 *
+	 * @param {Coordinate} min - the lower left corner
+	 * @param {Coordinate} max - the upper right corner
+	 * @param {string} [text=""] - the text (LaTeX)
+	 * @returns {designerComponent} the component
+	 */
+	static rect(min, max, text = "") {
+		const upperLeft = this.point(new Coordinate(min.x, max.y));
+		const lowerRight = this.point(new Coordinate(max.x, min.y));
+		/** @type {designerComponent} */
+		const component = {
+			type: "rect",
+			position: upperLeft,
+			size: { x: lowerRight.x - upperLeft.x, y: lowerRight.y - upperLeft.y },
+		};
+		if (text) component.text = { value: text };
+		return component;
+	}
+
+	/**
+	 * Moves components, e.g. the content of an inlined subcircuit. The components are changed in place.
+	 *
+	 * @param {designerComponent[]} components - the components to move
+	 * @param {Coordinate} vector - the vector to move by (cm)
+	 * @returns {designerComponent[]} the moved components
+	 */
+	static translate(components, vector) {
+		const offset = this.point(vector);
+		const move = (point) => {
+			point.x += offset.x;
+			point.y += offset.y;
+		};
+		for (const component of components) {
+			(component.points || []).forEach(move);
+			if (component.position) move(component.position);
+		}
+		return components;
+	}
+}
+
+export { Designer };
@@ -0,0 +1,191 @@
+/**
+ * @typedef {"error"|"warning"|"info"|"debug"} diagnosticSeverity the severity of a diagnostic: "error" if the result
+ * is unusable, "warning" if the result may be wrong, "info" for notes on the conversion and "debug" for details useful
+ * when looking for bugs of the converter.
+ */
+
+/**
+ * @typedef {object} diagnostic a message of the conversion (see `Diagnostics`).
+ * @property {diagnosticSeverity} severity - the severity
+ * @property {string} code - identifies the kind of message, e.g. "unidentified-component"; stable across versions
+ * @property {string} message - a human readable description
+ * @property {string} instanceName - the affected instance, e.g. "R1"; empty if not related to an instance
+ * @property {string} context - the location in the source file, e.g. 'cell "amp" > schematicView "schematic" >
+ * wire 3'; empty if unknown
+ * @property {{x: number, y: number}} [position] - the affected position (TikZ units), if any
+ */
+
+/**
+ * @class Collector for the diagnostics of a conversion. Instead of printing to the console, the classes of the
+ * converter add their messages here; the caller decides what to print (see `cli.mjs`) or returns them as data (see
+ * `index.mjs`).
+ *
+ * @example
+ * const diagnostics = new Diagnostics();
+ * diagnostics.warning("invalid-coordinate", 'Couldn\'t parse wire coordinate "1,x"', { context: "wire 3" });
+ * diagnostics.filter("warning").forEach((entry) => console.error(Diagnostics.format(entry)));
+ */
+class Diagnostics {
+	/**
+	 * The severities, most severe first.
+	 *
+	 * @constant
+	 * @type {diagnosticSeverity[]}
+	 */
+	static SEVERITIES = ["error", "warning", "info", "debug"];
+
+	/** @type {diagnostic[]} */
+	#entries = [];
+
+	/**
+	 * Adds a diagnostic.
+	 *
+	 * @param {diagnosticSeverity} severity - the severity
+	 * @param {string} code - the kind of message, e.g. "unidentified-component"
+	 * @param {string} message - a human readable description
+	 * @param {{instanceName?: string, context?: string, position?: {x: number, y: number}}} [details={}] - the
+	 * affected instance, the location in the source file and the affected position
+	 * @returns {diagnostic} the added diagnostic
+	 * @throws {Error} if the severity is unknown
+	 */
+	add(severity, code, message, details = {}) {
+		if (!Diagnostics.SEVERITIES.includes(severity)) throw new Error('Unknown severity "' + severity + '"');
+		/** @type {diagnostic} */
+		const entry = {
+			severity: severity,
+			code: code,
+			message: message,
+			instanceName: details.instanceName || "",
+			context: details.context || "",
+		};
+		if (details.position) entry.position = { x: details.position.x, y: details.position.y };
+		this.#entries.push(entry);
+		return entry;
+	}
+
+	/**
+	 * Adds an error (see `add`).
+	 *
+	 * @param {string} code - the kind of message
+	 * @param {string} message - a human readable description
+	 * @param {{instanceName?: string, context?: string, position?: {x: number, y: number}}} [details={}] - see `add`
+	 * @returns {diagnostic} the added diagnostic
+	 */
+	error(code, message, details = {}) {
+		return this.add("error", code, message, details);
+	}
+
+	/**
+	 * Adds a warning (see `add`).
+	 *
+	 * @param {string} code - the kind of message
+	 * @param {string} message - a human readable description
+	 * @param {{instanceName?: string, context?: string, position?: {x: number, y: number}}} [details={}] - see `add`
+	 * @returns {diagnostic} the added diagnostic
+	 */
+	warning(code, message, details = {}) {
+		return this.add("warning", code, message, details);
+	}
+
+	/**
+	 * Adds an info (see `add`).
+	 *
+	 * @param {string} code - the kind of message
+	 * @param {string} message - a human readable description
+	 * @param {{instanceName?: string, context?: string, position?: {x: number, y: number}}} [details={}] - see `add`
+	 * @returns {diagnostic} the added diagnostic
+	 */
+	info(code, message, details = {}) {
+		return this.add("info", code, message, details);
+	}
+
+	/**
+	 * Adds a debug message (see `add`).
+	 *
+	 * @param {string} code - the kind of message
+	 * @param {string} message - a human readable description
+	 * @param {{instanceName?: string, context?: string, position?: {x: number, y: number}}} [details={}] - see `add`
+	 * @returns {diagnostic} the added diagnostic
+	 */
+	debug(code, message, details = {}) {
+		return this.add("debug", code, message, details);
+	}
+
+	/**
+	 * Adds diagnostics collected elsewhere, e.g. by an importer or the schematic of a subcircuit.
+	 *
+	 * @param {diagnostic[]} entries - the diagnostics to add
+	 */
+	addAll(entries) {
+		for (const entry of entries)
+			this.add(entry.severity, entry.code, entry.message, {
+				instanceName: entry.instanceName,
+				context: entry.context,
+				position: entry.position,
+			});
+	}
+
+	/**
+	 * All diagnostics in order of creation.
+	 *
+	 * @returns {diagnostic[]} a copy of the list
+	 */
+	get entries() {
+		return [...this.#entries];
+	}
+
+	/**
+	 * Filters the diagnostics by severity.
+	 *
+	 * @param {diagnosticSeverity} [minSeverity="debug"] - the least severe severity to keep, e.g. "warning" to keep
+	 * errors and warnings
+	 * @returns {diagnostic[]} the diagnostics at least as severe as `minSeverity`
+	 */
+	filter(minSeverity = "debug") {
+		return this.#entries.filter((entry) => Diagnostics.isAtLeast(entry, minSeverity));
+	}
+
+	/**
+	 * @returns {boolean} true if an error was added
+	 */
+	hasErrors() {
+		return this.#entries.some((entry) => entry.severity === "error");
+	}
+
+	/**
+	 * Checks the severity of a diagnostic.
+	 *
+	 * @param {diagnostic} entry - the diagnostic
+	 * @param {diagnosticSeverity} minSeverity - the least severe severity to accept
+	 * @returns {boolean} true if `entry` is at least as severe as `minSeverity`
+	 */
+	static isAtLeast(entry, minSeverity) {
+		return this.SEVERITIES.indexOf(entry.severity) <= this.SEVERITIES.indexOf(minSeverity);
+	}
+
+	/**
+	 * Formats a diagnostic for printing.
+	 *
+	 * @example
+	 * Diagnostics.format({ severity: "warning", code: "reroute-failed", message: "Could not ...", context: "" });
+	 * // returns "Warning [reroute-failed]: Could not ..."
+	 *
+	 * @param {diagnostic} entry - the diagnostic
+	 * @param {string} [label=""] - prefix of the message, e.g. "cell/schematic"
+	 * @returns {string} the line to print
+	 */
+	static format(entry, label = "") {
+		return (
+			entry.severity.charAt(0).toUpperCase() +
+			entry.severity.slice(1) +
+			" [" +
+			entry.code +
+			"]: " +
+			(label ? label + ": " : "") +
+			entry.message +
+			(entry.context ? " (at " + entry.context + ")" : "")
+		);
+	}
+}
+
+export { Diagnostics };
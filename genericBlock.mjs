@@ -0,0 +1,514 @@
+import { Component } from "./component.mjs";
+import { Coordinate } from "./coordinate.mjs";
+import { Pin } from "./pin.mjs";
+import { Designer } from "./designer.mjs";
+import { Net } from "./net.mjs";
+import { Svg } from "./svg.mjs";
+import { Wire } from "./wire.mjs";
+
+/**
+ * Class representing a component, which could not be identified. It is drawn as a labeled box, so that the drawing
+ * stays complete and the wires do not end in nowhere.
+ *
+ * Components with two opposing pins are drawn as CircuiTikZ `twoport`. All other components are drawn as rectangle
+ * with a short orthogonal stub to every pin. The box is labeled with the instance and the cell name.
+ *
+ * @extends Component
+ */
+class GenericBlock extends Component {
+	/**
+	 * Minimum half width and height of the box.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static MIN_HALF_SIZE = 0.5;
+
+	/**
+	 * Length of the line between a pin and the box.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static STUB_LENGTH = 0.25;
+
+	/** @property {string} instanceName - the instance name, e.g. "X1" */
+	instanceName;
+	/** @property {string} cellName - the ADS cell name, e.g. "MyAmplifier" */
+	cellName;
+	/** @property {Pin[]} pins - the pins of the component */
+	pins;
+	/** @property {Coordinate|null} coord - the position of the component; used if there are less than two pins */
+	coord;
+	/** @property {boolean} showPinNames - set to true to label the pins inside the box with their names */
+	showPinNames = false;
+
+	/**
+	 * Generate a GenericBlock or -stencil.
+	 *
+	 * @param {string} [instanceName=""] - the instance name, e.g. "X1"
+	 * @param {string} [cellName=""] - the ADS cell name, e.g. "MyAmplifier"
+	 * @param {Pin[]} [pins=[]] - the pins of the component
+	 * @param {Coordinate|null} [coord=null] - the position of the component
+	 */
+	constructor(instanceName, cellName, pins, coord) {
+		super();
+		this.instanceName = instanceName || "";
+		this.cellName = cellName || "";
+		this.pins = pins || [];
+		this.coord = coord || null;
+	}
+
+	/**
+	 * Serializes a component. The TikZ "source code" is returned.
+	 *
+	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string} the serialized component
+	 */
+	serialize(indent = 0, options = {}) {
+		const tabs = "\t".repeat(indent);
+		const draw = options.debug ? "\\draw[color=blue] " : "\\draw ";
+		const instanceText = Component.escapeLaTeX(this.instanceName);
+		const cellText = Component.escapeLaTeX(this.cellName);
+		const coords = this.pins.map((pin) => pin.coord);
+
+		// two opposing pins --> twoport between them
+		if (
+			!this.showPinNames &&
+			coords.length === 2 &&
+			!coords[0].equals(coords[1]) &&
+			(coords[0].x === coords[1].x || coords[0].y === coords[1].y)
+		) {
+			const label = instanceText && options.nameLabel !== "none" ? ", l={" + instanceText + "}" : "";
+			return (
+				tabs +
+				draw +
+				coords[0].serializeName() +
+				" to[twoport, t={\\tiny " +
+				cellText +
+				"}" +
+				label +
+				"] " +
+				coords[1].serializeName() +
+				";"
+			);
+		}
+
+		const box = this.#getBox();
+		const lines = [
+			tabs +
+				draw +
+				new Coordinate(box.left, box.bottom).serializePosition() +
+				" rectangle " +
+				new Coordinate(box.right, box.top).serializePosition() +
+				";",
+			tabs +
+				(options.debug ? "\\node[color=blue, align=center] at " : "\\node[align=center] at ") +
+				new Coordinate((box.left + box.right) / 2, (box.bottom + box.top) / 2).serializePosition() +
+				" {" +
+				[instanceText, cellText && "\\tiny " + cellText].filter((text) => text).join("\\\\") +
+				"};",
+		];
+
+		const borderCoords = this.#getBorderCoords(box);
+
+		// orthogonal stub from every pin to the box border
+		borderCoords.forEach((borderCoord, coord) => {
+			if (!borderCoord.equals(coord) && !box.contains(coord))
+				lines.push(tabs + draw + coord.serializeName() + " -- " + borderCoord.serializePosition() + ";");
+		});
+
+		// pin names inside the box
+		if (this.showPinNames) {
+			const anchors = { left: "west", right: "east", bottom: "south", top: "north" };
+			for (const pin of this.pins)
+				if (pin.name)
+					lines.push(
+						tabs +
+							"\\node[anchor=" +
+							anchors[box.sides.get(pin.coord)] +
+							", font=\\tiny] at " +
+							borderCoords.get(pin.coord).serializePosition() +
+							" {" +
+							Component.escapeLaTeX(pin.name) +
+							"};"
+					);
+		}
+
+		return lines.join("\n");
+	}
+
+	/**
+	 * Serializes a component as SVG. The geometry matches `serialize`.
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string[]} the SVG elements
+	 */
+	serializeSvg(options = {}) {
+		const coords = this.pins.map((pin) => pin.coord);
+
+		// two opposing pins --> twoport between them
+		if (
+			!this.showPinNames &&
+			coords.length === 2 &&
+			!coords[0].equals(coords[1]) &&
+			(coords[0].x === coords[1].x || coords[0].y === coords[1].y)
+		) {
+			const glyph = Svg.getPathGlyph("twoport");
+			const length = coords[0].getDistance(coords[1]);
+			const scale = Math.min(1, length / 2 / glyph.halfLength);
+			const xAxis = coords[1].clone().subtract(coords[0]).scale(scale / length, true);
+			const frame = Svg.frame(coords[0].clone().add(coords[1]).scale(0.5, true), xAxis);
+			const elements = [
+				Svg.line([coords[0], frame([-glyph.halfLength, 0])]),
+				Svg.line([frame([glyph.halfLength, 0]), coords[1]]),
+				...Svg.shapes(glyph.shapes, frame),
+				Svg.text(frame([0, 0]), Component.escapeLaTeX(this.cellName), "center", true),
+			];
+			if (this.instanceName && options.nameLabel !== "none") {
+				const position = frame([0, glyph.halfHeight]);
+				elements.push(
+					Svg.text(
+						position,
+						Component.escapeLaTeX(this.instanceName),
+						Svg.getAnchor(position.clone().subtract(frame([0, 0])))
+					)
+				);
+			}
+			return elements;
+		}
+
+		const box = this.#getBox();
+		const center = new Coordinate((box.left + box.right) / 2, (box.bottom + box.top) / 2);
+		const texts = [this.instanceName, this.cellName].filter((text) => text);
+		const elements = [
+			Svg.line(
+				[
+					new Coordinate(box.left, box.bottom),
+					new Coordinate(box.right, box.bottom),
+					new Coordinate(box.right, box.top),
+					new Coordinate(box.left, box.top),
+				],
+				true
+			),
+			// instance name above the cell name
+			...texts.map((text, i) =>
+				Svg.text(
+					new Coordinate(center.x, center.y + (texts.length > 1 ? (i === 0 ? 0.5 : -0.5) * Svg.FONT_SIZE : 0)),
+					Component.escapeLaTeX(text),
+					"center",
+					i > 0
+				)
+			),
+		];
+
+		const borderCoords = this.#getBorderCoords(box);
+		borderCoords.forEach((borderCoord, coord) => {
+			if (!borderCoord.equals(coord) && !box.contains(coord)) elements.push(Svg.line([coord, borderCoord]));
+		});
+
+		// pin names inside the box
+		if (this.showPinNames) {
+			const anchors = { left: "right", right: "left", bottom: "above", top: "below" };
+			for (const pin of this.pins)
+				if (pin.name)
+					elements.push(
+						Svg.text(
+							borderCoords.get(pin.coord),
+							Component.escapeLaTeX(pin.name),
+							anchors[box.sides.get(pin.coord)],
+							true
+						)
+					);
+		}
+
+		return elements;
+	}
+
+	/**
+	 * Serializes a component for the Circuit2TikZ designer (see `Designer`). The geometry matches `serialize`; pin
+	 * names are not supported.
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {designerComponent[]} the designer components
+	 */
+	serializeDesigner(options = {}) {
+		const instanceText = Component.escapeLaTeX(this.instanceName);
+		const cellText = Component.escapeLaTeX(this.cellName);
+		const coords = this.pins.map((pin) => pin.coord);
+
+		// two opposing pins --> twoport between them
+		if (
+			!this.showPinNames &&
+			coords.length === 2 &&
+			!coords[0].equals(coords[1]) &&
+			(coords[0].x === coords[1].x || coords[0].y === coords[1].y)
+		) {
+			/** @type {Map<string, string[]>} */
+			const labelTexts = new Map();
+			if (instanceText && options.nameLabel !== "none") labelTexts.set("l", [instanceText]);
+			return [Designer.path("twoport, t={\\tiny " + cellText + "}", coords, labelTexts)];
+		}
+
+		const box = this.#getBox();
+		const components = [
+			Designer.rect(
+				new Coordinate(box.left, box.bottom),
+				new Coordinate(box.right, box.top),
+				[instanceText, cellText && "\\tiny " + cellText].filter((text) => text).join("\\\\")
+			),
+		];
+		this.#getBorderCoords(box).forEach((borderCoord, coord) => {
+			if (!borderCoord.equals(coord) && !box.contains(coord))
+				components.push(Designer.wire([coord, borderCoord]));
+		});
+		return components;
+	}
+
+	/**
+	 * Serializes a component for the JSON representation (see `Schematic.toJSON`).
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {componentJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			type: "block",
+			instanceName: this.instanceName,
+			cellName: this.cellName,
+			pins: this.pins.map((pin) => pin.serializeJson(context)),
+			coord: context.coord(this.coord),
+			showPinNames: this.showPinNames,
+			...super.serializeJson(context),
+		};
+	}
+
+	/**
+	 * Creates a component from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {componentJson} json - the component of type "block"
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {GenericBlock} the new component
+	 * @throws {Error} if a reference is invalid
+	 */
+	static fromJson(json, context) {
+		const block = new GenericBlock(
+			json.instanceName,
+			json.cellName,
+			(json.pins || []).map((pin) => Pin.fromJson(pin, context)),
+			context.coord(json.coord)
+		);
+		block.showPinNames = !!json.showPinNames;
+		return block.applyJson(json);
+	}
+
+	/**
+	 * Calculates the end of the orthogonal stub from every pin to the box border.
+	 *
+	 * @param {{left: number, right: number, bottom: number, top: number, sides: Map<Coordinate, string>}} box - the box
+	 * of the component (see `#getBox`)
+	 * @returns {Map<Coordinate, Coordinate>} pin coordinate --> coordinate at the box border
+	 */
+	#getBorderCoords(box) {
+		/** @type {Map<Coordinate, Coordinate>} */
+		const borderCoords = new Map();
+		box.sides.forEach((side, coord) =>
+			borderCoords.set(
+				coord,
+				side === "left" || side === "right"
+					? new Coordinate(box[side], coord.y)
+					: new Coordinate(coord.x, box[side])
+			)
+		);
+		return borderCoords;
+	}
+
+	/**
+	 * Calculates the box of the component. Every pin is assigned to the side of the box it is facing. The box border is
+	 * placed `STUB_LENGTH` inside the pins and covers all pins of the neighbouring sides.
+	 *
+	 * @returns {{left: number, right: number, bottom: number, top: number, sides: Map<Coordinate, string>, contains: function(Coordinate): boolean}}
+	 * the box borders and the side of every pin coordinate
+	 */
+	#getBox() {
+		const coords = [...new Set(this.pins.map((pin) => pin.coord))];
+		const xs = coords.map((coord) => coord.x);
+		const ys = coords.map((coord) => coord.y);
+		let center =
+			coords.length > 1
+				? new Coordinate((Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2)
+				: this.coord || new Coordinate(0, 0);
+		// single pin at the component position --> box right of it
+		if (coords.length === 1 && coords[0].equals(center))
+			center = new Coordinate(center.x + GenericBlock.STUB_LENGTH + GenericBlock.MIN_HALF_SIZE, center.y);
+		const halfWidth = Math.max(...xs.map((x) => Math.abs(x - center.x)), 0) || 1;
+		const halfHeight = Math.max(...ys.map((y) => Math.abs(y - center.y)), 0) || 1;
+
+		/** @type {Map<Coordinate, string>} */ // pin coordinate --> side
+		const sides = new Map();
+		for (const coord of coords) {
+			const dx = (coord.x - center.x) / halfWidth;
+			const dy = (coord.y - center.y) / halfHeight;
+			if (Math.abs(dx) >= Math.abs(dy)) sides.set(coord, dx < 0 ? "left" : "right");
+			else sides.set(coord, dy < 0 ? "bottom" : "top");
+		}
+		const onSide = (...sideNames) => coords.filter((coord) => sideNames.includes(sides.get(coord)));
+
+		const stub = GenericBlock.STUB_LENGTH;
+		const minHalf = GenericBlock.MIN_HALF_SIZE;
+		// sides without pins keep a minimum distance to the center
+		const border = (side, sign, centerValue, pinValue) => {
+			const values = onSide(side).map((coord) => pinValue(coord) - sign * stub);
+			if (values.length === 0) return centerValue + sign * minHalf;
+			return sign < 0 ? Math.min(...values) : Math.max(...values);
+		};
+		const box = {
+			left: border("left", -1, center.x, (coord) => coord.x),
+			right: border("right", 1, center.x, (coord) => coord.x),
+			bottom: border("bottom", -1, center.y, (coord) => coord.y),
+			top: border("top", 1, center.y, (coord) => coord.y),
+		};
+		// cover the pins of the neighbouring sides
+		for (const coord of onSide("left", "right")) {
+			box.bottom = Math.min(box.bottom, coord.y - stub);
+			box.top = Math.max(box.top, coord.y + stub);
+		}
+		for (const coord of onSide("bottom", "top")) {
+			box.left = Math.min(box.left, coord.x - stub);
+			box.right = Math.max(box.right, coord.x + stub);
+		}
+
+		return {
+			...box,
+			sides: sides,
+			contains: (coord) =>
+				coord.x > box.left && coord.x < box.right && coord.y > box.bottom && coord.y < box.top,
+		};
+	}
+
+	/**
+	 * Generate a TikZ component using `this` as an stencil. The parameters are informations extracted from ABL.
+	 *
+	 * Pins found in the symbol view are placed accordingly. Otherwise, the pin positions are guessed: every pin is
+	 * placed at the nearest wire end of its net (within two ADS units of the component position). Pins without wire are
+	 * stacked below the component position, skipping positions already used by a wire or another pin.
+	 *
+	 * @param {string} libraryName - the ABL library name, e.g. "mylib"
+	 * @param {string} cellName - the librarys component name, e.g. "MyAmplifier"
+	 * @param {string} instanceName - the instance/component name, e.g. "X1"
+	 * @param {Map<string,string>} attributes - map of all (XML) attributes
+	 * @param {Pin[]} pins - the pins with their name and number (position not yet set)
+	 * @param {{x: number, y: number, angle: number, xScale: number, yScale: number, mirrorX: boolean, mirrorY: boolean, scaling: number}} placement - general component placement information
+	 * @param {Wire[]} wires - list of all wires
+	 * @param {Map<string,Net>} nets - list of all nets
+	 * @param {Coordinate[]} coords - list of all coordinates
+	 * @param {Pin[]|null} [symbolPins=null] - pin positions of the ABL symbol view; overwrite the stencil pins
+	 *
+	 * @returns {GenericBlock} the new GenericBlock
+	 */
+	useAsStencil(
+		libraryName,
+		cellName,
+		instanceName,
+		attributes,
+		pins,
+		placement,
+		wires,
+		nets,
+		coords,
+		symbolPins = null
+	) {
+		let instanceCoord = new Coordinate(placement.x * placement.scaling, placement.y * placement.scaling);
+		const oldCoord = coords.find((existingCoord) => instanceCoord.equals(existingCoord));
+		if (oldCoord) instanceCoord = oldCoord;
+		else coords.push(instanceCoord);
+		const maxDistance = 2 * placement.scaling;
+
+		/** @type {Set<Coordinate>} */ // wire ends already used by another pin
+		const usedCoords = new Set();
+
+		for (const pin of pins) {
+			if (symbolPins && symbolPins.some((symbolPin) => symbolPin.instTermNumber === pin.instTermNumber)) {
+				pin.findPosition(symbolPins, placement, instanceCoord, wires, nets, coords);
+				usedCoords.add(pin.coord);
+				continue;
+			}
+
+			const wireEnds = pin.net
+				? wires
+						.filter((wire) => wire.net === pin.net && wire.coords.length > 0)
+						.flatMap((wire) => [wire.coords[0], wire.coords[wire.coords.length - 1]])
+						.filter((coord) => !usedCoords.has(coord))
+				: [];
+			const nearest = wireEnds
+				.map((coord) => ({ coord: coord, distance: instanceCoord.getDistance(coord) }))
+				.filter((candidate) => candidate.distance <= maxDistance)
+				.sort((a, b) => a.distance - b.distance)[0];
+
+			if (nearest) {
+				pin.coord = nearest.coord;
+				usedCoords.add(nearest.coord);
+			} else {
+				const newCoord = GenericBlock.#findFreeCoord(instanceCoord, pins, wires, nets);
+				const existingCoord = coords.find((coord) => newCoord.equals(coord));
+				if (!existingCoord) coords.push(newCoord);
+				pin.coord = existingCoord || newCoord;
+			}
+		}
+
+		const block = new GenericBlock(instanceName, cellName, pins, instanceCoord);
+		block.showPinNames = this.showPinNames;
+		return block;
+	}
+
+	/**
+	 * Finds the position of a pin without wire. The pins are stacked in steps of `MIN_HALF_SIZE` below the component
+	 * position, else to its right, above or left. Positions touching a wire or pin are skipped, and a direction is
+	 * given up if the stub would run over a wire end or a pin of another component.
+	 *
+	 * @param {Coordinate} instanceCoord - the position of the component
+	 * @param {Pin[]} pins - the pins of the component; pins without position are ignored
+	 * @param {Wire[]} wires - list of all wires
+	 * @param {Map<string,Net>} nets - list of all nets
+	 * @returns {Coordinate} the position (new instance)
+	 */
+	static #findFreeCoord(instanceCoord, pins, wires, nets) {
+		const otherPinCoords = [...nets.values()]
+			.flatMap((net) => net.pins)
+			.filter((pin) => pin.coord && !pins.includes(pin))
+			.map((pin) => pin.coord);
+		const ownPinCoords = pins.filter((pin) => pin.coord).map((pin) => pin.coord);
+		const obstacles = [...wires.flatMap((wire) => wire.coords), ...otherPinCoords];
+		const isUsed = (coord) =>
+			ownPinCoords.some((pinCoord) => coord.equals(pinCoord)) ||
+			otherPinCoords.some((pinCoord) => coord.equals(pinCoord)) ||
+			wires.some((wire) =>
+				wire.coords.some(
+					(wireCoord, i) =>
+						coord.equals(wireCoord) || (i > 0 && coord.isInsideSegment(wire.coords[i - 1], wireCoord))
+				)
+			);
+		const step = (direction, count) =>
+			new Coordinate(
+				instanceCoord.x + direction.x * count * GenericBlock.MIN_HALF_SIZE,
+				instanceCoord.y + direction.y * count * GenericBlock.MIN_HALF_SIZE
+			);
+
+		const directions = [new Coordinate(0, -1), new Coordinate(1, 0), new Coordinate(0, 1), new Coordinate(-1, 0)];
+		for (const direction of directions) {
+			for (let count = 1; ; count++) {
+				const coord = step(direction, count);
+				if (obstacles.some((obstacle) => obstacle.isInsideSegment(instanceCoord, coord))) break;
+				if (!isUsed(coord)) return coord;
+			}
+		}
+
+		// surrounded --> first free position below, even if the stub runs over a wire
+		let count = 1;
+		while (isUsed(step(directions[0], count))) count++;
+		return step(directions[0], count);
+	}
+}
+
+export { GenericBlock };
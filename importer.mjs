@@ -0,0 +1,138 @@
+import { Component } from "./component.mjs";
+import { Pin } from "./pin.mjs";
+
+/**
+ * @typedef {object} importedPlacement placement of an instance; all lengths in inch (like ADS).
+ * @property {number} x - x position of the instance origin
+ * @property {number} y - y position of the instance origin
+ * @property {number} angle - rotation in degrees, counter clockwise
+ * @property {number} xScale - scale in x direction
+ * @property {number} yScale - scale in y direction
+ * @property {boolean} mirrorX - true to mirror on x axis
+ * @property {boolean} mirrorY - true to mirror on y axis
+ */
+
+/**
+ * @typedef {object} importedPin a pin of an instance.
+ * @property {number} instTermNumber - the number of the pin, e.g. 1
+ * @property {string} pinName - the name of the pin, e.g. "P1"; may be empty
+ * @property {string} netName - the name of the connected net; empty if unknown or unconnected
+ * @property {{x: number, y: number}} [position] - the position relative to the instance origin in inch, before
+ * rotating and mirroring (like the pins of a symbol view); only if known by the source format
+ */
+
+/**
+ * @typedef {object} importedInstance a placed component.
+ * @property {string} libraryName - the library name, e.g. "ads_rflib"
+ * @property {string} cellName - the cell name, e.g. "R"
+ * @property {string} instanceName - the instance name, e.g. "R1"
+ * @property {Map<string, string>} attributes - all raw attributes of the instance
+ * @property {{name: string, value: string, visible: boolean}[]} parameters - the parameters, e.g. `{name: "R",
+ * value: "50 Ohm", visible: true}`
+ * @property {importedPlacement} placement - the placement of the instance
+ * @property {importedPin[]} pins - the pins of the instance
+ * @property {string} [context] - the location in the source file for diagnostics, e.g. 'cell "amp" >
+ * schematicView "schematic" > instance "R1"'
+ */
+
+/**
+ * @typedef {object} importedWire a wire as polyline.
+ * @property {string} netName - the name of the net; may be empty
+ * @property {{x: number, y: number}[]} points - the points in inch
+ */
+
+/**
+ * @typedef {object} importedSchematicView a schematic ready for `Schematic.fromView`.
+ * @property {string} name - the name of the schematic
+ * @property {importedWire[]} wires - the wires
+ * @property {importedInstance[]} instances - the instances, including ports
+ * @property {Map<string, Component>} componentMap - built-in mapping of the cells of the source format to stencils,
+ * e.g. `ADS_COMPONENTS_MAP`
+ * @property {Set<string>} portCells - cell names of ports, e.g. `ADS_PORT_CELLS`
+ * @property {diagnostic[]} [diagnostics] - problems found while importing, e.g. coordinates, which can't be parsed;
+ * complete after accessing the wires and instances
+ */
+
+/**
+ * @typedef {object} importedCell a cell (or sheet) of a source file.
+ * @property {string} name - the name of the cell
+ * @property {string} libraryName - the name of the library containing the cell; may be empty
+ * @property {importedSchematicView[]} schematicViews - the schematics of the cell
+ * @property {Pin[]|null} symbolPins - the pin positions of the symbol of the cell, relative to its origin in inch;
+ * null if unknown
+ */
+
+/**
+ * @class Base class of all importers. An importer reads the source file of an EDA tool and converts it to a list of
+ * cells (see `importedCell`). The schematics of these cells are then passed to `Schematic.fromView`. Thus, the
+ * conversion itself does not depend on the source format.
+ *
+ * Importers are static classes. They have to be registered in `Converter.IMPORTERS` to be used.
+ *
+ * @example
+ * class MyImporter extends Importer {
+ * 	static FORMAT = "my";
+ * 	static DESCRIPTION = "My EDA tool";
+ * 	static canParse(text) {
+ * 		return Importer.getRootName(text) === "my_root";
+ * 	}
+ * 	static parse(text) {
+ * 		// ...
+ * 		return cells;
+ * 	}
+ * }
+ * @hideconstructor
+ */
+class Importer {
+	/**
+	 * The name of the format, which is used for `--format`, e.g. "abl".
+	 *
+	 * @constant
+	 * @type {string}
+	 */
+	static FORMAT = "";
+
+	/**
+	 * A short description of the format.
+	 *
+	 * @constant
+	 * @type {string}
+	 */
+	static DESCRIPTION = "";
+
+	/**
+	 * Checks if the content of a file can be parsed by this importer. Only the root element should be checked.
+	 *
+	 * @param {string} _text - the content of the file
+	 * @returns {boolean} true if this importer is responsible for the file
+	 */
+	static canParse(_text) {
+		return false;
+	}
+
+	/**
+	 * Parses the content of a file.
+	 *
+	 * @param {string} _text - the content of the file
+	 * @returns {importedCell[]} the cells found in the file
+	 * @throws {Error} if the file can not be parsed
+	 */
+	static parse(_text) {
+		throw new Error('Importer "' + this.FORMAT + '" does not implement parse');
+	}
+
+	/**
+	 * Extracts the name of the root element of a XML document (e.g. "abl:ABL") or a S-expression (e.g. "kicad_sch").
+	 * XML declarations, comments and doctypes are skipped.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {string|null} the name or null if not found
+	 */
+	static getRootName(text) {
+		const prolog = /^\uFEFF?\s*(?:(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*/;
+		const match = text.replace(prolog, "").match(/^[<(]\s*([^\s<>()/]+)/);
+		return match ? match[1] : null;
+	}
+}
+
+export { Importer };
@@ -0,0 +1,120 @@
+import { ConnectivityChecker } from "./connectivityChecker.mjs";
+import { Converter } from "./converter.mjs";
+import { Diagnostics } from "./diagnostics.mjs";
+import { MappingFile } from "./mappingFile.mjs";
+import { Schematic } from "./schematic.mjs";
+
+/**
+ * @file Programmatic API for using the converter in Node scripts, e.g. build scripts. This is the `main` file of the
+ * package; the CLI lives in `cli.mjs`.
+ *
+ * Unlike the CLI, the API neither reads files nor writes to the console and ignores `global.VERBOSE`/`global.DEBUG`.
+ * All settings, including the debug rendering (`serializeOptions.debug`), are passed per call and warnings are
+ * returned as structured diagnostics.
+ *
+ * @example
+ * import { readFile, writeFile } from "node:fs/promises";
+ * import { convert, Diagnostics } from "abl2tikz";
+ *
+ * const diagnostics = [];
+ * const tikz = await convert(await readFile("amp.abl", "utf-8"), { cell: "amp", diagnostics: diagnostics });
+ * await writeFile("amp.pgf", tikz);
+ * diagnostics.forEach((diagnostic) => console.warn(Diagnostics.format(diagnostic)));
+ */
+
+/**
+ * @typedef {object} convertOptions settings for `convert`. Additionally, all properties of `parseOptions` (see
+ * `Schematic.fromView`) and `serializeOptions` (see `Schematic.printToStream`) are supported, except for the pin
+ * geometries and subcircuits, which are taken from the source.
+ * @property {string} [cell=""] - the name of the cell; empty to use the first one
+ * @property {string} [schematic=""] - the name of the schematic view; empty to use the first one
+ * @property {string} [format="auto"] - the format of the source (see `Converter.getImporter`) or "json" for the JSON
+ * representation of a schematic (see `Schematic.toJSON`); "auto" detects the importer or the JSON representation by
+ * the content
+ * @property {string|object} [mapping] - content of a mapping file (see `MappingFile`) as JSON string or parsed object;
+ * overrides `componentMap`
+ * @property {boolean} [symbols=true] - set to true to use the pin positions of the symbol views found in the source
+ * @property {boolean} [verify=true] - set to true to run the connectivity check and report its problems as diagnostics
+ * @property {diagnostic[]} [diagnostics] - array receiving the diagnostics of the conversion (see `Diagnostics`),
+ * including the debug messages
+ */
+
+/**
+ * @typedef {object} cellInfo a cell found in a source (see `listCells`).
+ * @property {string} name - the name of the cell
+ * @property {string} libraryName - the name of the library of the cell; empty if unknown
+ * @property {string[]} schematics - the names of the schematic views of the cell
+ */
+
+/**
+ * Converts a schematic to CircuiTikZ code or another output format (see `serializeOptions.outputFormat`).
+ *
+ * @param {string|Buffer} source - the content of the source file
+ * @param {convertOptions} [options={}] - settings for parsing and serialization
+ * @returns {Promise<string>} the converted schematic
+ * @throws {Error} if the source can't be parsed, the cell or schematic was not found or a component could not be
+ * identified in strict mode
+ */
+async function convert(source, options = {}) {
+	const text = String(source);
+	const format = options.format || "auto";
+	const schematic =
+		format === "json" || (format === "auto" && Schematic.isJSON(text))
+			? Schematic.fromJSON(text)
+			: await parseSchematic(text, options);
+
+	const diagnostics = schematic.diagnostics;
+	if (options.verify !== false)
+		diagnostics.push(...schematic.verifyConnectivity().map((problem) => ConnectivityChecker.toDiagnostic(problem)));
+	if (Array.isArray(options.diagnostics)) options.diagnostics.push(...diagnostics);
+
+	return schematic.serializeLines(options).join("\n") + "\n";
+}
+
+/**
+ * Lists the cells of a source and their schematic views.
+ *
+ * @param {string|Buffer} source - the content of the source file
+ * @param {{format?: string}} [options={}] - the format of the source (see `convertOptions.format`); "json" is not
+ * supported, as it contains a single schematic only
+ * @returns {Promise<cellInfo[]>} the cells in order of appearance
+ * @throws {Error} if the source can't be parsed
+ */
+async function listCells(source, options = {}) {
+	const text = String(source);
+	const cellArray = await Converter.getImporter(text, options.format || "auto").parse(text);
+	return cellArray.map((cell) => ({
+		name: cell.name,
+		libraryName: cell.libraryName || "",
+		schematics: Converter.getSchematicViews(cell).map((schematicView) => schematicView.name),
+	}));
+}
+
+/**
+ * Parses the source using an importer and creates the schematic of the selected cell and schematic view.
+ *
+ * @param {string} text - the content of the source file
+ * @param {convertOptions} options - settings for parsing
+ * @returns {Promise<Schematic>} the parsed schematic
+ */
+async function parseSchematic(text, options) {
+	const cellArray = await Converter.getImporter(text, options.format || "auto").parse(text);
+	const cell = Converter.findCell(cellArray, options.cell || "");
+	const schematicView = Converter.findSchematicView(Converter.getSchematicViews(cell), options.schematic || "");
+
+	let componentMap = options.componentMap;
+	if (options.mapping !== undefined)
+		componentMap = MappingFile.parse(
+			typeof options.mapping === "string" ? options.mapping : JSON.stringify(options.mapping),
+			"options.mapping"
+		);
+
+	return Schematic.fromView(schematicView, {
+		...options,
+		componentMap: componentMap,
+		pinGeometries: options.symbols !== false ? Converter.getPinGeometries(cellArray) : new Map(),
+		subcircuits: Converter.getSubcircuitViews(cellArray),
+	});
+}
+
+export { convert, listCells, Converter, Diagnostics, MappingFile, Schematic };
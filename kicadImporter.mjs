@@ -0,0 +1,553 @@
+import { Importer } from "./importer.mjs";
+import { KICAD_COMPONENTS_MAP, KICAD_PORT_CELLS, KICAD_SHEET_STENCIL } from "./components.mjs";
+
+/**
+ * @typedef {Array<string|sExpression>} sExpression a parsed S-expression. The first entry is the name, e.g.
+ * `["at", "50.8", "25.4", "90"]`; quoted strings and atoms are both returned as string.
+ */
+
+/**
+ * @typedef {object} kicadNode a connectable item of a sheet, used to find the nets.
+ * @property {number} x - x position in mm (KiCad coordinates, y pointing down)
+ * @property {number} y - y position in mm
+ * @property {string} [netName] - the name given to the net by this item (labels and power symbols)
+ * @property {number} [rank] - priority of the name; lower wins (0=power symbol or global label, 1=local label,
+ * 2=hierarchical label)
+ */
+
+/**
+ * @class Importer for KiCad 6+ schematic files (`.kicad_sch`). A file contains exactly one sheet, which is returned
+ * as cell with one schematic view. Sub-sheets are stored in their own files; they are listed as cells without
+ * schematic and drawn as labeled box (see `KICAD_SHEET_STENCIL`).
+ *
+ * KiCad does not store the nets. They are found by the positions of wires, junctions, pins and labels, and named
+ * after labels and power symbols. Unnamed nets get a generated name like "_net3". KiCad uses mm with the y axis
+ * pointing down; the positions are converted to inch with the y axis pointing up, just like ADS.
+ *
+ * @extends Importer
+ * @hideconstructor
+ */
+class KicadImporter extends Importer {
+	static FORMAT = "kicad";
+	static DESCRIPTION = "KiCad 6+ schematic (.kicad_sch)";
+
+	/**
+	 * Conversion factor from KiCad (mm) to ADS units (inch).
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static MM_PER_INCH = 25.4;
+
+	/**
+	 * Checks if the content of a file can be parsed by this importer, i.e. if it is a KiCad schematic.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {boolean} true if the root element is "kicad_sch"
+	 */
+	static canParse(text) {
+		return this.getRootName(text) === "kicad_sch";
+	}
+
+	/**
+	 * Parses the content of a file.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {importedCell[]} the sheet of the file followed by its sub-sheets
+	 * @throws {Error} if the file is no valid KiCad schematic
+	 */
+	static parse(text) {
+		const root = this.parseSExpression(text);
+		if (root[0] !== "kicad_sch") throw new Error('Expected a KiCad schematic (root element "kicad_sch")');
+
+		const titleBlock = this.#find(root, "title_block");
+		const sheets = this.#findAll(root, "sheet");
+		return [
+			{
+				name: this.#getValue(titleBlock, "title") || "root",
+				libraryName: "",
+				schematicViews: [this.#readSheet(root)],
+				symbolPins: null,
+			},
+			...sheets.map((sheet) => ({
+				name: this.#getProperty(sheet, "Sheetname", "Sheet name"),
+				libraryName: "",
+				schematicViews: [],
+				symbolPins: null,
+			})),
+		];
+	}
+
+	/**
+	 * Parses a S-expression. Only the first expression of the text is returned.
+	 *
+	 * @example
+	 * KicadImporter.parseSExpression('(at 50.8 25.4 90) (uuid "1234")'); // returns ["at", "50.8", "25.4", "90"]
+	 *
+	 * @param {string} text - the text to parse
+	 * @returns {sExpression} the parsed expression
+	 * @throws {Error} on syntax errors
+	 */
+	static parseSExpression(text) {
+		const token = /\s*(?:(\()|(\))|"((?:[^"\\]|\\[\s\S])*)"|([^\s()"]+)|$)/y;
+		/** @type {sExpression[]} */ // open expressions; the first one collects the top level expressions
+		const stack = [[]];
+		const syntaxError = (index, message) =>
+			new Error("Syntax error in KiCad file at line " + text.slice(0, index).split("\n").length + ": " + message);
+
+		token.lastIndex = text.startsWith("\uFEFF") ? 1 : 0;
+		while (token.lastIndex < text.length) {
+			const index = token.lastIndex;
+			const match = token.exec(text);
+			if (!match) throw syntaxError(index, "Unexpected character");
+			const [, open, close, quoted, atom] = match;
+			if (open) stack.push([]);
+			else if (close) {
+				if (stack.length < 2) throw syntaxError(index, 'Unexpected ")"');
+				const expression = stack.pop();
+				stack[stack.length - 1].push(expression);
+			} else if (quoted !== undefined)
+				stack[stack.length - 1].push(
+					quoted.replace(/\\([\s\S])/g, (_, char) => ({ n: "\n", t: "\t" })[char] || char)
+				);
+			else if (atom !== undefined) stack[stack.length - 1].push(atom);
+			else break; // end of text
+		}
+		if (stack.length > 1) throw syntaxError(text.length, 'Missing ")"');
+		const expression = stack[0][0];
+		if (!Array.isArray(expression)) throw syntaxError(0, "No expression found");
+		return expression;
+	}
+
+	/**
+	 * Converts a sheet to a schematic view.
+	 *
+	 * @param {sExpression} root - the kicad_sch expression
+	 * @returns {importedSchematicView} the schematic
+	 */
+	static #readSheet(root) {
+		/** @type {Map<string, sExpression>} */ // lib_id --> symbol definition
+		const libSymbols = new Map(
+			this.#findAll(this.#find(root, "lib_symbols"), "symbol").map((symbol) => [symbol[1], symbol])
+		);
+
+		/** @type {{start: kicadNode, end: kicadNode}[]} */
+		const wires = this.#findAll(root, "wire").map((wire) => {
+			const [start, end] = this.#findAll(this.#find(wire, "pts"), "xy").map((xy) => this.#readPoint(xy));
+			return { start: start, end: end || start };
+		});
+		/** @type {kicadNode[]} */
+		const junctions = this.#findAll(root, "junction").map((junction) =>
+			this.#readPoint(this.#find(junction, "at"))
+		);
+
+		/** @type {{kind: string, node: kicadNode, shape: string}[]} */
+		const labels = [
+			["global_label", 0],
+			["label", 1],
+			["hierarchical_label", 2],
+		].flatMap(([kind, rank]) =>
+			this.#findAll(root, kind).map((label) => ({
+				kind: kind,
+				node: { ...this.#readPoint(this.#find(label, "at")), netName: label[1], rank: rank },
+				shape: this.#getValue(label, "shape") || "",
+			}))
+		);
+
+		const symbols = this.#findAll(root, "symbol")
+			.map((symbol) => this.#readSymbol(symbol, libSymbols))
+			.filter((symbol) => symbol);
+		const sheets = this.#findAll(root, "sheet").map((sheet) => this.#readSheetSymbol(sheet));
+
+		const netNames = this.#findNets(
+			wires,
+			[...junctions, ...labels.map((label) => label.node)],
+			[...symbols, ...sheets].flatMap((instance) => instance.nodes)
+		);
+
+		/** @type {importedInstance[]} */
+		const instances = [...symbols, ...sheets].map((instance) => {
+			instance.pins.forEach((pin, i) => (pin.netName = netNames.get(instance.nodes[i]) || ""));
+			delete instance.nodes;
+			return instance;
+		});
+		// hierarchical labels --> ports of the sheet
+		labels
+			.filter((label) => label.kind === "hierarchical_label")
+			.forEach((label, i) =>
+				instances.push({
+					libraryName: "",
+					cellName: "hierarchical_label",
+					instanceName: label.node.netName,
+					attributes: new Map([["shape", label.shape]]),
+					parameters: [{ name: "Num", value: String(i + 1), visible: false }],
+					placement: this.#toPlacement(label.node.x, label.node.y, 0, null),
+					pins: [{ instTermNumber: 1, pinName: "", netName: netNames.get(label.node) || "" }],
+				})
+			);
+
+		return {
+			name: "schematic",
+			wires: wires.map((wire) => ({
+				netName: netNames.get(wire.start) || "",
+				points: [wire.start, wire.end].map((node) => this.#toInch(node.x, node.y)),
+			})),
+			instances: instances,
+			componentMap:
+				sheets.length > 0
+					? new Map([
+							...KICAD_COMPONENTS_MAP,
+							...sheets.map((sheet) => [sheet.cellName, KICAD_SHEET_STENCIL]),
+					  ])
+					: KICAD_COMPONENTS_MAP,
+			portCells: KICAD_PORT_CELLS,
+		};
+	}
+
+	/**
+	 * Converts a placed symbol to an instance.
+	 *
+	 * @param {sExpression} symbol - the symbol expression of the sheet
+	 * @param {Map<string, sExpression>} libSymbols - the symbol definitions embedded in the file
+	 * @returns {(importedInstance & {nodes: kicadNode[]})|null} the instance with the absolute pin positions (same
+	 * order as the pins); null for symbols without meaning for the drawing (PWR_FLAG)
+	 */
+	static #readSymbol(symbol, libSymbols) {
+		const libId = this.#getValue(symbol, "lib_id") || "";
+		if (/(^|:)PWR_FLAG$/.test(libId)) return null;
+		const libSymbol = libSymbols.get(this.#getValue(symbol, "lib_name") || libId) || null;
+		const [libraryName, cellName] = libId.includes(":") ? libId.split(":", 2) : ["", libId];
+
+		const at = this.#find(symbol, "at") || ["at"];
+		const x = parseFloat(at[1]) || 0;
+		const y = parseFloat(at[2]) || 0;
+		const angle = parseFloat(at[3]) || 0;
+		const mirror = this.#getValue(symbol, "mirror") || null;
+		const unit = Number.parseInt(this.#getValue(symbol, "unit")) || 1;
+		const bodyStyle =
+			Number.parseInt(this.#getValue(symbol, "convert") || this.#getValue(symbol, "body_style")) || 1;
+		const isPower = !!libSymbol && this.#find(libSymbol, "power") !== null;
+
+		// name & parameters
+		const reference = this.#getProperty(symbol, "Reference");
+		const unitCount = libSymbol ? Math.max(1, ...this.#getUnits(libSymbol).map((subSymbol) => subSymbol.unit)) : 1;
+		const instanceName = unitCount > 1 && !isPower ? reference + String.fromCharCode(64 + unit) : reference;
+		// values of resistors, capacitors and inductors are named like in ADS, so that they are parsed as quantity
+		const prefix = reference.replace(/[^A-Za-z].*$/, "");
+		const valueName = ["R", "C", "L"].includes(prefix) ? prefix : "Value";
+		const parameters = this.#findAll(symbol, "property")
+			.filter((property) => property[1] !== "Reference")
+			.map((property) => ({
+				name: property[1] === "Value" ? valueName : property[1],
+				value: property[2] || "",
+				visible: !this.#isHidden(property),
+			}));
+
+		// pins
+		const libPins = libSymbol ? this.#getPins(libSymbol, unit, bodyStyle) : [];
+		const angleRad = (angle * Math.PI) / 180;
+		const [cos, sin] = [Math.cos(angleRad), Math.sin(angleRad)].map((value) => Math.round(value * 1e12) / 1e12);
+		/** @type {kicadNode[]} */
+		const nodes = libPins.map((libPin) => {
+			// symbol coordinates have the y axis pointing up; mirror first, then rotate counter clockwise
+			const px = mirror === "y" ? -libPin.x : libPin.x;
+			const py = mirror === "x" ? -libPin.y : libPin.y;
+			const node = { x: x + px * cos - py * sin, y: y - (px * sin + py * cos) };
+			if (isPower && libPin.type === "power_in") {
+				node.netName = this.#getProperty(symbol, "Value");
+				node.rank = 0;
+			}
+			return node;
+		});
+
+		const placement = this.#toPlacement(x, y, angle, mirror);
+		if (isPower) placement.angle -= 90; // ADS draws potentials horizontally, KiCad vertically
+
+		return {
+			libraryName: libraryName,
+			cellName: cellName,
+			instanceName: instanceName,
+			attributes: new Map([
+				["lib_id", libId],
+				["unit", String(unit)],
+				["uuid", this.#getValue(symbol, "uuid") || ""],
+			]),
+			parameters: parameters,
+			placement: placement,
+			pins: libPins.map((libPin) => ({
+				instTermNumber: libPin.instTermNumber,
+				pinName: libPin.name,
+				netName: "",
+				position: { x: libPin.x / this.MM_PER_INCH, y: libPin.y / this.MM_PER_INCH },
+			})),
+			nodes: nodes,
+		};
+	}
+
+	/**
+	 * Converts a sheet symbol (an instance of another sheet) to an instance. The cell name is the file name of the
+	 * sheet without extension.
+	 *
+	 * @param {sExpression} sheet - the sheet expression
+	 * @returns {importedInstance & {nodes: kicadNode[]}} the instance with the absolute pin positions
+	 */
+	static #readSheetSymbol(sheet) {
+		const corner = this.#readPoint(this.#find(sheet, "at"));
+		const fileName = this.#getProperty(sheet, "Sheetfile", "Sheet file");
+		const nodes = this.#findAll(sheet, "pin").map((pin) => this.#readPoint(this.#find(pin, "at")));
+		return {
+			libraryName: "",
+			cellName: fileName.replace(/^.*[\\/]/, "").replace(/\.kicad_sch$/i, ""),
+			instanceName: this.#getProperty(sheet, "Sheetname", "Sheet name"),
+			attributes: new Map([["file", fileName]]),
+			parameters: [],
+			placement: this.#toPlacement(corner.x, corner.y, 0, null),
+			pins: this.#findAll(sheet, "pin").map((pin, i) => ({
+				instTermNumber: i + 1,
+				pinName: pin[1] || "",
+				netName: "",
+				position: this.#toInch(nodes[i].x - corner.x, nodes[i].y - corner.y),
+			})),
+			nodes: nodes,
+		};
+	}
+
+	/**
+	 * Finds the nets of a sheet and names them.
+	 *
+	 * Items at the same position are connected. Wires are also connected to items on their segments, i.e. wire ends
+	 * forming a T, junctions on crossings, pins and labels. Nets with labels or power symbols of the same name are
+	 * merged. Unnamed nets get a generated name; single unconnected pins get no name.
+	 *
+	 * @param {{start: kicadNode, end: kicadNode}[]} wires - the wires
+	 * @param {kicadNode[]} points - junctions and labels
+	 * @param {kicadNode[]} pins - the absolute positions of all pins
+	 * @returns {Map<kicadNode, string>} wire start, label or pin --> net name
+	 */
+	static #findNets(wires, points, pins) {
+		/** @type {Map<kicadNode, kicadNode>} */ // union find
+		const parents = new Map();
+		const find = (node) => {
+			let root = node;
+			while (parents.has(root) && parents.get(root) !== root) root = parents.get(root);
+			parents.set(node, root);
+			return root;
+		};
+		const union = (a, b) => {
+			const [rootA, rootB] = [find(a), find(b)];
+			if (rootA !== rootB) parents.set(rootB, rootA);
+		};
+		const key = (node) => Math.round(node.x * 1e4) + "," + Math.round(node.y * 1e4);
+		const isInsideSegment = (node, wire) => {
+			const [dx, dy] = [wire.end.x - wire.start.x, wire.end.y - wire.start.y];
+			const length = Math.hypot(dx, dy);
+			if (length === 0) return false;
+			const distance = Math.abs(dx * (node.y - wire.start.y) - dy * (node.x - wire.start.x)) / length;
+			const t = (dx * (node.x - wire.start.x) + dy * (node.y - wire.start.y)) / (length * length);
+			return distance < 1e-4 && t > 0 && t < 1;
+		};
+
+		wires.forEach((wire) => union(wire.start, wire.end));
+		const nodes = [...wires.flatMap((wire) => [wire.start, wire.end]), ...points, ...pins];
+
+		// same position
+		/** @type {Map<string, kicadNode>} */
+		const positions = new Map();
+		for (const node of nodes) {
+			const existing = positions.get(key(node));
+			if (existing) union(existing, node);
+			else positions.set(key(node), node);
+		}
+		// on a wire segment
+		for (const node of nodes)
+			for (const wire of wires) if (isInsideSegment(node, wire)) union(wire.start, node);
+		// same name
+		/** @type {Map<string, kicadNode>} */
+		const namedNodes = new Map();
+		for (const node of nodes.filter((node) => node.netName)) {
+			const existing = namedNodes.get(node.netName);
+			if (existing) union(existing, node);
+			else namedNodes.set(node.netName, node);
+		}
+
+		// name the nets
+		/** @type {Map<kicadNode, kicadNode[]>} */ // root --> nodes
+		const nets = new Map();
+		for (const node of nodes) {
+			const root = find(node);
+			if (!nets.has(root)) nets.set(root, []);
+			nets.get(root).push(node);
+		}
+		/** @type {Map<kicadNode, string>} */
+		const netNames = new Map();
+		let netCount = 0;
+		nets.forEach((netNodes) => {
+			const named = netNodes
+				.filter((node) => node.netName)
+				.sort((a, b) => a.rank - b.rank || a.netName.localeCompare(b.netName))[0];
+			const isSinglePin = netNodes.length === 1 && pins.includes(netNodes[0]);
+			const netName = named ? named.netName : isSinglePin ? "" : "_net" + ++netCount;
+			netNodes.forEach((node) => netNames.set(node, netName));
+		});
+		return netNames;
+	}
+
+	/**
+	 * Collects the pins of a symbol definition for a unit and body style. Pin numbers, which are no integers (e.g. "A"
+	 * and "K"), are replaced by their index.
+	 *
+	 * @param {sExpression} libSymbol - the symbol definition
+	 * @param {number} unit - the unit of the instance, starting with 1
+	 * @param {number} bodyStyle - the body style (1=normal, 2=De Morgan)
+	 * @returns {{instTermNumber: number, name: string, type: string, x: number, y: number}[]} the pins; the position
+	 * is relative to the symbol origin in mm with the y axis pointing up
+	 */
+	static #getPins(libSymbol, unit, bodyStyle) {
+		return [
+			libSymbol,
+			...this.#getUnits(libSymbol)
+				.filter(
+					(subSymbol) => [0, unit].includes(subSymbol.unit) && [0, bodyStyle].includes(subSymbol.bodyStyle)
+				)
+				.map((subSymbol) => subSymbol.symbol),
+		]
+			.flatMap((symbol) => this.#findAll(symbol, "pin"))
+			.map((pin, i) => {
+				const at = this.#find(pin, "at") || ["at"];
+				const name = this.#getValue(pin, "name") || "";
+				return {
+					instTermNumber: Number.parseInt(this.#getValue(pin, "number")) || i + 1,
+					name: name === "~" ? "" : name,
+					type: pin[1] || "",
+					x: parseFloat(at[1]) || 0,
+					y: parseFloat(at[2]) || 0,
+				};
+			});
+	}
+
+	/**
+	 * Lists the sub-symbols of a symbol definition. Their names end with the unit and the body style, e.g. "R_1_1".
+	 *
+	 * @param {sExpression} libSymbol - the symbol definition
+	 * @returns {{symbol: sExpression, unit: number, bodyStyle: number}[]} the sub-symbols
+	 */
+	static #getUnits(libSymbol) {
+		return this.#findAll(libSymbol, "symbol").map((subSymbol) => {
+			const match = /_(\d+)_(\d+)$/.exec(subSymbol[1] || "");
+			return {
+				symbol: subSymbol,
+				unit: match ? Number.parseInt(match[1]) : 0,
+				bodyStyle: match ? Number.parseInt(match[2]) : 0,
+			};
+		});
+	}
+
+	/**
+	 * Converts a KiCad position and orientation to an ADS like placement.
+	 *
+	 * KiCad mirrors the symbol first and rotates it afterwards, whereas the stencils are rotated first. Mirroring
+	 * inverts the rotation direction, thus the angle is negated for mirrored symbols.
+	 *
+	 * @param {number} x - x position in mm
+	 * @param {number} y - y position in mm (y axis pointing down)
+	 * @param {number} angle - the angle in degrees (counter clockwise)
+	 * @param {"x"|"y"|null} mirror - the mirror axis
+	 * @returns {importedPlacement} the placement
+	 */
+	static #toPlacement(x, y, angle, mirror) {
+		return {
+			...this.#toInch(x, y),
+			angle: mirror ? -angle : angle,
+			xScale: 1,
+			yScale: 1,
+			mirrorX: mirror === "x",
+			mirrorY: mirror === "y",
+		};
+	}
+
+	/**
+	 * Converts a KiCad position to inch with the y axis pointing up.
+	 *
+	 * @param {number} x - x position in mm
+	 * @param {number} y - y position in mm (y axis pointing down)
+	 * @returns {{x: number, y: number}} the position in inch
+	 */
+	static #toInch(x, y) {
+		return { x: x / this.MM_PER_INCH, y: -y / this.MM_PER_INCH };
+	}
+
+	/**
+	 * Reads a position expression, e.g. `(at 50.8 25.4 90)` or `(xy 50.8 25.4)`.
+	 *
+	 * @param {sExpression|null} expression - the expression
+	 * @returns {kicadNode} the position in mm
+	 */
+	static #readPoint(expression) {
+		return {
+			x: (expression && parseFloat(expression[1])) || 0,
+			y: (expression && parseFloat(expression[2])) || 0,
+		};
+	}
+
+	/**
+	 * Checks if a property or text is hidden. KiCad 6 and 7 use the atom `hide` in `effects`, KiCad 8 uses
+	 * `(hide yes)`.
+	 *
+	 * @param {sExpression} expression - the expression
+	 * @returns {boolean} true if hidden
+	 */
+	static #isHidden(expression) {
+		const effects = this.#find(expression, "effects");
+		const hide = this.#find(expression, "hide") || this.#find(effects, "hide");
+		return (!!effects && effects.includes("hide")) || (!!hide && hide[1] !== "no");
+	}
+
+	//-- Helper functions
+	/**
+	 * Searches a child expression by name.
+	 *
+	 * @param {sExpression|null} expression - the expression to search in
+	 * @param {string} name - the name of the child
+	 * @returns {sExpression|null} the first child or null if not found
+	 */
+	static #find(expression, name) {
+		return (expression && expression.find((child) => Array.isArray(child) && child[0] === name)) || null;
+	}
+
+	/**
+	 * Filters child expressions by name.
+	 *
+	 * @param {sExpression|null} expression - the expression to search in
+	 * @param {string} name - the name of the children
+	 * @returns {sExpression[]} the children (may be empty)
+	 */
+	static #findAll(expression, name) {
+		return expression ? expression.filter((child) => Array.isArray(child) && child[0] === name) : [];
+	}
+
+	/**
+	 * Returns the first value of a child expression, e.g. "Device:R" for `(lib_id "Device:R")`.
+	 *
+	 * @param {sExpression|null} expression - the expression to search in
+	 * @param {string} name - the name of the child
+	 * @returns {string|null} the value or null if not found
+	 */
+	static #getValue(expression, name) {
+		const child = this.#find(expression, name);
+		return child && typeof child[1] === "string" ? child[1] : null;
+	}
+
+	/**
+	 * Returns the value of a property, e.g. "R1" for `(property "Reference" "R1" ...)`.
+	 *
+	 * @param {sExpression} expression - the symbol or sheet
+	 * @param {...string} names - the name of the property; further names are tried if not found (older versions)
+	 * @returns {string} the value; empty if not found
+	 */
+	static #getProperty(expression, ...names) {
+		const property = this.#findAll(expression, "property").find((property) => names.includes(property[1]));
+		return (property && property[2]) || "";
+	}
+}
+
+export { KicadImporter };
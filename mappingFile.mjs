@@ -0,0 +1,250 @@
+import { existsSync, readFile } from "node:fs";
+import * as path from "node:path";
+import { promisify } from "node:util";
+
+import { Component } from "./component.mjs";
+import { Coordinate } from "./coordinate.mjs";
+import { PathComponent } from "./pathComponent.mjs";
+import { Pin } from "./pin.mjs";
+import { PotentialComponent } from "./potentialComponent.mjs";
+import { Transistor } from "./transistor.mjs";
+import { ABLTransistorMapper } from "./ablTransistorMapper.mjs";
+import { GenericBlock } from "./genericBlock.mjs";
+import { TIKZ_COMPONENTS, ABL_TRANSISTOR_PINS } from "./components.mjs";
+
+/**
+ * @class Static class for reading user supplied component mappings.
+ *
+ * A mapping file is a JSON file extending `ADS_COMPONENTS_MAP`; YAML files are not supported. Its entries take precedence over the built-in ones.
+ * The keys are either just the cellName or libraryName:cellName. The value is either the name of a stencil in
+ * `TIKZ_COMPONENTS` or an object with further settings:
+ *
+ * - `stencil` (required): the name of the stencil in `TIKZ_COMPONENTS`, e.g. `"R"`, `"npn"` or `"block"`
+ * - `pins`: the pins of the ADS cell in stencil order. Each pin is either the instTermNumber (the position of the
+ *   stencil pin is kept) or an object `{instTermNumber, name, x, y}`. For transistors, the ABL positions of the top,
+ *   bottom and tap pin are expected.
+ * - `anchor`: transistors only; the ABL pin used as anchor (0=top, 1=bottom, 2=tap; default 2)
+ * - `label`: path components only; label settings overwriting the CLI options (`nameLabel`, `valueLabel` and
+ *   `valueParameters`)
+ *
+ * @example
+ * {
+ * 	"components": {
+ * 		"mylib:MyRes": "R",
+ * 		"vendorlib:BFP640": { "stencil": "npn", "anchor": 2, "label": { "valueLabel": "none" } },
+ * 		"vendorlib:MyCap": { "stencil": "C", "pins": [2, 1] }
+ * 	}
+ * }
+ * @hideconstructor
+ */
+class MappingFile {
+	/**
+	 * Name of the mapping file, which is used automatically if found in the directory of the source file or in the
+	 * working directory.
+	 *
+	 * @constant
+	 * @type {string}
+	 */
+	static DEFAULT_FILE_NAME = "abl2tikz.mapping.json";
+
+	/**
+	 * Searches the default mapping file in the project directory, i.e. the directory of the source file, and then in
+	 * the working directory.
+	 *
+	 * @param {string|null} [sourceDirectory=null] - the directory of the source file; null to search the working
+	 * directory only, e.g. if the source is read from stdin
+	 * @returns {string|null} the path of the file or null if it does not exist
+	 */
+	static findDefault(sourceDirectory = null) {
+		const directories = sourceDirectory ? [sourceDirectory, process.cwd()] : [process.cwd()];
+		const filename = directories
+			.map((directory) => path.join(directory, this.DEFAULT_FILE_NAME))
+			.find((filename) => existsSync(filename));
+		return filename || null;
+	}
+
+	/**
+	 * Reads and parses a mapping file.
+	 *
+	 * @param {string} filename - the path to the file
+	 * @returns {Promise<Map<string, Component>>} the component map
+	 * @throws {Error} if the file can not be read, is a YAML file (by its extension) or is invalid
+	 */
+	static async load(filename) {
+		if ([".yaml", ".yml"].includes(path.extname(filename).toLowerCase()))
+			throw new Error(
+				'Could not read mapping file "' + filename + '": YAML is not supported; convert the file to JSON'
+			);
+		let text;
+		try {
+			text = await promisify(readFile)(filename, "utf-8");
+		} catch (err) {
+			throw new Error('Could not read mapping file "' + filename + '": ' + (err.code || err.message));
+		}
+		return this.parse(text, filename);
+	}
+
+	/**
+	 * Parses and validates the content of a mapping file.
+	 *
+	 * @param {string} text - the JSON content
+	 * @param {string} [sourceName="mapping file"] - the name of the source used in error messages
+	 * @returns {Map<string, Component>} the component map
+	 * @throws {Error} if the content is invalid
+	 */
+	static parse(text, sourceName = "mapping file") {
+		/**
+		 * @param {string} message - the message
+		 * @returns {Error} the error prefixed with the source name
+		 */
+		const error = (message) => new Error('Invalid mapping file "' + sourceName + '": ' + message);
+
+		let content;
+		try {
+			content = JSON.parse(text);
+		} catch (err) {
+			throw error("Syntax error: " + err.message);
+		}
+		if (!this.#isObject(content) || !this.#isObject(content.components))
+			throw error('Expected an object with the property "components"');
+
+		/** @type {Map<string, Component>} */
+		const map = new Map();
+		for (const [key, entry] of Object.entries(content.components)) {
+			const where = 'components["' + key + '"]';
+			if (!key || key.split(":").length > 2 || key.split(":").some((part) => !part))
+				throw error(where + ': Key must be "cellName" or "libraryName:cellName"');
+			try {
+				map.set(key, this.#parseEntry(typeof entry === "string" ? { stencil: entry } : entry));
+			} catch (err) {
+				throw error(where + err.message);
+			}
+		}
+		return map;
+	}
+
+	/**
+	 * Creates the stencil of a single entry.
+	 *
+	 * @param {object} entry - the entry of the mapping file
+	 * @returns {Component} the stencil
+	 * @throws {Error} if the entry is invalid; the message starts with the path inside the entry
+	 */
+	static #parseEntry(entry) {
+		if (!this.#isObject(entry)) throw new Error(": Expected the name of a stencil or an object");
+		if (typeof entry.stencil !== "string") throw new Error('.stencil: Expected the name of a stencil, e.g. "R"');
+		const stencil = TIKZ_COMPONENTS[entry.stencil];
+		if (!stencil) throw new Error('.stencil: Unknown stencil "' + entry.stencil + '"');
+
+		const unknownKeys = Object.keys(entry).filter((key) => !["stencil", "pins", "anchor", "label"].includes(key));
+		if (unknownKeys.length > 0) throw new Error("." + unknownKeys[0] + ": Unknown property");
+
+		if (entry.label !== undefined && !(stencil instanceof PathComponent))
+			throw new Error(".label: Only supported for path components");
+		const labelOptions = entry.label === undefined ? null : this.#parseLabel(entry.label);
+
+		/** @type {Component} */
+		let result;
+		if (stencil instanceof Transistor) {
+			const pins = this.#parsePins(entry.pins, ABL_TRANSISTOR_PINS);
+			if (pins.length !== 3) throw new Error(".pins: Transistors need exactly 3 pins (top, bottom, tap)");
+			const anchor = entry.anchor === undefined ? 2 : entry.anchor;
+			if (![0, 1, 2].includes(anchor)) throw new Error(".anchor: Expected 0 (top), 1 (bottom) or 2 (tap)");
+			result = new ABLTransistorMapper(stencil, pins, anchor);
+		} else {
+			if (entry.anchor !== undefined) throw new Error(".anchor: Only supported for transistors");
+			if (stencil instanceof PathComponent) {
+				const pins = this.#parsePins(entry.pins, stencil.pins);
+				if (pins.length !== 2) throw new Error(".pins: Path components need exactly 2 pins");
+				result = new PathComponent(stencil.tikzComponentName, null, pins);
+			} else if (stencil instanceof PotentialComponent) {
+				const pins = this.#parsePins(entry.pins, [new Pin(new Coordinate(0, 0), null, 1)]);
+				if (pins.length !== 1) throw new Error(".pins: Potentials need exactly 1 pin");
+				result = new PotentialComponent(stencil.potentialType, pins[0]);
+			} else if (stencil instanceof GenericBlock) {
+				if (entry.pins !== undefined) throw new Error(".pins: Generic blocks find their pins automatically");
+				result = new GenericBlock();
+			} else throw new Error('.stencil: Stencil "' + entry.stencil + '" can not be used for mapping');
+		}
+
+		if (labelOptions) result.labelOptions = labelOptions;
+		return result;
+	}
+
+	/**
+	 * Parses the list of pins.
+	 *
+	 * @param {Array<number|object>|undefined} pinEntries - the entries of the mapping file
+	 * @param {Pin[]} defaultPins - the pins of the stencil
+	 * @returns {Pin[]} the pins
+	 * @throws {Error} if an entry is invalid
+	 */
+	static #parsePins(pinEntries, defaultPins) {
+		if (pinEntries === undefined) return defaultPins.map((pin) => pin.deepClone());
+		if (!Array.isArray(pinEntries)) throw new Error(".pins: Expected an array");
+
+		return pinEntries.map((pinEntry, i) => {
+			const defaultCoord = defaultPins[i] && defaultPins[i].coord ? defaultPins[i].coord : new Coordinate(0, 0);
+			if (Number.isInteger(pinEntry)) return new Pin(defaultCoord.clone(), null, pinEntry);
+			if (!this.#isObject(pinEntry)) throw new Error(".pins[" + i + "]: Expected an instTermNumber or an object");
+
+			for (const key of ["x", "y"])
+				if (pinEntry[key] !== undefined && !Number.isFinite(pinEntry[key]))
+					throw new Error(".pins[" + i + "]." + key + ": Expected a number");
+			if (pinEntry.instTermNumber !== undefined && !Number.isInteger(pinEntry.instTermNumber))
+				throw new Error(".pins[" + i + "].instTermNumber: Expected an integer");
+			if (pinEntry.name !== undefined && typeof pinEntry.name !== "string")
+				throw new Error(".pins[" + i + "].name: Expected a string");
+			if (pinEntry.instTermNumber === undefined && pinEntry.name === undefined)
+				throw new Error(".pins[" + i + "]: Expected instTermNumber or name");
+
+			return new Pin(
+				new Coordinate(
+					pinEntry.x === undefined ? defaultCoord.x : pinEntry.x,
+					pinEntry.y === undefined ? defaultCoord.y : pinEntry.y
+				),
+				pinEntry.name || null,
+				pinEntry.instTermNumber
+			);
+		});
+	}
+
+	/**
+	 * Parses the label settings.
+	 *
+	 * @param {object} labelEntry - the entry of the mapping file
+	 * @returns {{nameLabel?: string, valueLabel?: string, valueParameters?: string[]}} the label settings
+	 * @throws {Error} if the entry is invalid
+	 */
+	static #parseLabel(labelEntry) {
+		if (!this.#isObject(labelEntry)) throw new Error(".label: Expected an object");
+		const labelOptions = {};
+		for (const [key, value] of Object.entries(labelEntry)) {
+			switch (key) {
+				case "nameLabel":
+				case "valueLabel":
+					if (!["l", "a", "none"].includes(value))
+						throw new Error(".label." + key + ': Expected "l", "a" or "none"');
+					break;
+				case "valueParameters":
+					if (!Array.isArray(value) || value.some((name) => typeof name !== "string"))
+						throw new Error(".label.valueParameters: Expected an array of parameter names");
+					break;
+				default:
+					throw new Error(".label." + key + ": Unknown property");
+			}
+			labelOptions[key] = value;
+		}
+		return labelOptions;
+	}
+
+	/**
+	 * @param {*} value - the value to check
+	 * @returns {boolean} true if the value is a plain object (no array, no null)
+	 */
+	static #isObject(value) {
+		return typeof value === "object" && value !== null && !Array.isArray(value);
+	}
+}
+
+export { MappingFile };
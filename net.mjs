@@ -1,5 +1,6 @@
 import { Wire } from "./wire.mjs";
 import { Pin } from "./pin.mjs";
+import { Component } from "./component.mjs";
 
 /**
  * Representation of a single potential/net.
@@ -12,6 +13,8 @@ class Net {
 	netname;
 	wires;
 	pins;
+	/** @type {boolean} */
+	#generated;
 
 	/**
 	 * Generate a "network" / potential.
@@ -19,11 +22,76 @@ class Net {
 	 * @param {string} netname - the name of the net/potential
 	 * @param {Wire[]} [wires = []] - a list of corresponding wires
 	 * @param {Pin[]} [pins = []] - a list of corresponding pins
+	 * @param {boolean} [generated = false] - set to true if the name was generated (e.g. an uuid) and not assigned by
+	 * the user
 	 */
-	constructor(netname, wires = [], pins = []) {
+	constructor(netname, wires = [], pins = [], generated = false) {
 		this.netname = netname;
 		this.wires = wires || [];
 		this.pins = pins || [];
+		this.#generated = !!generated;
+	}
+
+	/**
+	 * Checks if the name of the net was generated by ADS (e.g. "_net12") or by this converter (uuid) instead of being
+	 * assigned by the user.
+	 *
+	 * @returns {boolean} true if the name is generated
+	 */
+	get isGenerated() {
+		return this.#generated || !this.netname || /^_net\d+$/i.test(this.netname);
+	}
+
+	/**
+	 * Serializes the net for the JSON representation (see `Schematic.toJSON`). Only names generated by the converter
+	 * are marked as generated; ADS names like "_net12" are recognized by `isGenerated` anyway.
+	 *
+	 * @returns {{name: string, generated: boolean}} the JSON object
+	 */
+	serializeJson() {
+		return { name: this.netname, generated: this.#generated };
+	}
+
+	/**
+	 * Creates a net from its JSON representation (see `Schematic.fromJSON`). Wires and pins are added later.
+	 *
+	 * @param {{name: string, generated: boolean}} json - the net
+	 * @returns {Net} the new net
+	 */
+	static fromJson(json) {
+		return new Net(String(json.name || ""), [], [], !!json.generated);
+	}
+
+	/**
+	 * Converts the net name to LaTeX. Names with an explicit index (`symbol_index`) and known supply and signal names
+	 * (e.g. `VDD`, `Vcc`, `Vout`, `V1`) are set as math with subscript; word subscripts and symbols are set upright.
+	 * Every other name is escaped, so that names like "IF" or "INPUT" are kept as they are.
+	 *
+	 * @example
+	 * new Net("VDD").getPrettyName();   // returns "$V_{\mathrm{DD}}$"
+	 * new Net("V_out").getPrettyName(); // returns "$V_{\mathrm{out}}$"
+	 * new Net("U_1").getPrettyName();   // returns "$U_{1}$"
+	 * new Net("Vbias_2").getPrettyName(); // returns "$\mathrm{Vbias}_{2}$"
+	 * new Net("INPUT").getPrettyName(); // returns "INPUT"
+	 * new Net("_net12").getPrettyName(); // returns ""
+	 *
+	 * @returns {string} the LaTeX representation; empty if the name is generated
+	 */
+	getPrettyName() {
+		if (this.isGenerated) return "";
+
+		const [_fullMatch, symbol, index] =
+			this.netname.match(/^([a-zA-Z]+)_([a-zA-Z0-9]+)$/) ||
+			this.netname.match(/^([VvUuIi])(DD|CC|SS|EE|BB|IN|OUT|REF|dd|cc|ss|ee|bb|in|out|ref|[0-9]+)$/) ||
+			[];
+		if (!symbol) return Component.escapeLaTeX(this.netname);
+
+		/**
+		 * @param {string} text - the symbol or index
+		 * @returns {string} words upright, single letters and numbers unchanged
+		 */
+		const upright = (text) => (text.length > 1 && !/^[0-9]+$/.test(text) ? "\\mathrm{" + text + "}" : text);
+		return "$" + upright(symbol) + "_{" + upright(index) + "}$";
 	}
 }
 
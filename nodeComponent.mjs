@@ -1,4 +1,7 @@
 import { Component } from "./component.mjs";
+import { Coordinate } from "./coordinate.mjs";
+import { Designer } from "./designer.mjs";
+import { Svg } from "./svg.mjs";
 
 /**
  * Base class for node-style TikZ components.
@@ -22,9 +25,10 @@ class NodeComponent extends Component {
 	 * Serializes a component. The TikZ "source code" is returned.
 	 *
 	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} [options={}] - settings for the serialization
 	 * @returns {string} the serialized component
 	 */
-	serialize(indent = 0) {
+	serialize(indent = 0, options = {}) {
 		let text = this.nodeText || "";
 
 		// Fix rotation & mirroring of text
@@ -36,7 +40,7 @@ class NodeComponent extends Component {
 		
 		return (
 			"\t".repeat(indent) +
-			(global.DEBUG ? "\\node[color=blue, " : "\\node[") +
+			(options.debug ? "\\node[color=blue, " : "\\node[") +
 			this.tikzComponentName +
 			(this.mirrorX ? ", yscale=-1" : "") +
 			(this.mirrorY ? ", xscale=-1" : "") +
@@ -50,6 +54,53 @@ class NodeComponent extends Component {
 			"};"
 		);
 	}
+
+	/**
+	 * Serializes a component as SVG. The symbol is rotated and mirrored like the TikZ node; the text stays upright.
+	 *
+	 * @returns {string[]} the SVG elements; empty if there is no symbol for the component
+	 */
+	serializeSvg() {
+		const glyph = Svg.getNodeGlyph(this.tikzComponentName);
+		if (!glyph || !this.coord) return [];
+
+		// TikZ applies the last option first: rotate, then mirror
+		const angle = (this.angle * Math.PI) / 180;
+		const transform = ([x, y]) => {
+			const rotated = [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)];
+			return new Coordinate(
+				this.coord.x + (this.mirrorY ? -rotated[0] : rotated[0]),
+				this.coord.y + (this.mirrorX ? -rotated[1] : rotated[1])
+			);
+		};
+
+		const elements = Svg.shapes(glyph.shapes, transform);
+		if (this.nodeText && glyph.textPosition) {
+			const position = transform(glyph.textPosition);
+			elements.push(Svg.text(position, this.nodeText, Svg.getAnchor(position.clone().subtract(this.coord))));
+		}
+		return elements;
+	}
+
+	/**
+	 * Serializes a component for the Circuit2TikZ designer (see `Designer`).
+	 *
+	 * @returns {designerComponent[]} the designer components; empty if there is no position
+	 */
+	serializeDesigner() {
+		if (!this.coord) return [];
+		return [
+			Designer.node(
+				this.tikzComponentName,
+				this.coord,
+				this.angle,
+				this.mirrorX,
+				this.mirrorY,
+				this.nodeText || "",
+				this.nodeName || ""
+			),
+		];
+	}
 }
 
 export { NodeComponent };
@@ -1,7 +1,10 @@
 import { Component } from "./component.mjs";
 import { Pin } from "./pin.mjs";
 import { Coordinate } from "./coordinate.mjs";
+import { Designer } from "./designer.mjs";
 import { Net } from "./net.mjs";
+import { Svg } from "./svg.mjs";
+import { getStyledComponentName } from "./styles.mjs";
 
 /**
  * Class representing a path-style TikZ component.
@@ -48,25 +51,28 @@ class PathComponent extends Component {
 	/**
 	 * Serializes a component. The TikZ "source code" is returned.
 	 *
+	 * The instance name and the values are added as label (`l=`) or annotation (`a=`) depending on `options`. If both
+	 * use the same key, they are joined, e.g. `l={$R_{1}$, \qty{50}{\ohm}}`.
+	 *
 	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} [options={}] - settings for the serialization
 	 * @returns {string} the serialized component
 	 */
-	serialize(indent = 0) {
-		// C1 --> ${C}_{1}$
-		let label = "";
-		if (this.instanceName) {
-			let [_fullMatch, name, index] = this.instanceName.match(/^([a-zA-Z]+)[_-]?([0-9]+)$/) || [null, null, null];
-
-			if (name && !Number.isNaN((index = Number.parseInt(index)))) label = `\${${name}}_{${index}}\$`;
-			else label = this.instanceName.replace("_", "\\_");
+	serialize(indent = 0, options = {}) {
+		if (this.labelOptions) options = { ...options, ...this.labelOptions };
+		const nameText = this.#getNameText();
 
-			label = ", l=" + label;
-		}
+		let label = "";
+		this.#getLabelTexts(options).forEach((texts, key) => {
+			const text = texts.join(", ");
+			// braces protect commas of siunitx or joined labels
+			label += ", " + key + "=" + (text === nameText ? text : "{" + text + "}");
+		});
 
 		/** DEBUG: marks the first pin of the component. (1)-/--[R]---(2) */
 		/** @type {string} */
 		let pinmark;
-		if (global.DEBUG) {
+		if (options.debug) {
 			pinmark = "\t".repeat(indent) + "\\draw[color=blue] " + this.pins[0].coord.serializeName() + " ";
 			if (this.angle === 0 || this.angle === 180) {
 				if (this.pins[0].coord.x < this.pins[1].coord.x)
@@ -86,10 +92,10 @@ class PathComponent extends Component {
 		return (
 			pinmark +
 			"\t".repeat(indent) +
-			(global.DEBUG ? "\\draw[color=blue] " : "\\draw ") +
+			(options.debug ? "\\draw[color=blue] " : "\\draw ") +
 			this.pins[0].coord.serializeName() +
 			" to[" +
-			this.#tikzComponentName +
+			getStyledComponentName(this.#tikzComponentName, options.style) +
 			label +
 			"] " +
 			this.pins[1].coord.serializeName() +
@@ -97,6 +103,132 @@ class PathComponent extends Component {
 		);
 	}
 
+	/**
+	 * Serializes a component as SVG. A simple symbol of the TikZ component is drawn between the pins; the labels are
+	 * placed beside it (`l` above/left, `a` below/right of the path direction).
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string[]} the SVG elements
+	 */
+	serializeSvg(options = {}) {
+		if (this.labelOptions) options = { ...options, ...this.labelOptions };
+		const [start, end] = this.pins.map((pin) => pin.coord);
+		const length = start.getDistance(end);
+		if (length === 0) return [];
+
+		const glyph = Svg.getPathGlyph(getStyledComponentName(this.#tikzComponentName, options.style), options.style);
+		// shrink the symbol if the pins are too close
+		const scale = Math.min(1, length / 2 / glyph.halfLength);
+		const xAxis = end.clone().subtract(start).scale(1 / length, true);
+		const frame = Svg.frame(
+			start.clone().add(end).scale(0.5, true),
+			xAxis.clone().scale(scale, true),
+			new Coordinate(-xAxis.y * scale, xAxis.x * scale)
+		);
+
+		const elements = [];
+		if (scale === 1)
+			elements.push(
+				Svg.line([start, frame([-glyph.halfLength, 0])]),
+				Svg.line([frame([glyph.halfLength, 0]), end])
+			);
+		elements.push(...Svg.shapes(glyph.shapes, frame, scale));
+
+		const sides = { l: 1, a: -1 };
+		this.#getLabelTexts(options).forEach((texts, key) => {
+			const position = frame([0, sides[key] * glyph.halfHeight]);
+			elements.push(Svg.text(position, texts.join(", "), Svg.getAnchor(position.clone().subtract(frame([0, 0])))));
+		});
+		return elements;
+	}
+
+	/**
+	 * Serializes a component for the Circuit2TikZ designer (see `Designer`).
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {designerComponent[]} the designer components
+	 */
+	serializeDesigner(options = {}) {
+		if (this.labelOptions) options = { ...options, ...this.labelOptions };
+		return [
+			Designer.path(
+				getStyledComponentName(this.#tikzComponentName, options.style),
+				this.pins.map((pin) => pin.coord),
+				this.#getLabelTexts(options)
+			),
+		];
+	}
+
+	/**
+	 * Serializes a component for the JSON representation (see `Schematic.toJSON`).
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {componentJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			type: "path",
+			tikzComponentName: this.#tikzComponentName,
+			instanceName: this.instanceName,
+			pins: this.pins.map((pin) => pin.serializeJson(context)),
+			...super.serializeJson(context),
+		};
+	}
+
+	/**
+	 * Creates a component from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {componentJson} json - the component of type "path"
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {PathComponent} the new component
+	 * @throws {Error} if the component has not exactly two pins or a reference is invalid
+	 */
+	static fromJson(json, context) {
+		const pins = (json.pins || []).map((pin) => Pin.fromJson(pin, context));
+		if (pins.length !== 2) throw new Error('Path component "' + json.instanceName + '" needs exactly 2 pins');
+		return new PathComponent(
+			json.tikzComponentName,
+			json.instanceName,
+			pins,
+			json.angle,
+			!!json.mirrorX,
+			!!json.mirrorY
+		).applyJson(json);
+	}
+
+	/**
+	 * Generates the instance name as LaTeX text.
+	 *
+	 * @example // C1 --> ${C}_{1}$
+	 * @returns {string} the name text; empty if there is no instance name
+	 */
+	#getNameText() {
+		if (!this.instanceName) return "";
+		let [_fullMatch, name, index] = this.instanceName.match(/^([a-zA-Z]+)[_-]?([0-9]+)$/) || [null, null, null];
+
+		if (name && !Number.isNaN((index = Number.parseInt(index)))) return `\${${name}}_{${index}}\$`;
+		else return this.instanceName.replace("_", "\\_");
+	}
+
+	/**
+	 * Collects the label texts of the instance name and the values. If both use the same key, they are joined.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {Map<string, string[]>} label key --> texts, e.g. "l" --> ["$R_{1}$", "\qty{50}{\ohm}"]
+	 */
+	#getLabelTexts(options) {
+		const nameLabel = options.nameLabel || "l";
+		const valueLabel = options.valueLabel || "none";
+		const nameText = this.#getNameText();
+		const valueText = valueLabel !== "none" ? this.getValueText(options.valueParameters) : "";
+
+		/** @type {Map<string, string[]>} */
+		const labelTexts = new Map();
+		if (nameText && nameLabel !== "none") labelTexts.set(nameLabel, [nameText]);
+		if (valueText) labelTexts.set(valueLabel, [...(labelTexts.get(valueLabel) || []), valueText]);
+		return labelTexts;
+	}
+
 	/**
 	 * Deep clone of this object.
 	 *
@@ -118,10 +250,22 @@ class PathComponent extends Component {
 	 * @param {Wire[]} wires - list of all wires
 	 * @param {Map<string,Net>} nets - list of all nets
 	 * @param {Coordinate[]} coords - list of all coordinates
+	 * @param {Pin[]|null} [symbolPins=null] - pin positions of the ABL symbol view; overwrite the stencil pins
 	 *
 	 * @returns {PathComponent} the new PathComponent
 	 */
-	useAsStencil(libraryName, cellName, instanceName, attributes, pins, placement, wires, nets, coords) {
+	useAsStencil(
+		libraryName,
+		cellName,
+		instanceName,
+		attributes,
+		pins,
+		placement,
+		wires,
+		nets,
+		coords,
+		symbolPins = null
+	) {
 		// normalize angle --> -180 < angle <= 180
 		while (placement.angle <= -180) placement.angle += 360;
 		while (placement.angle > 180) placement.angle -= 360;
@@ -133,14 +277,12 @@ class PathComponent extends Component {
 		else coords.push(instanceCoord);
 
 		// reorder
-		pins = this.pins.map((ablPin) =>
-			pins.find((pin) =>
-				pin.name && ablPin.name ? pin.name == ablPin.name : pin.instTermNumber === ablPin.instTermNumber
-			)
-		);
+		pins = this.pins.map((ablPin) => pins.find((pin) => Pin.matches(ablPin, pin)));
 
 		// set pins (+positions)
-		pins.forEach((pin) => pin.findPosition(this.pins, placement, instanceCoord, wires, nets, coords));
+		pins.forEach((pin) =>
+			pin.findPosition(symbolPins || this.pins, placement, instanceCoord, wires, nets, coords)
+		);
 
 		return new PathComponent(this.#tikzComponentName, instanceName, pins, placement.angle);
 	}
@@ -1,59 +1,68 @@
 /**
- * Parses an string and converts it to siunitx syntax.
+ * Known units and their siunitx macro.
  *
- * E.g. "1k1Ohm" --> "\si{1.1}{\kilo\ohm}}". If a value can't be parsed, its original value is returned.
+ * @type {[string, string][]}
+ */
+const SI_UNIT_MAP = [
+	["A", "\\ampere"],
+	["Ampere", "\\ampere"],
+	["C", "\\coulomb"],
+	["Coulomb", "\\coulomb"],
+	["F", "\\farad"],
+	["Farad", "\\farad"],
+	["Hz", "\\hertz"],
+	["Hertz", "\\hertz"],
+	["H", "\\henry"],
+	["Henry", "\\henry"],
+	["Ω", "\\ohm"],
+	["Ohm", "\\ohm"],
+	["S", "\\siemens"],
+	["Siemens", "\\siemens"],
+	//["T", "\\tesla"],	// could also mean tera
+	["Tesla", "\\tesla"],
+	["V", "\\volt"],
+	["Volt", "\\volt"],
+	["W", "\\watt"],
+	["Watt", "\\watt"],
+];
+
+/**
+ * Known prefixes, their siunitx macro and their SPICE scale factor.
+ *
+ * @type {[string, string, string][]}
+ */
+const SI_PREFIX_MAP = [
+	["f", "\\femto", "f"],
+	["p", "\\pico", "p"],
+	["n", "\\nano", "n"],
+	["µ", "\\micro", "u"],
+	["u", "\\micro", "u"],
+	["m", "\\milli", "m"],
+
+	["k", "\\kilo", "k"],
+	["K", "\\kilo", "k"],
+	["M", "\\mega", "Meg"],
+	["G", "\\giga", "G"],
+	["T", "\\tera", "T"],
+];
+
+/**
+ * Splits a string into its number and its unit (including the prefix).
+ *
+ * E.g. "1k1Ohm" --> `{num: 1.1, unit: "kOhm"}`; "50 Ohm" --> `{num: 50, unit: "Ohm"}`.
  *
  * @param {string} str - the string to parse
- * @param {string} [suggestedUnit] - unit to use if `str` does not contain a unit
- * @param {string} [forceUnit] - overwrites any foud unit
- * @returns {string}
+ * @returns {{num: number, unit: string}|null} the number and unit or null, if the string can't be parsed
  */
-function atoLaTex(str, suggestedUnit, forceUnit) {
+function splitQuantity(str) {
 	const regex = /^\s*(\d*)\s*([a-zA-Z\,\.]?)\s*(\d+)\s*([a-zA-Z]*)\s*$/;
-	const SI_UNIT_MAP = [
-		["A", "\\ampere"],
-		["Ampere", "\\ampere"],
-		["C", "\\coulomb"],
-		["Coulomb", "\\coulomb"],
-		["F", "\\farad"],
-		["Farad", "\\farad"],
-		["Hz", "\\hertz"],
-		["Hertz", "\\hertz"],
-		["H", "\\henry"],
-		["Henry", "\\henry"],
-		["Ω", "\\ohm"],
-		["Ohm", "\\ohm"],
-		["S", "\\siemens"],
-		["Siemens", "\\siemens"],
-		//["T", "\\tesla"],	// could also mean tera
-		["Tesla", "\\tesla"],
-		["V", "\\volt"],
-		["Volt", "\\volt"],
-		["W", "\\watt"],
-		["Watt", "\\watt"],
-	];
-	const SI_PREFIX_MAP = [
-		["f", "\\femto"],
-		["p", "\\pico"],
-		["n", "\\nano"],
-		["µ", "\\micro"],
-		["u", "\\micro"],
-		["m", "\\milli"],
-
-		["K", "\\kilo"],
-		["k", "\\kilo"],
-		["M", "\\mega"],
-		["G", "\\giga"],
-		["T", "\\tera"],
-	];
-
 	let num = Number(str);
 	let unit = "";
 
 	if (Number.isNaN(num)) {
 		// not just a number --> parse with regex
 		const result = regex.exec(str);
-		if (!result) return str;
+		if (!result) return null;
 
 		const fullDigits = result[1] || "0";
 		const delimiterOrUnit = result[2];
@@ -61,15 +70,39 @@ function atoLaTex(str, suggestedUnit, forceUnit) {
 		const maybeUnit = result[4];
 
 		if (delimiterOrUnit) num = Number(fullDigits + "." + decimalPlaces);
-		else num = Number(decimalPlaces);
+		else num = Number(fullDigits + decimalPlaces); // "50 Ohm" --> "5" + "0"
 
 		// units
 		if (delimiterOrUnit && [",", "."].includes(delimiterOrUnit)) unit = maybeUnit; // "1.1 kOhm" --> 1.1 "kOhm"
 		else unit = delimiterOrUnit + maybeUnit; // "1k1 Ohm" --> 1.1 "kOhm"; "3 Ohm" --> 3 "Ohm"
 	}
 
+	return { num, unit };
+}
+
+/**
+ * Parses an string and converts it to siunitx syntax.
+ *
+ * E.g. "1k1Ohm" --> "\qty{1.1}{\kilo\ohm}". If a value can't be parsed, its original value is returned.
+ *
+ * @param {string} str - the string to parse
+ * @param {string} [suggestedUnit] - unit to use if `str` does not contain a unit
+ * @param {string} [forceUnit] - overwrites any foud unit
+ * @returns {string}
+ */
+function atoLaTex(str, suggestedUnit, forceUnit) {
+	const quantity = splitQuantity(str);
+	if (!quantity) return str;
+	let { num, unit } = quantity;
+
 	unit = forceUnit ? forceUnit : unit || suggestedUnit || "";
 
+	// just a prefix, e.g. "10k" --> append the unit (without prefix) of the suggested unit
+	if (!forceUnit && suggestedUnit && SI_PREFIX_MAP.some(([key, _val]) => key === unit)) {
+		const suggestedUnitMatch = SI_UNIT_MAP.find(([key, _val]) => suggestedUnit.endsWith(key));
+		if (suggestedUnitMatch) unit += suggestedUnitMatch[0];
+	}
+
 	// parse unit
 	let siunitxUnit = "";
 	for (let unitMatch = []; unitMatch && unit.length > 0; ) {
@@ -96,8 +129,53 @@ function atoLaTex(str, suggestedUnit, forceUnit) {
 
 	if (unit.length > 0) return str; // could not fully parse unit
 
-	if (siunitxUnit) return "\\si{" + num + "}{" + siunitxUnit + "}";
-	else return "\\qty{" + num + "}";
+	if (siunitxUnit) return "\\qty{" + num + "}{" + siunitxUnit + "}";
+	else return "\\num{" + num + "}";
+}
+
+/**
+ * Parses an string and converts it to a SPICE number. The unit is dropped and the prefix is replaced by the SPICE
+ * scale factor.
+ *
+ * E.g. "1k1Ohm" --> "1.1k"; "2.2 MOhm" --> "2.2Meg"; "50" --> "50".
+ *
+ * @param {string} str - the string to parse
+ * @returns {string|null} the SPICE number or null, if the value can't be parsed
+ */
+function atoSpice(str) {
+	const quantity = splitQuantity(str);
+	if (!quantity || Number.isNaN(quantity.num)) return null;
+	let { num, unit } = quantity;
+
+	// remove units; SPICE ignores them anyway but they can be mistaken for a scale factor ("F" = femto)
+	for (let unitMatch = []; unitMatch && unit.length > 0; ) {
+		unitMatch = SI_UNIT_MAP.find(([key, _val]) => unit.endsWith(key));
+		if (unitMatch) unit = unit.slice(0, -unitMatch[0].length);
+	}
+
+	if (unit.length === 0) return String(num);
+	const prefixMatch = SI_PREFIX_MAP.find(([key, _val]) => key === unit);
+	return prefixMatch ? num + prefixMatch[2] : null;
+}
+
+/**
+ * Converts the siunitx macros of a string back to plain text, e.g. for an SVG preview. Other text is kept.
+ *
+ * E.g. "\qty{1.1}{\kilo\ohm}" --> "1.1 kΩ"; "\num{50}, T\_amb" --> "50, T\_amb".
+ *
+ * @param {string} str - the string to convert
+ * @returns {string} the string without siunitx macros
+ */
+function laTexToText(str) {
+	const macrosToText = (macros) =>
+		macros.replace(/\\[a-zA-Z]+/g, (macro) => {
+			const match = [...SI_PREFIX_MAP, ...SI_UNIT_MAP].find(([_key, val]) => val === macro);
+			return match ? match[0] : macro;
+		});
+
+	return String(str)
+		.replace(/\\qty\{([^}]*)\}\{([^}]*)\}/g, (_fullMatch, num, unit) => num + " " + macrosToText(unit))
+		.replace(/\\num\{([^}]*)\}/g, "$1");
 }
 
-export { atoLaTex };
+export { atoLaTex, atoSpice, laTexToText };
@@ -54,6 +54,46 @@ class Pin {
 		return clone;
 	}
 
+	/**
+	 * Serializes the pin for the JSON representation (see `Schematic.toJSON`).
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {pinJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			name: this.name || "",
+			number: this.instTermNumber,
+			coord: context.coord(this.coord),
+			net: context.net(this.net),
+		};
+	}
+
+	/**
+	 * Creates a pin from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {pinJson} json - the pin
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {Pin} the new pin
+	 * @throws {Error} if a reference is invalid
+	 */
+	static fromJson(json, context) {
+		return new Pin(context.coord(json.coord), json.name || "", json.number, context.net(json.net));
+	}
+
+	/**
+	 * Checks if a pin of a stencil corresponds to a pin of an instance. Pins are matched by their name if both have
+	 * one, else by their number (instTermNumber). Stencil pins without name and number never match.
+	 *
+	 * @param {Pin} stencilPin - the pin of the stencil, e.g. of a mapping file
+	 * @param {Pin} pin - the pin of the instance
+	 * @returns {boolean} true if the pins correspond
+	 */
+	static matches(stencilPin, pin) {
+		if (stencilPin.name && pin.name) return stencilPin.name == pin.name;
+		return !!stencilPin.instTermNumber && stencilPin.instTermNumber === pin.instTermNumber;
+	}
+
 	/**
 	 * Search the position of this pin using hints from existing wires, coordinates and the main coordinate of the
 	 * component.
@@ -72,7 +112,7 @@ class Pin {
 	findPosition(pins = [], placement, instanceCoord, wires, _nets, coords, relativeCoords = true) {
 		// set pin placement hints
 		if (pins){
-			let pin = pins.find((stencilPin) => stencilPin.instTermNumber == this.instTermNumber);
+			let pin = pins.find((stencilPin) => Pin.matches(stencilPin, this));
 			let pinCoord = pin ? pin.coord : null;
 			this.coord = pinCoord ? pinCoord.clone() : null;
 		}
@@ -86,6 +86,44 @@ class PotentialComponent extends NodeComponent {
 		return "";
 	}
 
+	/**
+	 * Serializes a component for the JSON representation (see `Schematic.toJSON`). The potential type is stored by its
+	 * key, e.g. "GROUND".
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {componentJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			type: "potential",
+			potentialType: Object.keys(PotentialComponent.POTENTIAL_TYPE).find(
+				(key) => PotentialComponent.POTENTIAL_TYPE[key] === this.potentialType
+			),
+			pin: this.pin.serializeJson(context),
+			...super.serializeJson(context),
+		};
+	}
+
+	/**
+	 * Creates a component from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {componentJson} json - the component of type "potential"
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {PotentialComponent} the new component
+	 * @throws {Error} if the potential type is unknown or a reference is invalid
+	 */
+	static fromJson(json, context) {
+		const potentialType = PotentialComponent.POTENTIAL_TYPE[json.potentialType];
+		if (!potentialType) throw new Error('Unknown potential type "' + json.potentialType + '"');
+		return new PotentialComponent(
+			potentialType,
+			Pin.fromJson(json.pin || {}, context),
+			json.angle,
+			!!json.mirrorX,
+			!!json.mirrorY
+		).applyJson(json);
+	}
+
 	/**
 	 * Generate a TikZ component using `this` as an stencil. The parameters are informations extracted from ABL.
 	 *
@@ -98,10 +136,23 @@ class PotentialComponent extends NodeComponent {
 	 * @param {Wire[]} wires - list of all wires
 	 * @param {Map<string,Net>} nets - list of all nets
 	 * @param {Coordinate[]} coords - list of all coordinates
+	 * @param {Pin[]|null} [symbolPins=null] - pin positions of the ABL symbol view; overwrite the stencil pins
 	 *
 	 * @returns {PotentialComponent} the new NodeComponent
 	 */
-	useAsStencil(libraryName, cellName, instanceName, attributes, pins, placement, wires, nets, coords) {
+	useAsStencil(
+		libraryName,
+		cellName,
+		instanceName,
+		attributes,
+		pins,
+		placement,
+		wires,
+		nets,
+		coords,
+		symbolPins = null
+	) {
+		const symbolPlacement = { ...placement }; // the symbol pins are already horizontal
 		// normalize angle --> -180 < angle <= 180
 		placement.angle += 90; // ADS: grounds etc. are horizontal --|
 		while (placement.angle <= -180) placement.angle += 360;
@@ -114,7 +165,8 @@ class PotentialComponent extends NodeComponent {
 		else coords.push(instanceCoord);
 
 		// set pins (+positions)
-		pins[0].findPosition([this.pin], placement, instanceCoord, wires, nets, coords);
+		if (symbolPins) pins[0].findPosition(symbolPins, symbolPlacement, instanceCoord, wires, nets, coords);
+		else pins[0].findPosition([this.pin], placement, instanceCoord, wires, nets, coords);
 
 		return new PotentialComponent(
 			this.potentialType,
@@ -4,21 +4,45 @@ import { v4 as uuid } from "uuid";
 
 import { Component } from "./component.mjs";
 import { Coordinate } from "./coordinate.mjs";
+import { Designer } from "./designer.mjs";
+import { Diagnostics } from "./diagnostics.mjs";
+import { GenericBlock } from "./genericBlock.mjs";
 import { Net } from "./net.mjs";
+import { PathComponent } from "./pathComponent.mjs";
 import { Pin } from "./pin.mjs";
+import { PotentialComponent } from "./potentialComponent.mjs";
+import { Svg } from "./svg.mjs";
+import { Transistor } from "./transistor.mjs";
 import { Wire } from "./wire.mjs";
+import { WireOptimizer } from "./wireOptimizer.mjs";
+import { ConnectivityChecker } from "./connectivityChecker.mjs";
+import { Subcircuit } from "./subcircuit.mjs";
+import { AblImporter } from "./ablImporter.mjs";
 
 import { atoLaTex } from "./physQuantityParser.mjs";
-import { ADS_COMPONENTS_MAP } from "./components.mjs";
-import { Converter } from "./converter.mjs";
+import { TIKZ_COMPONENTS } from "./components.mjs";
+import { STYLE_PROFILES } from "./styles.mjs";
+
+/**
+ * Component classes by their type in the JSON representation (see `Schematic.toJSON`).
+ *
+ * @type {Object<string, {fromJson: function(componentJson, jsonParseContext): Component}>}
+ */
+const JSON_COMPONENT_TYPES = {
+	path: PathComponent,
+	potential: PotentialComponent,
+	transistor: Transistor,
+	block: GenericBlock,
+	subcircuit: Subcircuit,
+};
 
 /**
  * @class
  * Class representing a schematic.
  * 
  * @example 
- * // node: the XML schematic view node
- * let schematic = Schematic.fromXML(node);	// parses the node
+ * // view: the schematic view of an importer, e.g. from Converter.findSchematicView
+ * let schematic = Schematic.fromView(view);	// parses the view
  * schematic.printToStream(process.stdout);	// serializes as TikZ code
  * @hideconstructor
  */
@@ -31,6 +55,32 @@ class Schematic {
 	#wires;
 	/** @type {Component[]} */
 	#components;
+	/** @type {{instanceName: string, libraryName: string, cellName: string}[]} */
+	#skippedComponents;
+	/** @type {Diagnostics} */
+	#diagnostics;
+	/** @type {debugMarker[]} */
+	#debugMarkers;
+	/** @type {Pin[]} */
+	#ports;
+	/** @type {{name: string, number: number, pin: Pin|null, pins: Pin[]}[]} */
+	#portDefinitions;
+
+	/**
+	 * Identifier of the JSON representation (see `toJSON`).
+	 *
+	 * @constant
+	 * @type {string}
+	 */
+	static JSON_FORMAT = "abl2tikz-schematic";
+
+	/**
+	 * Version of the JSON representation. It is increased on incompatible changes.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static JSON_VERSION = 1;
 
 	/**
 	 * @typedef {object} parameterParseSetting settings for parsing of component parameters.
@@ -47,90 +97,439 @@ class Schematic {
 	#parameterParserSettings = new Map([
 		["C", { parse: true, suggestedUnit: "uF" }],
 		["F", { parse: true, suggestedUnit: "Hz" }],
-		["R", { parse: true, suggestedUnit: "Volt" }],
+		["Freq", { parse: true, suggestedUnit: "Hz" }],
+		["R", { parse: true, suggestedUnit: "Ohm" }],
 		["L", { parse: true, suggestedUnit: "nH" }],
+		["V", { parse: true, suggestedUnit: "V" }],
+		["Vdc", { parse: true, suggestedUnit: "V" }],
+		["Vac", { parse: true, suggestedUnit: "V" }],
+		["Idc", { parse: true, suggestedUnit: "A" }],
+		["Iac", { parse: true, suggestedUnit: "A" }],
 	]);
 
 	/**
-	 * Use `fromXML `to create a schematic.
+	 * @typedef {object} serializeOptions settings for the serialization of a schematic.
+	 * @property {"l"|"a"|"none"} [nameLabel="l"] - the label key for the instance name; "none" to hide the name
+	 * @property {"l"|"a"|"none"} [valueLabel="none"] - the label key for the parameter values; "none" to hide them
+	 * @property {string[]|null} [valueParameters=null] - names of the parameters to show; null to show every visible one
+	 * @property {boolean} [junctions=true] - set to true to mark connections of three or more wires/pins with dots
+	 * @property {boolean} [hops=false] - set to true to hop over crossings of wires of different nets
+	 * @property {boolean} [poles=false] - set to true to mark dangling wire ends at ports with open poles
+	 * @property {"none"|"ends"|"longest"} [netLabels="none"] - placement of the names of user named nets: at the
+	 * dangling wire ends or at the longest wire segment of the net
+	 * @property {boolean} [namedCoordinates=false] - set to true to define named TikZ coordinates first and reference
+	 * them by name instead of repeating the positions
+	 * @property {number|null} [precision=3] - number of decimal places of positions; null to disable rounding
+	 * @property {boolean} [standalone=false] - set to true to wrap the picture in a compilable standalone document
+	 * @property {string} [style=""] - name of the style profile (see `STYLE_PROFILES`), e.g. "american"
+	 * @property {"old"|"noold"|"RP"|"EF"} [voltageDirection] - the CircuiTikZ voltage direction convention
+	 * @property {number} [componentScale] - scale of resistors, capacitors, inductors and diodes
+	 * @property {"pgf"|"svg"|"designer"|"json"} [outputFormat="pgf"] - "pgf" for TikZ code, "svg" for an SVG preview
+	 * with simplified symbols, but the same geometry, "designer" for the JSON format of the Circuit2TikZ web designer,
+	 * "json" for the JSON representation of the model (see `toJSON`; all other options are ignored)
+	 * @property {boolean} [debugOverlay=false] - set to true to draw the debug markers of the parser (e.g. the anchors
+	 * found while mapping transistors, see `debugMarker`) on the PGF layer `debug` above the picture; TikZ code only
+	 * @property {boolean} [debug=false] - set to true to draw wires red with arrow tips and components blue and to mark
+	 * the first pin of path components, e.g. to tell the elements apart when looking for bugs; TikZ code only
+	 */
+
+	/**
+	 * @typedef {object} schematicJson the JSON representation of a schematic (see `Schematic.toJSON`). Coordinates and
+	 * nets are shared by wires, pins and components. Thus, they are listed once and referenced by their index. All
+	 * positions are TikZ units, i.e. already scaled.
+	 * @property {string} format - always `Schematic.JSON_FORMAT` ("abl2tikz-schematic")
+	 * @property {number} version - the version of the representation (see `Schematic.JSON_VERSION`)
+	 * @property {{x: number, y: number}[]} coordinates - all positions
+	 * @property {{name: string, generated: boolean}[]} nets - all nets; `generated` is true if the name was generated
+	 * by the converter (uuid) and not assigned by the user
+	 * @property {{net: number, coords: number[]}[]} wires - the wires: the net index and the coordinate indices
+	 * @property {{name: string, number: number, pins: pinJson[]}[]} ports - the ports of the schematic
+	 * @property {componentJson[]} components - the components
+	 * @property {{instanceName: string, libraryName: string, cellName: string, drawnAsBlock: boolean}[]}
+	 * skippedComponents - components, which could not be identified (see `skippedComponents`)
+	 * @property {Object<string, schematicJson>} subcircuits - cell name --> schematic of the subcircuit components
+	 */
+
+	/**
+	 * @typedef {object} pinJson a pin in the JSON representation.
+	 * @property {string} name - the name of the pin, e.g. "P1"; may be empty
+	 * @property {number} number - the instTermNumber of the pin
+	 * @property {number|null} coord - the coordinate index; null if unknown
+	 * @property {number|null} net - the net index; null if unconnected
+	 */
+
+	/**
+	 * @typedef {object} componentJson a component in the JSON representation. Besides the common properties, the
+	 * properties of the constructor of the component class are stored, e.g. `tikzComponentName`, `instanceName` and
+	 * `pins` for "path" (`PathComponent`). Coordinates are stored as index.
+	 * @property {"path"|"potential"|"transistor"|"block"|"subcircuit"} type - the component class: `PathComponent`,
+	 * `PotentialComponent`, `Transistor`, `GenericBlock` or `Subcircuit`
+	 * @property {number} angle - the rotation in degrees, counter clockwise
+	 * @property {boolean} mirrorX - true to mirror on x axis
+	 * @property {boolean} mirrorY - true to mirror on y axis
+	 * @property {Object<string, string>} values - the values to display, e.g. `{R: "\\qty{50}{\\ohm}"}`
+	 * @property {{nameLabel?: string, valueLabel?: string, valueParameters?: string[]}|null} labelOptions - label
+	 * settings of the stencil
+	 * @property {{libraryName: string, cellName: string, parameters: Object<string, string>}|null} source - the
+	 * instance of the source file including all raw parameters
+	 */
+
+	/**
+	 * @typedef {object} jsonSerializeContext resolves shared objects while creating the JSON representation.
+	 * @property {function(Coordinate|null): number|null} coord - returns the index of a coordinate
+	 * @property {function(Net|null): number|null} net - returns the index of a net
+	 * @property {function(string, Schematic): string} subcircuit - adds the schematic of a subcircuit cell and returns
+	 * its key
+	 */
+
+	/**
+	 * @typedef {object} jsonParseContext resolves references while reading the JSON representation.
+	 * @property {function(number|null): Coordinate|null} coord - returns the coordinate of an index
+	 * @property {function(number|null): Net|null} net - returns the net of an index
+	 * @property {function(string): Schematic} subcircuit - returns the schematic of a subcircuit cell
+	 */
+
+	/**
+	 * Use `fromView` to create a schematic.
 	 */
 	constructor() {
 		this.#coords = [];
 		this.#nets = new Map();
 		this.#wires = [];
 		this.#components = [];
+		this.#skippedComponents = [];
+		this.#diagnostics = new Diagnostics();
+		this.#debugMarkers = [];
+		this.#ports = [];
+		this.#portDefinitions = [];
+	}
+
+	/**
+	 * Components of the parsed schematic view, which could not be identified. Depending on the parse options, they were
+	 * skipped or drawn as generic block (`drawnAsBlock`).
+	 *
+	 * @returns {{instanceName: string, libraryName: string, cellName: string, drawnAsBlock: boolean}[]} a copy of the
+	 * list
+	 */
+	get skippedComponents() {
+		return [...this.#skippedComponents];
 	}
 
 	/**
-	 * Parses a schematic view node and creates an instance of schematic.
+	 * Diagnostics of the importer and the parser, including those of the subcircuit schematics. The schematic does not
+	 * print them. Codes used: "invalid-coordinate" (importer), "unidentified-component" (see `skippedComponents`),
+	 * "unused-mapping-pin" (a pin of the mapping file matches no pin of the instance), "reroute-failed" (a wire at a
+	 * moved pin could not be made orthogonal again) and "pin-moved" (debug).
 	 *
-	 * @param {Element} node - the node to parse
+	 * @returns {diagnostic[]} a copy of the list
+	 */
+	get diagnostics() {
+		return this.#diagnostics.entries;
+	}
+
+	/**
+	 * Ports of the schematic view, i.e. the connections of the cell if used as subcircuit. The number matches the
+	 * instTermNumber of the pins of the subcircuit instances.
+	 *
+	 * @returns {{name: string, number: number, coord: Coordinate|null, net: Net|null}[]} the ports
+	 */
+	get ports() {
+		return this.#portDefinitions.map((port) => ({
+			name: port.name,
+			number: port.number,
+			coord: port.pin ? port.pin.coord : null,
+			net: port.pin ? port.pin.net : null,
+		}));
+	}
+
+	/**
+	 * All components of this schematic view, i.e. everything except wires and ports.
+	 *
+	 * @returns {Component[]} a copy of the list
+	 */
+	get components() {
+		return [...this.#components];
+	}
+
+	/**
+	 * Subcircuit components of this schematic view (not recursive).
+	 *
+	 * @returns {Subcircuit[]} the subcircuits
+	 */
+	get subcircuits() {
+		return this.#components.filter((component) => component instanceof Subcircuit);
+	}
+
+	/**
+	 * Verifies that the drawing matches the nets using {@link ConnectivityChecker}: every pin has to touch a wire or pin
+	 * of its net and no pin or wire may touch another net. The schematics of subcircuits are not checked.
+	 *
+	 * @returns {connectivityProblem[]} the found problems; empty if the drawing matches the nets
+	 */
+	verifyConnectivity() {
+		return ConnectivityChecker.check(
+			[...this.#nets.values()],
+			[
+				...this.#components.map((component) => ({
+					instanceName: component.instanceName || "",
+					pins: component.pins || [],
+				})),
+				...this.#portDefinitions.map((port) => ({ instanceName: port.name, pins: port.pin ? [port.pin] : [] })),
+			]
+		);
+	}
+
+	/**
+	 * Calculates the bounding box of all coordinates (wires, pins and ports).
+	 *
+	 * @returns {{min: Coordinate, max: Coordinate}|null} the bounding box or null if the schematic is empty
+	 */
+	getBoundingBox() {
+		const coords = [...this.#getAllCoords()];
+		if (coords.length === 0) return null;
+		return {
+			min: new Coordinate(Math.min(...coords.map((coord) => coord.x)), Math.min(...coords.map((coord) => coord.y))),
+			max: new Coordinate(Math.max(...coords.map((coord) => coord.x)), Math.max(...coords.map((coord) => coord.y))),
+		};
+	}
+
+	/**
+	 * @typedef {object} parseOptions settings for parsing a schematic view.
+	 * @property {boolean} [optimizeWires=true] - set to true to merge and simplify the wires of every net
+	 * @property {number} [scale=2.54] - factor for scaling; ADS uses inch, TikZ uses cm, thus 2.54 is recommended
+	 * @property {boolean} [normalizeOrigin=false] - set to true to move the drawing, so that its bounding box starts at
+	 * the origin
+	 * @property {number} [grid=0] - snap all coordinates to a grid of this size (after scaling); 0 to disable
+	 * @property {Map<string, Component>} [componentMap] - user supplied mapping (see `MappingFile`), which takes
+	 * precedence over the built-in mapping of the importer (e.g. `ADS_COMPONENTS_MAP`)
+	 * @property {boolean} [fallback=true] - set to true to draw components, which could not be identified, as generic
+	 * block (see `GenericBlock`); otherwise they are skipped
+	 * @property {boolean} [strict=false] - set to true to throw an error if a component could not be identified
+	 * @property {Map<string, Pin[]>} [pinGeometries] - pin positions read from the symbol views (see
+	 * `Converter.getPinGeometries`), which take precedence over the pin positions of the stencils
+	 * @property {Map<string, importedSchematicView>} [subcircuits] - schematic views of the cells in the source file (see
+	 * `Converter.getSubcircuitViews`); instances of these cells are treated as hierarchical subcircuits
+	 * @property {"block"|"scope"|"pic"} [hierarchy="block"] - rendering of subcircuits (see `Subcircuit`)
+	 * @property {string[]} [parentCells] - names of the cells containing this schematic; used to detect recursions
+	 */
+
+	/**
+	 * Converts a schematic view of an importer and creates an instance of schematic.
+	 *
+	 * @param {importedSchematicView} schematicView - the schematic view (see `Converter.findSchematicView`)
+	 * @param {parseOptions} [options={}] - settings for parsing
 	 * @returns {Schematic} - the parsed schematic
 	 */
-	static fromXML(node) {
+	static fromView(schematicView, options = {}) {
 		let schematic = new Schematic();
-		schematic.#parse(node);
+		schematic.#parse(schematicView, {
+			scale: Number.isFinite(options.scale) && options.scale > 0 ? options.scale : 2.54,
+			componentMap: options.componentMap || new Map(),
+			unidentified: options.strict ? "strict" : options.fallback === false ? "skip" : "block",
+			pinGeometries: options.pinGeometries || new Map(),
+			subcircuits: options.subcircuits || new Map(),
+			parseOptions: options,
+		});
+		schematic.#transformCoordinates(!!options.normalizeOrigin, options.grid || 0);
+		if (options.optimizeWires !== false) schematic.#optimizeWires();
 		return schematic;
 	}
 
 	/**
-	 * Internal parser function for an schematic view node.
+	 * Parses a schematic view node of an ABL file and creates an instance of schematic.
 	 *
-	 * @param {Element} schematicView - the node to parse
-	 * @param {number} [scale=2.54] - the scale factor (inch --> cm)
+	 * @deprecated Kept for compatibility; use an importer (see `Converter.getImporter`) and `fromView` instead, which
+	 * support all source formats.
+	 * @param {Element} node - the schematic view node to parse
+	 * @param {parseOptions} [options={}] - settings for parsing
+	 * @returns {Schematic} - the parsed schematic
 	 */
-	#parse(schematicView, scale = 2.54) {
-		//-- 1. get list of XML nodes to parse
-		/** @type {Element} */
-		const shapes = Converter.getNamedTag(schematicView, "shapes");
-		Converter.assertTagFound(shapes, "shapes");
-		/** @type {Element[]} */ // list of wire tags; may be empty
-		const wireArray = Converter.getNamedTags(shapes, "wire");
+	static fromXML(node, options = {}) {
+		return Schematic.fromView(AblImporter.readSchematicView(node), options);
+	}
 
-		/** @type {Element} */
-		const instances = Converter.getNamedTag(schematicView, "instances");
-		Converter.assertTagFound(shapes, "instances");
-		/** @type {Element[]} */ // list of components
-		const instanceArray = Converter.getNamedTags(instances, "instance");
+	/**
+	 * Checks if a text is the JSON representation of a schematic (see `toJSON`), e.g. to detect the format of a file.
+	 *
+	 * @param {string} text - the content of the file
+	 * @returns {boolean} true if the text is a JSON object with the format `JSON_FORMAT`
+	 */
+	static isJSON(text) {
+		if (!/^\s*\{/.test(text)) return false;
+		try {
+			const json = JSON.parse(text);
+			return !!json && json.format === Schematic.JSON_FORMAT;
+		} catch (_error) {
+			return false;
+		}
+	}
 
-		//-- 2. parse wires -----------------------
-		this.#wires = wireArray.map((wireXml) => {
+	/**
+	 * Creates a schematic from its JSON representation (see `toJSON`), e.g. after post-processing it with a script.
+	 * The result can be serialized like a parsed schematic view.
+	 *
+	 * @example
+	 * const json = schematic.toJSON();
+	 * json.nets.find((net) => net.name === "N1").name = "V_out"; // rename a net
+	 * Schematic.fromJSON(json).printToStream(process.stdout);
+	 *
+	 * @param {schematicJson|string} json - the JSON representation as object or string
+	 * @returns {Schematic} the schematic
+	 * @throws {Error} if the format or version is not supported or a reference is invalid
+	 */
+	static fromJSON(json) {
+		if (typeof json === "string") json = JSON.parse(json);
+		if (!json || json.format !== Schematic.JSON_FORMAT)
+			throw new Error('Not a schematic in JSON representation (expected format "' + Schematic.JSON_FORMAT + '")');
+		if (json.version !== Schematic.JSON_VERSION)
+			throw new Error(
+				"Unsupported version " +
+					json.version +
+					" of the JSON representation; supported: " +
+					Schematic.JSON_VERSION
+			);
+
+		const schematic = new Schematic();
+		schematic.#coords = (json.coordinates || []).map((coord) => new Coordinate(Number(coord.x), Number(coord.y)));
+		const nets = (json.nets || []).map((net) => Net.fromJson(net));
+		for (const net of nets) schematic.#nets.set(net.netname, net);
+		/** @type {Map<string, Schematic>} */
+		const subcircuits = new Map(
+			Object.entries(json.subcircuits || {}).map(([cellName, subcircuit]) => [
+				cellName,
+				Schematic.fromJSON(subcircuit),
+			])
+		);
+
+		const resolve = (list, index, name) => {
+			if (index === null || index === undefined) return null;
+			if (!Number.isInteger(index) || !list[index]) throw new Error("Invalid " + name + " index " + index);
+			return list[index];
+		};
+		/** @type {jsonParseContext} */
+		const context = {
+			coord: (index) => resolve(schematic.#coords, index, "coordinate"),
+			net: (index) => resolve(nets, index, "net"),
+			subcircuit: (cellName) => {
+				if (!subcircuits.has(cellName)) throw new Error('Missing schematic of subcircuit "' + cellName + '"');
+				return subcircuits.get(cellName);
+			},
+		};
+
+		schematic.#wires = (json.wires || []).map((wire) => Wire.fromJson(wire, context));
+		schematic.#components = (json.components || []).map((componentJson) => {
+			const componentClass = JSON_COMPONENT_TYPES[componentJson.type];
+			if (!componentClass) throw new Error('Unknown component type "' + componentJson.type + '"');
+			const component = componentClass.fromJson(componentJson, context);
+			for (const pin of component.pins) if (pin.net) pin.net.pins.push(pin);
+			return component;
+		});
+		schematic.#portDefinitions = (json.ports || []).map((port) => {
+			const pins = (port.pins || []).map((pin) => Pin.fromJson(pin, context));
+			const number = Number(port.number) || 0;
+			return { name: String(port.name || ""), number: number, pin: pins[0] || null, pins: pins };
+		});
+		schematic.#ports = schematic.#portDefinitions.flatMap((port) => port.pins);
+		schematic.#skippedComponents = (json.skippedComponents || []).map((component) => ({ ...component }));
+		return schematic;
+	}
+
+	/**
+	 * Creates the JSON representation of the schematic (see `schematicJson`). It contains the full model, i.e.
+	 * coordinates, nets, wires, ports and components with their pins, placement and parameters, and can be read again
+	 * using `fromJSON`. Positions are not rounded.
+	 *
+	 * This method is used by `JSON.stringify`, too.
+	 *
+	 * @returns {schematicJson} the JSON representation
+	 */
+	toJSON() {
+		/** @type {Coordinate[]} */
+		const coords = [];
+		/** @type {Map<Coordinate, number>} */
+		const coordIndices = new Map();
+		/** @type {Net[]} */
+		const nets = [];
+		/** @type {Map<Net, number>} */
+		const netIndices = new Map();
+		const getIndex = (list, indices, item) => {
+			if (!item) return null;
+			if (!indices.has(item)) indices.set(item, list.push(item) - 1);
+			return indices.get(item);
+		};
+		/** @type {Object<string, schematicJson>} */
+		const subcircuits = {};
+		/** @type {jsonSerializeContext} */
+		const context = {
+			coord: (coord) => getIndex(coords, coordIndices, coord),
+			net: (net) => getIndex(nets, netIndices, net),
+			subcircuit: (cellName, schematic) => {
+				if (!(cellName in subcircuits)) subcircuits[cellName] = schematic.toJSON();
+				return cellName;
+			},
+		};
+		this.#getAllCoords().forEach(context.coord);
+		this.#nets.forEach(context.net);
+
+		const wires = this.#wires.map((wire) => wire.serializeJson(context));
+		const ports = this.#portDefinitions.map((port) => ({
+			name: port.name,
+			number: port.number,
+			pins: port.pins.map((pin) => pin.serializeJson(context)),
+		}));
+		const components = this.#components.map((component) => component.serializeJson(context));
+
+		return {
+			format: Schematic.JSON_FORMAT,
+			version: Schematic.JSON_VERSION,
+			coordinates: coords.map((coord) => ({ x: coord.x, y: coord.y })),
+			nets: nets.map((net) => net.serializeJson()),
+			wires: wires,
+			ports: ports,
+			components: components,
+			skippedComponents: this.#skippedComponents.map((component) => ({ ...component })),
+			subcircuits: subcircuits,
+		};
+	}
+
+	/**
+	 * Internal parser function for a schematic view.
+	 *
+	 * @param {importedSchematicView} schematicView - the schematic view to parse
+	 * @param {object} settings - the resolved parse options
+	 * @param {number} settings.scale - the scale factor (inch --> cm)
+	 * @param {Map<string, Component>} settings.componentMap - user supplied mapping with precedence over the
+	 * `componentMap` of the view
+	 * @param {"block"|"skip"|"strict"} settings.unidentified - handling of components, which could not be identified:
+	 * draw a generic block, skip them or throw an error
+	 * @param {Map<string, Pin[]>} settings.pinGeometries - pin positions of the symbol views; libraryName:cellName or
+	 * cellName --> pins
+	 * @param {Map<string, importedSchematicView>} settings.subcircuits - schematic views of subcircuits;
+	 * libraryName:cellName or cellName --> view
+	 * @param {parseOptions} settings.parseOptions - the original options; passed on to subcircuits
+	 * @throws {Error} if a component could not be identified in strict mode or a subcircuit contains itself
+	 */
+	#parse(schematicView, settings) {
+		const { scale, componentMap, unidentified, pinGeometries, subcircuits } = settings;
+		const builtInMap = schematicView.componentMap || new Map();
+		const portCells = schematicView.portCells || new Set();
+		/** @type {Map<string, Subcircuit>} */ // cellName --> stencil; every subcircuit cell is only parsed once
+		const subcircuitStencils = new Map();
+
+		//-- 1. parse wires -----------------------
+		this.#wires = schematicView.wires.map((importedWire) => {
 			// Generate or get net
-			const nameNode = Converter.getNamedTag(wireXml, "net");
-			const netName = (nameNode ? nameNode.getAttribute("name") : "") || ""; // jsdoc doesn't like "?."
+			const netName = importedWire.netName || "";
 			let net = this.#nets.get(netName);
 			if (!net) this.#nets.set(netName, (net = new Net(netName)));
 
-			/** @type {Element} */ // node containing coordinates as a string
-			const points = ["genpolyline", "centerline", "points"].reduce((node, tagname) => {
-				node = Converter.getNamedTag(node, tagname);
-				Converter.assertTagFound(node, tagname);
-				return node;
-			}, wireXml);
-
-			// Parse coordinates
-			const wireCoords = points.textContent.split(" ").reduce(
-				/**
-				 * @param {Coordinate[]} wireCoords
-				 * @param {string} coordString
-				 * @returns {Coordinate[]}
-				 */
-				(wireCoords, coordString) => {
-					let [x, y] = coordString.split(",", 2);
-					x = parseFloat(x);
-					y = parseFloat(y);
-					if (isFinite(x) && isFinite(y)) {
-						let coord = new Coordinate(scale * x, scale * y);
-						const oldCoord = this.#coords.find((existingCoord) => coord.equals(existingCoord));
-						if (!oldCoord) this.#coords.push(coord);
-						wireCoords.push(oldCoord || coord);
-					} else {
-						console.error("Couldn't parse wire coordinate: " + coordString);
-					}
-					return wireCoords;
-				},
-				[]
-			);
+			// Scale coordinates
+			const wireCoords = importedWire.points.map((point) => {
+				const coord = new Coordinate(scale * point.x, scale * point.y);
+				const oldCoord = this.#coords.find((existingCoord) => coord.equals(existingCoord));
+				if (!oldCoord) this.#coords.push(coord);
+				return oldCoord || coord;
+			});
 
 			// Create wire
 			const wire = new Wire(net, wireCoords);
@@ -139,121 +538,168 @@ class Schematic {
 			return wire;
 		});
 
-		// 3. Parse components -----------------------
-		this.#components = instanceArray.reduce(
+		// 2. Parse components -----------------------
+		this.#components = schematicView.instances.reduce(
 			/**
 			 * @param {Component[]} components
-			 * @param {Element} instanceXml
+			 * @param {importedInstance} instance
 			 */
-			(components, instanceXml) => {
+			(components, instance) => {
 				// get componentStencil
-				/** @type {string} */
-				const libraryName = instanceXml.getAttribute("libraryName") || "";
-				/** @type {string} */
-				const cellName = instanceXml.getAttribute("cellName") || "";
-				/** @type {string} */ // R1 etc
-				const instanceName = instanceXml.getAttribute("instanceName") || "";
-
-				const componentStencil =
-					ADS_COMPONENTS_MAP.get(libraryName + ":" + cellName) || ADS_COMPONENTS_MAP.get(cellName);
+				const { libraryName, cellName, instanceName } = instance;
+
+				let componentStencil =
+					componentMap.get(libraryName + ":" + cellName) ||
+					componentMap.get(cellName) ||
+					builtInMap.get(libraryName + ":" + cellName) ||
+					builtInMap.get(cellName);
+				if (!componentStencil && portCells.has(cellName)) {
+					this.#ports.push(...this.#parsePortPins(instance, scale));
+					return components; // <-- ports are no components
+				}
+				const subcircuitView = subcircuits.get(libraryName + ":" + cellName) || subcircuits.get(cellName);
+				if (!componentStencil && subcircuitView) {
+					if (!subcircuitStencils.has(cellName))
+						subcircuitStencils.set(
+							cellName,
+							this.#createSubcircuitStencil(cellName, subcircuitView, settings.parseOptions)
+						);
+					componentStencil = subcircuitStencils.get(cellName);
+				}
 				if (!componentStencil) {
-					console.error(
-						"Skipping not identified component %s: %s:%s",
-						instanceName.padStart(10),
-						libraryName,
-						cellName
+					if (unidentified === "strict")
+						throw new Error(
+							'Component "' + instanceName + '" (' + libraryName + ":" + cellName + ") not identified"
+						);
+					this.#diagnostics.warning(
+						"unidentified-component",
+						(unidentified === "block" ? "Drawing generic block for" : "Skipping") +
+							" not identified component " +
+							instanceName +
+							": " +
+							libraryName +
+							":" +
+							cellName,
+						{ instanceName: instanceName, context: instance.context }
 					);
-					return components; // <-- just skips this component
+					this.#skippedComponents.push({
+						instanceName: instanceName,
+						libraryName: libraryName,
+						cellName: cellName,
+						drawnAsBlock: unidentified === "block",
+					});
+					if (unidentified !== "block") return components; // <-- just skips this component
+					componentStencil = TIKZ_COMPONENTS.block;
 				}
 
-				// extract attributes & parameters & name
-				/** @type {Map<string,string>} */ // list/map of component attributes (inside instance <...>)
-				const attributes = new Map(
-					Array.prototype.map.call(instanceXml.attributes, (attribute) => [
-						attribute.name,
-						attribute.value || null,
-					])
-				);
-
-				const parametersNode = Converter.getNamedTag(instanceXml, "parameters") || null;
-				const parameterNodes = parametersNode
-					? Converter.getNamedTags(
-							parametersNode,
-							"parameter",
-							(param) => param.getAttribute && param.getAttribute("visible") == "true"
-					  )
-					: [];
-				/** @type {Map<string,string>} */ // parameters, e.g. V for the voltage of a source
+				/** @type {Map<string,string>} */ // visible parameters, e.g. V for the voltage of a source
 				const parameters = new Map(
-					parameterNodes.map((param) => {
-						const key = param.getAttribute("name");
-						const parameterParserSetting = this.#parameterParserSettings.get(key);
-						let value = param.getAttribute("value");
-						if (parameterParserSetting && parameterParserSetting.parse)
-							atoLaTex(value, parameterParserSetting.suggestedUnit, parameterParserSetting.forceUnit);
-						return [key, value];
-					})
+					instance.parameters
+						.filter((param) => param.visible)
+						.map((param) => {
+							const parameterParserSetting = this.#parameterParserSettings.get(param.name);
+							let value = param.value || "";
+							if (value && parameterParserSetting && parameterParserSetting.parse)
+								value = atoLaTex(
+									value,
+									parameterParserSetting.suggestedUnit,
+									parameterParserSetting.forceUnit
+								);
+							return [param.name, value];
+						})
 				);
 
-				// get placement
-				// <abl:PlacementTransform x="1.50000" y="-0.12500" angle="0.00000" xScale="1.00000" yScale="1.00000" mirrorX="false" mirrorY="false"/>
-				const placementXml = Converter.getNamedTag(instanceXml, "placementtransform");
-
 				/** struct containing all placement information */
-				const placement = placementXml
-					? {
-							x: parseFloat(placementXml.getAttribute("x")) || 0,
-							y: parseFloat(placementXml.getAttribute("y")) || 0,
-							angle: parseFloat(placementXml.getAttribute("angle")) || 0,
-							xScale: parseFloat(placementXml.getAttribute("xScale")) || 1,
-							yScale: parseFloat(placementXml.getAttribute("yScale")) || 1,
-							mirrorX: placementXml.getAttribute("mirrorX") == "true",
-							mirrorY: placementXml.getAttribute("mirrorY") == "true",
-							scaling: scale,
-					  }
-					: {
-							x: 0,
-							y: 0,
-							angle: 0,
-							xScale: 1,
-							yScale: 1,
-							mirrorX: 1,
-							mirrorY: 1,
-							scaling: scale,
-					  };
+				const placement = { ...instance.placement, scaling: scale };
 
 				// get pins (no coord yet)
-				const instPinsXml = Converter.getNamedTag(instanceXml, "instpins");
-				const instPinArray = instPinsXml ? Converter.getNamedTags(instPinsXml, "instpin") : [];
-				const pins = instPinArray.map((pinXml) => {
-					const instTermNumber = Number.parseInt(pinXml.getAttribute("instTermNumber")) || 0;
-					const pinName = pinXml.getAttribute("pinName") || "";
-					const netNameNode = Converter.getNamedTag(pinXml, "net");
-					let netName = netNameNode ? netNameNode.getAttribute("name") || "" : "";
-					if (!netName) netName = uuid();
+				const pins = instance.pins.map((importedPin) => {
+					let netName = importedPin.netName;
+					const generated = !netName;
+					if (generated) netName = uuid();
 					let net = this.#nets.get(netName);
-					if (!net) this.#nets.set(netName, (net = new Net(netName)));
+					if (!net) this.#nets.set(netName, (net = new Net(netName, [], [], generated)));
 
-					return new Pin(null, pinName, instTermNumber, net);
+					const pin = new Pin(null, importedPin.pinName, importedPin.instTermNumber, net);
+					net.pins.push(pin);
+					return pin;
 				});
 
+				// pins of a mapping file must match the instance, else their positions are lost
+				const mappedStencil = componentMap.get(libraryName + ":" + cellName) || componentMap.get(cellName);
+				if (componentStencil === mappedStencil && Array.isArray(componentStencil.pins)) {
+					const unusedPins = componentStencil.pins.filter(
+						(stencilPin) => !pins.some((pin) => Pin.matches(stencilPin, pin))
+					);
+					if (unusedPins.length > 0) {
+						this.#diagnostics.warning(
+							"unused-mapping-pin",
+							"Drawing generic block for " +
+								instanceName +
+								(unusedPins.length > 1 ? ": the pins " : ": the pin ") +
+								unusedPins
+									.map((stencilPin) => '"' + (stencilPin.name || stencilPin.instTermNumber) + '"')
+									.join(", ") +
+								" of the mapping for " +
+								libraryName +
+								":" +
+								cellName +
+								(unusedPins.length > 1 ? " match" : " matches") +
+								" no pin of the instance",
+							{ instanceName: instanceName, context: instance.context }
+						);
+						componentStencil = TIKZ_COMPONENTS.block;
+					}
+				}
+
+				// pin positions of the instance or of the symbol view (if exported)
+				const symbolPins =
+					(instance.pins.length > 0 &&
+						instance.pins.every((importedPin) => importedPin.position) &&
+						instance.pins.map(
+							(importedPin) =>
+								new Pin(
+									new Coordinate(importedPin.position.x, importedPin.position.y),
+									importedPin.pinName,
+									importedPin.instTermNumber,
+									null
+								)
+						)) ||
+					pinGeometries.get(libraryName + ":" + cellName) ||
+					pinGeometries.get(cellName) ||
+					null;
+
 				// stencil --> component
 				/** @type {Component | Component[] | null} */
 				const component = componentStencil.useAsStencil(
 					libraryName,
 					cellName,
 					instanceName,
-					attributes,
+					instance.attributes,
 					pins,
 					placement,
 					this.#wires,
 					this.#nets,
-					this.#coords
+					this.#coords,
+					symbolPins
 				);
 
 				if (component) {
-					if (Array.isArray(component)) component.forEach((item) => components.push(item));
-					else components.push(component);
+					const values = Object.fromEntries(parameters);
+					const source = {
+						libraryName: libraryName,
+						cellName: cellName,
+						parameters: Object.fromEntries(
+							instance.parameters.map((param) => [param.name, param.value || ""])
+						),
+					};
+					for (const item of Array.isArray(component) ? component : [component]) {
+						item.values = values;
+						item.source = source;
+						if (componentStencil.labelOptions) item.labelOptions = componentStencil.labelOptions;
+						if (item.debugMarkers) this.#debugMarkers.push(...item.debugMarkers);
+						components.push(item);
+					}
 				}
 
 				// still in reduce --> return array for next loop
@@ -261,15 +707,811 @@ class Schematic {
 			},
 			[]
 		);
+
+		// problems of the importer, e.g. invalid coordinates (known after accessing the content)
+		this.#diagnostics.addAll(schematicView.diagnostics || []);
+
+		// 3. Repair wires dragged along by moved pins
+		this.#rerouteMovedPins();
+	}
+
+	/**
+	 * Restores the orthogonality of wires attached to pins, which were moved by their component (transistors move their
+	 * pins to the TikZ anchors, see `Transistor.movedPins`). As the pin coordinate is shared with the wires, the
+	 * adjacent wire segments are dragged along. A segment, which was horizontal or vertical before, becomes so again by
+	 * shifting its other end along the following segment (if that coordinate is not used by anything else) or by
+	 * inserting a corner. Segments, which were diagonal before, are kept and reported.
+	 */
+	#rerouteMovedPins() {
+		for (const component of this.#components) {
+			for (const { pin, from } of component.movedPins || []) {
+				const pinName = pin.name || pin.instTermNumber;
+				this.#diagnostics.debug(
+					"pin-moved",
+					"Moved pin " + pinName + " of " + component.instanceName + " to the TikZ anchor",
+					{ instanceName: component.instanceName, position: Schematic.#roundPosition(pin.coord) }
+				);
+				if (!pin.net) continue;
+				for (const wire of pin.net.wires) {
+					// backwards, as corners may be inserted behind the pin
+					for (let i = wire.coords.length - 1; i >= 0; i--) {
+						if (wire.coords[i] !== pin.coord) continue;
+						for (const neighbourIndex of [i + 1, i - 1]) {
+							if (neighbourIndex < 0 || neighbourIndex >= wire.coords.length) continue;
+							if (!this.#rerouteSegment(wire, i, neighbourIndex, from))
+								this.#diagnostics.warning(
+									"reroute-failed",
+									"Could not reroute wire at pin " +
+										pinName +
+										" of " +
+										component.instanceName +
+										": the segment was not horizontal or vertical",
+									{
+										instanceName: component.instanceName,
+										position: Schematic.#roundPosition(pin.coord),
+									}
+								);
+						}
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Makes a wire segment starting at a moved pin horizontal or vertical again (see {@link rerouteMovedPins}).
+	 *
+	 * @param {Wire} wire - the wire
+	 * @param {number} pinIndex - the index of the pin coordinate in the wire
+	 * @param {number} neighbourIndex - the index of the other end of the segment; `pinIndex` +/- 1
+	 * @param {Coordinate} from - the position of the pin before moving it
+	 * @returns {boolean} true if the segment is horizontal or vertical now; false if it was diagonal before
+	 */
+	#rerouteSegment(wire, pinIndex, neighbourIndex, from) {
+		const tolerance = WireOptimizer.TOLERANCE;
+		const pinCoord = wire.coords[pinIndex];
+		const neighbour = wire.coords[neighbourIndex];
+		if (Math.abs(pinCoord.x - neighbour.x) <= tolerance || Math.abs(pinCoord.y - neighbour.y) <= tolerance)
+			return true; // still orthogonal
+
+		const wasHorizontal = Math.abs(from.y - neighbour.y) <= tolerance;
+		const wasVertical = Math.abs(from.x - neighbour.x) <= tolerance;
+		if (wasHorizontal === wasVertical) return false; // diagonal (or zero length) before
+
+		// shift the neighbour along the next segment, if it is perpendicular and the neighbour is a free corner
+		const next = wire.coords[neighbourIndex + (neighbourIndex - pinIndex)];
+		const isFreeCorner = next && !this.#isUsedElsewhere(neighbour, wire);
+		if (isFreeCorner && wasHorizontal && Math.abs(next.x - neighbour.x) <= tolerance) {
+			if ((next.y - pinCoord.y) * (next.y - neighbour.y) > 0) {
+				neighbour.y = pinCoord.y;
+				return true;
+			}
+		} else if (isFreeCorner && wasVertical && Math.abs(next.y - neighbour.y) <= tolerance) {
+			if ((next.x - pinCoord.x) * (next.x - neighbour.x) > 0) {
+				neighbour.x = pinCoord.x;
+				return true;
+			}
+		}
+
+		// insert a corner: the segment at the pin keeps its direction
+		const corner = wasHorizontal ? new Coordinate(neighbour.x, pinCoord.y) : new Coordinate(pinCoord.x, neighbour.y);
+		wire.coords.splice(Math.max(pinIndex, neighbourIndex), 0, corner);
+		return true;
+	}
+
+	/**
+	 * Checks if a position is used by anything else than a specific wire, i.e. by a pin, a component or another wire.
+	 *
+	 * @param {Coordinate} coord - the coordinate to check
+	 * @param {Wire} wire - the wire to ignore
+	 * @returns {boolean} true if the position is used elsewhere
+	 */
+	#isUsedElsewhere(coord, wire) {
+		const isAtCoord = (other) => !!other && (other === coord || other.equals(coord));
+		return (
+			this.#ports.some((pin) => isAtCoord(pin.coord)) ||
+			this.#components.some(
+				(component) =>
+					(component.pins || []).some((pin) => pin && isAtCoord(pin.coord)) ||
+					isAtCoord(component.coord) ||
+					isAtCoord(component.anchorCoord)
+			) ||
+			this.#wires.some((otherWire) => otherWire !== wire && otherWire.coords.some(isAtCoord))
+		);
+	}
+
+	/**
+	 * Collects all coordinate instances used by the schematic.
+	 *
+	 * @returns {Set<Coordinate>} the coordinates
+	 */
+	#getAllCoords() {
+		/** @type {Set<Coordinate>} */
+		const coords = new Set(this.#coords);
+		this.#wires.forEach((wire) => wire.coords.forEach((coord) => coords.add(coord)));
+		this.#ports.forEach((pin) => pin.coord && coords.add(pin.coord));
+		for (const component of this.#components) {
+			(component.pins || []).forEach((pin) => pin && pin.coord && coords.add(pin.coord));
+			if (component.coord) coords.add(component.coord);
+			if (component.anchorCoord) coords.add(component.anchorCoord);
+		}
+		return coords;
+	}
+
+	/**
+	 * @param {Coordinate} coord - the coordinate
+	 * @returns {{x: number, y: number}} the position rounded to 3 decimal places, e.g. for diagnostics
+	 */
+	static #roundPosition(coord) {
+		return { x: Math.round(coord.x * 1000) / 1000, y: Math.round(coord.y * 1000) / 1000 };
+	}
+
+	/**
+	 * Moves the drawing to the origin and/or snaps all coordinates to a grid. Debug markers are moved to the origin as
+	 * well, but not snapped.
+	 *
+	 * Every coordinate instance is only moved once. Transistors (and other node components with more than one pin)
+	 * have a fixed geometry. Their coordinates are therefore moved together, so that only the component position is
+	 * snapped to the grid. Wires and path components attached in line to their pins are kept in line.
+	 *
+	 * @param {boolean} normalizeOrigin - set to true to move the bounding box to the origin
+	 * @param {number} grid - the grid size; 0 to disable snapping
+	 */
+	#transformCoordinates(normalizeOrigin, grid) {
+		const coords = this.#getAllCoords();
+		if (coords.size === 0) return;
+
+		if (normalizeOrigin) {
+			const min = new Coordinate(
+				Math.min(...[...coords].map((coord) => coord.x)),
+				Math.min(...[...coords].map((coord) => coord.y))
+			);
+			coords.forEach((coord) => coord.subtract(min));
+			this.#debugMarkers.forEach((marker) => marker.coord.subtract(min));
+		}
+
+		if (!(Number.isFinite(grid) && grid > 0)) return;
+		const snap = (value) => Math.round(value / grid) * grid;
+
+		// rigid groups: move all coordinates by the offset of the component position
+		/** @type {{x: Map<Coordinate, number>, y: Map<Coordinate, number>}} */ // replace the snapped positions
+		const locked = { x: new Map(), y: new Map() };
+		for (const component of this.#components) {
+			if (!component.coord || !component.pins || component.pins.length < 2 || !("anchorCoord" in component))
+				continue;
+			const group = new Set([component.coord, component.anchorCoord, ...component.pins.map((pin) => pin.coord)]);
+			group.delete(null);
+			group.delete(undefined);
+			if (![...group].every((coord) => coords.has(coord))) continue; // already moved by another group
+			const offset = new Coordinate(snap(component.coord.x), snap(component.coord.y)).subtract(component.coord);
+			for (const pin of component.pins) {
+				if (!pin || !pin.coord) continue;
+				this.#lockAlignedCoords(pin.coord, "x", pin.coord.x + offset.x, coords, locked);
+				this.#lockAlignedCoords(pin.coord, "y", pin.coord.y + offset.y, coords, locked);
+			}
+			group.forEach((coord) => {
+				coord.add(offset);
+				coords.delete(coord);
+			});
+		}
+
+		coords.forEach((coord) => {
+			coord.x = locked.x.has(coord) ? locked.x.get(coord) : snap(coord.x);
+			coord.y = locked.y.has(coord) ? locked.y.get(coord) : snap(coord.y);
+		});
+	}
+
+	/**
+	 * Keeps wires and path components attached to a pin of a rigid group (see {@link transformCoordinates}) horizontal
+	 * or vertical: coordinates in line with the pin (following the segments) get the new position of the pin on this
+	 * axis instead of the snapped one.
+	 *
+	 * @param {Coordinate} pinCoord - the pin coordinate; not yet moved
+	 * @param {"x"|"y"} axis - the axis to keep, e.g. "y" for horizontal segments
+	 * @param {number} value - the new position of the pin on this axis
+	 * @param {Set<Coordinate>} coords - the coordinates to be snapped; only these are locked
+	 * @param {{x: Map<Coordinate, number>, y: Map<Coordinate, number>}} locked - the locked positions (extended)
+	 */
+	#lockAlignedCoords(pinCoord, axis, value, coords, locked) {
+		const segments = [
+			...this.#wires.flatMap((wire) => wire.coords.slice(1).map((coord, i) => [wire.coords[i], coord])),
+			...this.#components
+				.filter(
+					(component) =>
+						component instanceof PathComponent && component.pins.every((pin) => pin && pin.coord)
+				)
+				.map((component) => component.pins.map((pin) => pin.coord)),
+		];
+		const queue = [pinCoord];
+		while (queue.length > 0) {
+			const coord = queue.shift();
+			for (const [start, end] of segments) {
+				const other = start === coord ? end : end === coord ? start : null;
+				if (!other || !coords.has(other) || locked[axis].has(other)) continue;
+				if (Math.abs(other[axis] - coord[axis]) > WireOptimizer.TOLERANCE) continue;
+				locked[axis].set(other, value);
+				queue.push(other);
+			}
+		}
+	}
+
+	/**
+	 * Merges and simplifies the wires of every net using {@link WireOptimizer}. Pin positions are kept as wire edges.
+	 */
+	#optimizeWires() {
+		this.#wires = [];
+		this.#nets.forEach((net) => {
+			if (net.wires.length === 0) return;
+			const pinCoords = [...net.pins, ...this.#ports.filter((pin) => pin.net === net)]
+				.map((pin) => pin.coord)
+				.filter((coord) => coord);
+			net.wires = WireOptimizer.optimizeNet(net, pinCoords);
+			this.#wires.push(...net.wires);
+		});
+	}
+
+	/**
+	 * Parses the pins of a port instance and searches their positions.
+	 *
+	 * @param {importedInstance} instance - the port instance
+	 * @param {number} scale - the scale factor (inch --> cm)
+	 * @returns {Pin[]} the pins of the port
+	 */
+	#parsePortPins(instance, scale) {
+		let instanceCoord = new Coordinate(scale * instance.placement.x, scale * instance.placement.y);
+		const oldCoord = this.#coords.find((existingCoord) => instanceCoord.equals(existingCoord));
+		if (oldCoord) instanceCoord = oldCoord;
+		else this.#coords.push(instanceCoord);
+
+		const pins = instance.pins.map((importedPin) => {
+			const pin = new Pin(
+				null,
+				importedPin.pinName,
+				importedPin.instTermNumber,
+				this.#nets.get(importedPin.netName) || null
+			);
+			// no stencil --> search near the instance position
+			return pin.findPosition([], null, instanceCoord, this.#wires, this.#nets, this.#coords);
+		});
+
+		// port number: parameter "Num" (may be invisible)
+		const numberParameter = instance.parameters.find((param) => param.name == "Num");
+		this.#portDefinitions.push({
+			name: instance.instanceName,
+			number:
+				(numberParameter && Number.parseInt(numberParameter.value)) || this.#portDefinitions.length + 1,
+			pin: pins[0] || null,
+			pins: pins,
+		});
+		return pins;
+	}
+
+	/**
+	 * Parses the schematic view of a subcircuit and creates the stencil for its instances. The view is parsed with the
+	 * same options, but moved to the origin.
+	 *
+	 * @param {string} cellName - the name of the subcircuit cell
+	 * @param {importedSchematicView} subcircuitView - the schematic view of the cell
+	 * @param {parseOptions} options - the parse options of this schematic
+	 * @returns {Subcircuit} the stencil
+	 * @throws {Error} if the subcircuit contains itself
+	 */
+	#createSubcircuitStencil(cellName, subcircuitView, options) {
+		const parentCells = options.parentCells || [];
+		if (parentCells.includes(cellName))
+			throw new Error('Recursive subcircuit "' + [...parentCells, cellName].join('" --> "') + '"');
+		const schematic = Schematic.fromView(subcircuitView, {
+			...options,
+			normalizeOrigin: true,
+			parentCells: [...parentCells, cellName],
+		});
+		this.#diagnostics.addAll(schematic.diagnostics);
+		return new Subcircuit("", cellName, [], null, schematic, options.hierarchy || "block");
+	}
+
+	/**
+	 * Counts the connections at every position per net.
+	 *
+	 * Every wire end, wire (inner) edge and pin is counted per net and position. A wire passing through a position, i.e.
+	 * an inner edge or a wire end on the segment of another wire, counts twice.
+	 *
+	 * @returns {Map<string, {coord: Coordinate, counts: Map<Net, number>}>} position --> connections per net
+	 */
+	#countConnections() {
+		/** @type {Map<string, {coord: Coordinate, counts: Map<Net, number>}>} */
+		const connections = new Map();
+		const addConnection = (coord, net, count) => {
+			if (!coord) return;
+			const key = coord.serializePosition();
+			let connection = connections.get(key);
+			if (!connection) connections.set(key, (connection = { coord: coord, counts: new Map() }));
+			connection.counts.set(net, (connection.counts.get(net) || 0) + count);
+		};
+
+		for (const wire of this.#wires) {
+			if (wire.coords.length < 2) continue;
+			const lastIndex = wire.coords.length - 1;
+			wire.coords.forEach((coord, i) => addConnection(coord, wire.net, i === 0 || i === lastIndex ? 1 : 2));
+		}
+
+		// wire ends on segments of other wires (T without shared edge)
+		for (const wire of this.#wires) {
+			if (wire.coords.length < 2) continue;
+			for (const end of [wire.coords[0], wire.coords[wire.coords.length - 1]]) {
+				const passingWires = wire.net.wires.filter(
+					(other) =>
+						other !== wire &&
+						other.coords.some((coord, i) => i > 0 && end.isInsideSegment(other.coords[i - 1], coord))
+				);
+				if (passingWires.length > 0) addConnection(end, wire.net, 2 * passingWires.length);
+			}
+		}
+
+		for (const component of this.#components)
+			for (const pin of component.pins || []) if (pin && pin.coord) addConnection(pin.coord, pin.net, 1);
+
+		return connections;
+	}
+
+	/**
+	 * Finds the positions for junction dots and open poles.
+	 *
+	 * Positions with three or more connections of the same net are junctions. Positions of port pins with only one
+	 * wire end are dangling, i.e. poles.
+	 *
+	 * @param {Map<string, {coord: Coordinate, counts: Map<Net, number>}>} connections - result of `#countConnections`
+	 * @returns {{junctions: Coordinate[], poles: Coordinate[]}} the positions of junction dots and open poles
+	 */
+	#findJunctions(connections) {
+		const junctions = [];
+		connections.forEach((connection) => {
+			if ([...connection.counts.values()].some((count) => count >= 3)) junctions.push(connection.coord);
+		});
+
+		const poles = this.#ports
+			.filter((pin) => {
+				const connection = pin.coord && connections.get(pin.coord.serializePosition());
+				if (!connection) return false;
+				const counts = [...connection.counts.values()];
+				return counts.length === 1 && counts[0] === 1;
+			})
+			.map((pin) => pin.coord);
+
+		return { junctions: junctions, poles: poles };
+	}
+
+	/**
+	 * Finds the positions of the labels of all user named nets.
+	 *
+	 * The label is either placed at every dangling wire end of the net, i.e. ends without any other connection, or at
+	 * the middle of the longest wire segment. Nets without dangling ends fall back to the longest segment.
+	 *
+	 * @param {Map<string, {coord: Coordinate, counts: Map<Net, number>}>} connections - result of `#countConnections`
+	 * @param {"ends"|"longest"} placement - where to place the labels
+	 * @returns {{coord: Coordinate, anchor: string, text: string}[]} the labels with the TikZ anchor to use
+	 */
+	#findNetLabels(connections, placement) {
+		const labels = [];
+		this.#nets.forEach((net) => {
+			const text = net.getPrettyName();
+			if (!text || net.wires.length === 0) return;
+
+			if (placement === "ends") {
+				const endLabels = [];
+				for (const wire of net.wires) {
+					if (wire.coords.length < 2) continue;
+					const lastIndex = wire.coords.length - 1;
+					for (const [end, neighbour] of [
+						[wire.coords[0], wire.coords[1]],
+						[wire.coords[lastIndex], wire.coords[lastIndex - 1]],
+					]) {
+						const connection = connections.get(end.serializePosition());
+						const counts = connection ? [...connection.counts.values()] : [];
+						if (counts.length !== 1 || counts[0] !== 1) continue; // not dangling
+
+						// label points away from the wire
+						const direction = end.clone().subtract(neighbour);
+						let anchor;
+						if (Math.abs(direction.x) >= Math.abs(direction.y)) anchor = direction.x >= 0 ? "right" : "left";
+						else anchor = direction.y >= 0 ? "above" : "below";
+						endLabels.push({ coord: end, anchor: anchor, text: text });
+					}
+				}
+				if (endLabels.length > 0) {
+					labels.push(...endLabels);
+					return;
+				}
+			}
+
+			// longest segment
+			let longest = null;
+			for (const wire of net.wires)
+				wire.coords.forEach((coord, i) => {
+					if (i === 0) return;
+					const length = wire.coords[i - 1].getDistance(coord);
+					if (!longest || length > longest.length)
+						longest = { length: length, start: wire.coords[i - 1], end: coord };
+				});
+			if (!longest) return;
+			const horizontal = Math.abs(longest.end.x - longest.start.x) >= Math.abs(longest.end.y - longest.start.y);
+			labels.push({
+				coord: longest.start.clone().add(longest.end).scale(0.5, true),
+				anchor: horizontal ? "above" : "right",
+				text: text,
+			});
+		});
+		return labels;
+	}
+
+	/**
+	 * Finds crossings of wire segments belonging to different nets. For each crossing, the more horizontal segment
+	 * hops over the other one.
+	 *
+	 * @returns {Map<Wire, {segment: number, coord: Coordinate}[]>} the hops per wire
+	 */
+	#findCrossings() {
+		/** @type {Map<Wire, {segment: number, coord: Coordinate}[]>} */
+		const hops = new Map();
+		const addHop = (wire, segment, coord) => {
+			if (!hops.has(wire)) hops.set(wire, []);
+			hops.get(wire).push({ segment: segment, coord: coord });
+		};
+
+		this.#wires.forEach((wireA, indexA) => {
+			for (const wireB of this.#wires.slice(indexA + 1)) {
+				if (wireA.net === wireB.net) continue;
+				for (let i = 1; i < wireA.coords.length; i++) {
+					const [startA, endA] = [wireA.coords[i - 1], wireA.coords[i]];
+					for (let j = 1; j < wireB.coords.length; j++) {
+						const [startB, endB] = [wireB.coords[j - 1], wireB.coords[j]];
+						const crossing = Coordinate.segmentCrossing(startA, endA, startB, endB);
+						if (!crossing) continue;
+
+						// horizontal wire hops over vertical one
+						const horizontalA = Math.abs(endA.x - startA.x) / startA.getDistance(endA);
+						const horizontalB = Math.abs(endB.x - startB.x) / startB.getDistance(endB);
+						if (horizontalA >= horizontalB) addHop(wireA, i - 1, crossing);
+						else addHop(wireB, j - 1, crossing);
+					}
+				}
+			}
+		});
+
+		return hops;
+	}
+
+	/**
+	 * Assigns TikZ names to all coordinates used by wires and components.
+	 *
+	 * Coordinates of user named nets are named after the net, e.g. `n_VDD_1`. Other pin coordinates are named after the
+	 * component and the pin, e.g. `p_R1_P1`. All remaining coordinates are numbered, e.g. `c_1`.
+	 *
+	 * @returns {Coordinate[]} the named coordinates in order of their first use; coordinates at the same position share
+	 * the name of the first one
+	 */
+	#nameCoordinates() {
+		const sanitize = (name) => String(name).replace(/[^a-zA-Z0-9]+/g, "_");
+
+		/** @type {Map<Coordinate, string>} */ // coordinate --> name prefix
+		const prefixes = new Map();
+		const setPrefix = (coord, prefix) => {
+			if (coord && !prefixes.has(coord)) prefixes.set(coord, prefix);
+		};
+
+		// 1. user named nets
+		this.#nets.forEach((net) => {
+			if (net.isGenerated) return;
+			const prefix = "n_" + sanitize(net.netname);
+			net.wires.forEach((wire) => wire.coords.forEach((coord) => setPrefix(coord, prefix)));
+			net.pins.forEach((pin) => setPrefix(pin.coord, prefix));
+		});
+		// 2. pins of components
+		for (const component of this.#components)
+			for (const pin of component.pins || [])
+				if (pin && component.instanceName) {
+					const pinName = sanitize(pin.name || pin.instTermNumber);
+					setPrefix(pin.coord, "p_" + sanitize(component.instanceName) + "_" + pinName);
+				}
+		// 3. everything else
+		this.#wires.forEach((wire) => wire.coords.forEach((coord) => setPrefix(coord, "c")));
+		for (const component of this.#components) {
+			for (const pin of component.pins || []) if (pin) setPrefix(pin.coord, "c");
+			if (component.coord) setPrefix(component.coord, "c");
+		}
+
+		/** @type {Map<string, number>} */ // prefix --> count
+		const counters = new Map();
+		/** @type {Map<string, Coordinate>} */ // position --> named coordinate
+		const positions = new Map();
+		const namedCoords = [];
+		prefixes.forEach((prefix, coord) => {
+			// equal positions (different instances) share the name
+			const samePosition = positions.get(coord.serializePosition());
+			if (samePosition) coord.name = samePosition.name;
+			else {
+				const count = (counters.get(prefix) || 0) + 1;
+				counters.set(prefix, count);
+				coord.name = prefix + "_" + count;
+				positions.set(coord.serializePosition(), coord);
+			}
+			namedCoords.push(coord);
+		});
+		return namedCoords;
+	}
+
+	/**
+	 * Serializes the schematic as a `tikzpicture` environment.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {string[]} the lines of TikZ code
+	 */
+	#serializePicture(options) {
+		/** @type {string[]} */
+		const lines = [];
+		const oldPrecision = Coordinate.precision;
+		Coordinate.precision = options.precision === undefined ? 3 : options.precision;
+
+		const namedCoords = options.namedCoordinates ? this.#nameCoordinates() : [];
+		const debugMarkers = options.debugOverlay ? this.#debugMarkers : [];
+		try {
+			const environment = this.#getEnvironment(options);
+			// layers have to be declared outside of the picture
+			if (debugMarkers.length > 0) lines.push("\\pgfdeclarelayer{debug}", "\\pgfsetlayers{main,debug}");
+			lines.push(environment.begin, ...environment.settings);
+			// define every name once
+			const definitions = namedCoords.filter(
+				(coord, i) => namedCoords.findIndex((other) => other.name === coord.name) === i
+			);
+			for (const coord of definitions)
+				lines.push("\t\\coordinate (" + coord.name + ") at " + coord.serializePosition() + ";");
+			if (namedCoords.length > 0) lines.push(""); // empty line
+
+			// pics of subcircuits (including nested ones) are defined once
+			/** @type {Map<string, Subcircuit>} */ // pic name --> first subcircuit using it
+			const pics = new Map();
+			const collectPics = (schematic) =>
+				schematic.subcircuits.forEach((subcircuit) => {
+					if (subcircuit.mode !== "pic" || pics.has(subcircuit.picName)) return;
+					collectPics(subcircuit.schematic);
+					pics.set(subcircuit.picName, subcircuit);
+				});
+			collectPics(this);
+			pics.forEach((subcircuit) => lines.push(...subcircuit.serializePicDefinition(1, options), ""));
+
+			lines.push(...this.serializeContent(1, options));
+			if (debugMarkers.length > 0)
+				lines.push(
+					"",
+					"\t\\begin{pgfonlayer}{debug}",
+					...debugMarkers.map((marker) => "\t\t" + Schematic.#serializeDebugMarker(marker)),
+					"\t\\end{pgfonlayer}"
+				);
+			lines.push(environment.end);
+		} finally {
+			namedCoords.forEach((coord) => (coord.name = null));
+			Coordinate.precision = oldPrecision;
+		}
+		return lines;
+	}
+
+	/**
+	 * Serializes a debug marker as TikZ command.
+	 *
+	 * @param {debugMarker} marker - the marker
+	 * @returns {string} the TikZ command
+	 */
+	static #serializeDebugMarker(marker) {
+		if (marker.mark === "star")
+			return (
+				"\\node at " +
+				marker.coord.serializePosition() +
+				" {\\color{" +
+				marker.color +
+				"}\\pgfuseplotmark{Mercedes star}};"
+			);
+		return "\\draw[" + marker.color + "] " + marker.coord.serializePosition() + " circle [radius=1.2pt];";
+	}
+
+	/**
+	 * Serializes the content of the picture: wires, components, junctions, poles and net labels. This is used for the
+	 * whole picture as well as for inlined subcircuits.
+	 *
+	 * @param {number} indent - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {string[]} the lines of TikZ code
+	 */
+	serializeContent(indent, options) {
+		const tabs = "\t".repeat(indent);
+		/** @type {string[]} */
+		const lines = [];
+		const hops = options.hops ? this.#findCrossings() : new Map();
+		for (const wire of this.#wires) lines.push(wire.serialize(indent, hops.get(wire), options));
+		if (this.#wires.length > 0 && this.#components.length > 0) lines.push(""); // empty line
+		for (const component of this.#components) lines.push(component.serialize(indent, options));
+
+		const connections = this.#countConnections();
+		const { junctions, poles } = this.#findJunctions(connections);
+		if ((options.junctions !== false && junctions.length > 0) || (options.poles && poles.length > 0))
+			lines.push(""); // empty line
+		if (options.junctions !== false)
+			for (const coord of junctions) lines.push(tabs + "\\node[circ] at " + coord.serializeName() + " {};");
+		if (options.poles)
+			for (const coord of poles) lines.push(tabs + "\\node[ocirc] at " + coord.serializeName() + " {};");
+
+		if (options.netLabels && options.netLabels !== "none") {
+			const netLabels = this.#findNetLabels(connections, options.netLabels);
+			if (netLabels.length > 0) lines.push(""); // empty line
+			for (const label of netLabels)
+				lines.push(
+					tabs + "\\node[" + label.anchor + "] at " + label.coord.serializeName() + " {" + label.text + "};"
+				);
+		}
+		return lines;
+	}
+
+	/**
+	 * Serializes the content of the picture as SVG: wires, components, junctions, poles and net labels. This is used
+	 * for the whole picture as well as for inlined subcircuits.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {string[]} the SVG elements
+	 */
+	serializeSvgContent(options) {
+		const hops = options.hops ? this.#findCrossings() : new Map();
+		const elements = this.#wires.map((wire) => wire.serializeSvg(hops.get(wire)));
+		for (const component of this.#components) elements.push(...component.serializeSvg(options));
+
+		const connections = this.#countConnections();
+		const { junctions, poles } = this.#findJunctions(connections);
+		if (options.junctions !== false)
+			for (const coord of junctions) elements.push(Svg.circle(coord, Svg.NODE_RADIUS, "black"));
+		if (options.poles)
+			for (const coord of poles) elements.push(Svg.circle(coord, Svg.NODE_RADIUS, "white"));
+
+		if (options.netLabels && options.netLabels !== "none")
+			for (const label of this.#findNetLabels(connections, options.netLabels))
+				elements.push(Svg.text(label.coord, label.text, label.anchor));
+		return elements;
+	}
+
+	/**
+	 * Serializes the content of the picture for the Circuit2TikZ designer: wires, components, junctions and poles. Net
+	 * labels are not supported. This is used for the whole picture as well as for inlined subcircuits.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {designerComponent[]} the designer components
+	 */
+	serializeDesignerContent(options) {
+		const components = this.#wires.map((wire) => wire.serializeDesigner());
+		for (const component of this.#components) components.push(...component.serializeDesigner(options));
+
+		const { junctions, poles } = this.#findJunctions(this.#countConnections());
+		if (options.junctions !== false) for (const coord of junctions) components.push(Designer.node("circ", coord));
+		if (options.poles) for (const coord of poles) components.push(Designer.node("ocirc", coord));
+		return components;
+	}
+
+	/**
+	 * Serializes the schematic as SVG document. The view box covers the bounding box plus `Svg.MARGIN`.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {string[]} the lines of the SVG document
+	 */
+	#serializeSvgDocument(options) {
+		const oldPrecision = Coordinate.precision;
+		Coordinate.precision = options.precision === undefined ? 3 : options.precision;
+
+		try {
+			const boxes = [this.getBoundingBox(), ...this.subcircuits.map((subcircuit) => subcircuit.getBoundingBox())]
+				.filter((box) => box);
+			if (boxes.length === 0) boxes.push({ min: new Coordinate(0, 0), max: new Coordinate(0, 0) });
+			const margin = Svg.MARGIN;
+			const left = Math.min(...boxes.map((box) => box.min.x)) - margin;
+			const bottom = Math.min(...boxes.map((box) => box.min.y)) - margin;
+			const right = Math.max(...boxes.map((box) => box.max.x)) + margin;
+			const top = Math.max(...boxes.map((box) => box.max.y)) + margin;
+			const [x, y, width, height] = [left, -top, right - left, top - bottom].map(Coordinate.formatNumber);
+
+			return [
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<svg xmlns="http://www.w3.org/2000/svg" width="' +
+					width +
+					'cm" height="' +
+					height +
+					'cm" viewBox="' +
+					[x, y, width, height].join(" ") +
+					'">',
+				"\t<style>text { fill: black; stroke: none; }</style>",
+				'\t<rect x="' + x + '" y="' + y + '" width="' + width + '" height="' + height + '" fill="white"/>',
+				'\t<g fill="none" stroke="black" stroke-width="' +
+					Svg.STROKE_WIDTH +
+					'" stroke-linecap="round" stroke-linejoin="round" font-family="sans-serif" font-size="' +
+					Svg.FONT_SIZE +
+					'">',
+				...this.serializeSvgContent(options).map((element) => "\t\t" + element),
+				"\t</g>",
+				"</svg>",
+			];
+		} finally {
+			Coordinate.precision = oldPrecision;
+		}
+	}
+
+	/**
+	 * Generates the beginning and end of the picture environment. A `circuitikz` environment is used, if any CircuiTikZ
+	 * style setting is needed, a plain `tikzpicture` otherwise.
+	 *
+	 * @param {serializeOptions} options - settings for the serialization
+	 * @returns {{begin: string, settings: string[], end: string}} the lines to begin and end the environment with
+	 */
+	#getEnvironment(options) {
+		const profile = options.style ? STYLE_PROFILES[options.style] : null;
+		if (options.style && !profile) throw new Error('Unknown style "' + options.style + '"');
+
+		/** @type {string[]} */ // keys for \ctikzset
+		const ctikzKeys = [];
+		if (options.voltageDirection) ctikzKeys.push("voltage dir=" + options.voltageDirection);
+		if (Number.isFinite(options.componentScale) && options.componentScale > 0)
+			for (const group of ["resistors", "capacitors", "inductors", "diodes"])
+				ctikzKeys.push(group + "/scale=" + options.componentScale);
+
+		if (!profile && ctikzKeys.length === 0)
+			return { begin: "\\begin{tikzpicture}", settings: [], end: "\\end{tikzpicture}" };
+		return {
+			begin:
+				"\\begin{circuitikz}" +
+				(profile && profile.environmentOptions.length > 0 ? "[" + profile.environmentOptions.join(", ") + "]" : ""),
+			settings: ctikzKeys.length > 0 ? ["\t\\ctikzset{" + ctikzKeys.join(", ") + "}", ""] : [],
+			end: "\\end{circuitikz}",
+		};
+	}
+
+	/**
+	 * Generates the preamble of a standalone document for the given TikZ code. Only packages and libraries used by the
+	 * code are loaded.
+	 *
+	 * @param {string[]} lines - the lines of TikZ code
+	 * @returns {string[]} the lines of the preamble, starting with `\documentclass`
+	 */
+	static #getPreamble(lines) {
+		const code = lines.join("\n");
+		const preamble = ["\\documentclass[border=2mm]{standalone}"];
+		// xcolor must be loaded before TikZ to accept options
+		if (/\\begin\{pgfonlayer\}\{debug\}/.test(code)) preamble.push("\\usepackage[x11names]{xcolor}");
+		if (/\\(scalebox|rotatebox)\{/.test(code)) preamble.push("\\usepackage{graphicx}");
+		if (/\\(qty|num|si)\{/.test(code)) preamble.push("\\usepackage{siunitx}");
+		preamble.push("\\usepackage{circuitikz}");
+		if (/Rays-|-Rays/.test(code)) preamble.push("\\usetikzlibrary{arrows.meta}");
+		if (/\\pgfuseplotmark\{/.test(code)) preamble.push("\\usetikzlibrary{plotmarks}");
+		return preamble;
+	}
+
+	/**
+	 * Serializes the schematic in the output format selected by `options` (TikZ code by default).
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string[]} the lines (without line breaks)
+	 * @throws {Error} if an option is invalid, e.g. an unknown style
+	 */
+	serializeLines(options = {}) {
+		if (options.outputFormat === "svg") return this.#serializeSvgDocument(options);
+		if (options.outputFormat === "json") return JSON.stringify(this.toJSON(), null, "\t").split("\n");
+		if (options.outputFormat === "designer")
+			return Designer.serializeDocument(this.serializeDesignerContent(options));
+
+		const lines = this.#serializePicture(options);
+		if (!options.standalone) return lines;
+		return [...Schematic.#getPreamble(lines), "", "\\begin{document}", ...lines, "\\end{document}"];
 	}
 
 	/**
-	 * Serializes the schematic and prints it to an writeable stream. The stream won't be closed.
+	 * Serializes the schematic (see `serializeLines`) and prints it to an writeable stream. The stream won't be closed.
 	 *
 	 * @param {writeableStream} out - the stream to write to
+	 * @param {serializeOptions} [options={}] - settings for the serialization
 	 * @throws {Error} on error writing to `out`
 	 */
-	async printToStream(out) {
+	async printToStream(out, options = {}) {
 		/**
 		 * Prints a line to the output stream and returns a promise.
 		 *
@@ -290,11 +1532,7 @@ class Schematic {
 					});
 			});
 
-		await println("\\begin{tikzpicture}");
-		for (const wire of this.#wires) await println(wire.serialize(1)); // indent 1 tab
-		await println(""); // empty line
-		for (const component of this.#components) await println(component.serialize(1)); // indent 1 tab
-		await println("\\end{tikzpicture}");
+		for (const line of this.serializeLines(options)) await println(line);
 	}
 }
 
@@ -0,0 +1,410 @@
+import { Component } from "./component.mjs";
+import { GenericBlock } from "./genericBlock.mjs";
+import { Net } from "./net.mjs";
+import { Pin } from "./pin.mjs";
+import { PotentialComponent } from "./potentialComponent.mjs";
+import { Schematic } from "./schematic.mjs";
+import { Subcircuit } from "./subcircuit.mjs";
+import { atoSpice } from "./physQuantityParser.mjs";
+
+/**
+ * @typedef {object} spiceElementType the SPICE element of a CircuiTikZ component.
+ * @property {"R"|"C"|"L"|"V"|"I"|"D"|"Q"|"M"} letter - the SPICE element letter
+ * @property {string} [modelType] - semiconductors only; the type of the model, e.g. "NPN"
+ * @property {string[]} [anchors] - transistors only; the anchor names (see `Transistor.anchorNames`) in SPICE node
+ * order, e.g. `["C", "B", "E"]`; two poles use the pin order of the component
+ */
+
+/**
+ * @typedef {object} netlistContext state shared by a netlist and its subcircuit definitions.
+ * @property {Map<string, string[]>} subcircuits - subcircuit name --> lines of the `.subckt` definition
+ * @property {Map<string, string>} models - model name --> model type of the used semiconductor models
+ * @property {Set<string>} expressions - values, which could not be parsed and are passed as `{expression}`
+ */
+
+/**
+ * @class Static class for exporting a parsed schematic as SPICE netlist, e.g. for a simulation with ngspice.
+ *
+ * The SPICE element is selected by the CircuiTikZ component (see `ELEMENT_TYPES`), its value is taken from the raw
+ * parameters of the source instance (see `Component.source`). The nodes are named after the nets: grounded nets are
+ * node 0 and nets with generated names are numbered (N001, N002, ...). Subcircuits are written as `X` instance and
+ * are defined once per cell using `.subckt`. Everything, which can't be expressed in SPICE, is written as comment.
+ *
+ * @example
+ * // schematic: parsed using Schematic.fromView
+ * const lines = SpiceNetlist.serialize(schematic, "amp_lna");
+ * process.stdout.write(lines.join("\n") + "\n");
+ * @hideconstructor
+ */
+class SpiceNetlist {
+	/**
+	 * Maps the CircuiTikZ component name to the SPICE element. Components not listed are written as comment.
+	 *
+	 * @constant
+	 * @type {Map<string, spiceElementType>}
+	 */
+	static ELEMENT_TYPES = new Map([
+		// resistors
+		["R", { letter: "R" }],
+		["vR", { letter: "R" }],
+		["pR", { letter: "R" }],
+		["sR", { letter: "R" }],
+		["ldR", { letter: "R" }],
+		["varistor", { letter: "R" }],
+		["phR", { letter: "R" }],
+		["thR", { letter: "R" }],
+		["thRp", { letter: "R" }],
+		["thRn", { letter: "R" }],
+		// capacitors
+		["C", { letter: "C" }],
+		["cC", { letter: "C" }],
+		["eC", { letter: "C" }],
+		["vC", { letter: "C" }],
+		["sC", { letter: "C" }],
+		// inductors
+		["L", { letter: "L" }],
+		["vL", { letter: "L" }],
+		["sL", { letter: "L" }],
+		["cute choke", { letter: "L" }],
+		["cute choke, twolineschoke", { letter: "L" }],
+		// sources
+		["battery", { letter: "V" }],
+		["battery1", { letter: "V" }],
+		["battery2", { letter: "V" }],
+		["vsource", { letter: "V" }],
+		["vsourceAM", { letter: "V" }],
+		["vsourceC", { letter: "V" }],
+		["sV", { letter: "V" }],
+		["dcvsource", { letter: "V" }],
+		["sqV", { letter: "V" }],
+		["isource", { letter: "I" }],
+		["isourceAM", { letter: "I" }],
+		["isourceC", { letter: "I" }],
+		["sI", { letter: "I" }],
+		["dcisource", { letter: "I" }],
+		// semiconductors
+		["Do", { letter: "D", modelType: "D" }],
+		["npn", { letter: "Q", modelType: "NPN", anchors: ["C", "B", "E"] }],
+		["pnp", { letter: "Q", modelType: "PNP", anchors: ["C", "B", "E"] }],
+		["nmos", { letter: "M", modelType: "NMOS", anchors: ["D", "G", "S", "S"] }],
+		["nigfete", { letter: "M", modelType: "NMOS", anchors: ["D", "G", "S", "S"] }],
+		["pmos", { letter: "M", modelType: "PMOS", anchors: ["D", "G", "S", "S"] }],
+		["pigfete", { letter: "M", modelType: "PMOS", anchors: ["D", "G", "S", "S"] }],
+	]);
+
+	/**
+	 * Serializes a schematic as SPICE netlist. Subcircuits are defined before the elements of the schematic; the used
+	 * models and parameters are listed as comment at the end.
+	 *
+	 * @param {Schematic} schematic - the parsed schematic
+	 * @param {string} [title=""] - the title of the netlist, e.g. the cell name
+	 * @returns {string[]} the lines of the netlist (without line breaks)
+	 */
+	static serialize(schematic, title = "") {
+		/** @type {netlistContext} */
+		const context = { subcircuits: new Map(), models: new Map(), expressions: new Set() };
+		const getNodeName = this.#createNodeNamer(schematic);
+		const elements = this.#serializeElements(schematic, getNodeName, context);
+
+		const lines = ["* " + (title || "SPICE netlist")];
+		const ports = this.#getSortedPorts(schematic);
+		if (ports.length > 0)
+			lines.push("* ports: " + ports.map((port) => port.name + " = " + getNodeName(port.net)).join(", "));
+		context.subcircuits.forEach((definition) => lines.push("", ...definition));
+		lines.push("", ...elements);
+
+		if (context.models.size > 0) {
+			lines.push("", "* models used by the schematic; define or .include them:");
+			context.models.forEach((modelType, modelName) => lines.push("*.model " + modelName + " " + modelType));
+		}
+		if (context.expressions.size > 0)
+			lines.push(
+				"",
+				"* values passed as expression; define their parameters using .param:",
+				...[...context.expressions].map((expression) => "*   " + expression)
+			);
+
+		lines.push("", ".end");
+		return lines;
+	}
+
+	/**
+	 * Serializes the components of a schematic.
+	 *
+	 * @param {Schematic} schematic - the parsed schematic
+	 * @param {(net: Net|null) => string} getNodeName - the node namer of the schematic
+	 * @param {netlistContext} context - the shared state
+	 * @returns {string[]} the element and comment lines
+	 */
+	static #serializeElements(schematic, getNodeName, context) {
+		/** @type {string[]} */
+		const lines = [];
+		/** @type {Set<string>} */
+		const supplyNodes = new Set();
+
+		for (const component of schematic.components) {
+			if (component instanceof PotentialComponent) {
+				// grounds are node 0; supplies are just a named net --> note once per net
+				const nodeName = getNodeName(component.net);
+				if (!this.#isGround(component) && nodeName !== "0" && !supplyNodes.has(nodeName)) {
+					supplyNodes.add(nodeName);
+					lines.push("* supply symbol (" + component.tikzComponentName + ") without source: node " + nodeName);
+				}
+			} else lines.push(...this.#serializeComponent(component, getNodeName, context));
+		}
+
+		for (const skipped of schematic.skippedComponents.filter((skipped) => !skipped.drawnAsBlock))
+			lines.push(
+				"* " +
+					skipped.instanceName +
+					" (" +
+					[skipped.libraryName, skipped.cellName].filter((name) => name).join(":") +
+					"): not identified, skipped"
+			);
+
+		return lines;
+	}
+
+	/**
+	 * Serializes a single component (no potentials).
+	 *
+	 * @param {Component} component - the component to serialize
+	 * @param {(net: Net|null) => string} getNodeName - the node namer of the schematic
+	 * @param {netlistContext} context - the shared state
+	 * @returns {string[]} the element line or comments, if the component can't be expressed
+	 */
+	static #serializeComponent(component, getNodeName, context) {
+		/** @type {Pin[]} */
+		const pins = component.pins || [];
+		const parameters = component.source ? component.source.parameters : {};
+
+		if (component instanceof Subcircuit) {
+			const subcircuitName = this.#defineSubcircuit(component, context);
+			const nodes = this.#getSortedPorts(component.schematic).map((port) => {
+				const pin = pins.find((pin) => pin.instTermNumber === port.number);
+				return getNodeName(pin ? pin.net : null);
+			});
+			return [[this.#getElementName("X", component.instanceName), ...nodes, subcircuitName].join(" ")];
+		}
+
+		const elementType =
+			component instanceof GenericBlock ? null : this.ELEMENT_TYPES.get(component.tikzComponentName);
+		if (!elementType)
+			return [
+				"* " +
+					this.#describe(component) +
+					": not supported; pins: " +
+					pins
+						.map((pin) => (pin ? (pin.name || pin.instTermNumber) + "=" + getNodeName(pin.net) : "?"))
+						.join(" "),
+			];
+
+		const { letter, modelType, anchors } = elementType;
+		const nodes = anchors
+			? anchors.map((anchor) => {
+					const pin = pins[component.anchorNames.indexOf(anchor)];
+					return getNodeName(pin ? pin.net : null);
+			  })
+			: pins.slice(0, 2).map((pin) => getNodeName(pin ? pin.net : null));
+		const element = [this.#getElementName(letter, component.instanceName), ...nodes];
+
+		/** @type {string|null} */
+		let value;
+		if (modelType) {
+			value = this.#sanitize(parameters.Model || (component.source && component.source.cellName) || letter);
+			if (!context.models.has(value)) context.models.set(value, modelType);
+		} else if (letter === "V" || letter === "I") value = this.#getSourceValue(parameters, letter, context);
+		else value = this.#getValue(parameters, [letter, "Value"], context);
+
+		if (!value) return ["* " + element.join(" ") + " ; " + this.#describe(component) + ": no value found"];
+		return [[...element, value].join(" ")];
+	}
+
+	/**
+	 * Adds the `.subckt` definition of a subcircuit cell to the context, if not already defined. The nodes of the
+	 * definition are the ports ordered by number.
+	 *
+	 * @param {Subcircuit} subcircuit - an instance of the subcircuit
+	 * @param {netlistContext} context - the shared state
+	 * @returns {string} the name of the subcircuit
+	 */
+	static #defineSubcircuit(subcircuit, context) {
+		const subcircuitName = this.#sanitize(subcircuit.cellName);
+		if (context.subcircuits.has(subcircuitName)) return subcircuitName;
+		context.subcircuits.set(subcircuitName, []); // reserve name
+
+		const ports = this.#getSortedPorts(subcircuit.schematic);
+		const getNodeName = this.#createNodeNamer(
+			subcircuit.schematic,
+			new Map(ports.filter((port) => port.net).map((port) => [port.net, this.#sanitize(port.name)]))
+		);
+		const elements = this.#serializeElements(subcircuit.schematic, getNodeName, context);
+		context.subcircuits.set(subcircuitName, [
+			[".subckt", subcircuitName, ...ports.map((port) => getNodeName(port.net))].join(" "),
+			...elements,
+			".ends " + subcircuitName,
+		]);
+		return subcircuitName;
+	}
+
+	/**
+	 * Creates a function naming the nodes of a schematic. Every net gets a unique name, which is kept for all further
+	 * calls. Missing nets (unconnected pins) get a new name every time.
+	 *
+	 * @param {Schematic} schematic - the parsed schematic
+	 * @param {Map<Net, string>} [presetNames] - names to use for specific nets, e.g. the port names of subcircuits
+	 * @returns {(net: Net|null) => string} the node namer
+	 */
+	static #createNodeNamer(schematic, presetNames = new Map()) {
+		const groundNets = new Set(
+			schematic.components
+				.filter((component) => component instanceof PotentialComponent && this.#isGround(component))
+				.map((component) => component.net)
+		);
+		/** @type {Map<Net, string>} */
+		const nodeNames = new Map();
+		/** @type {Set<string>} */ // lower case; SPICE is case insensitive
+		const usedNames = new Set(["0"]);
+		const getUniqueName = (name) => {
+			let uniqueName = name;
+			for (let i = 2; usedNames.has(uniqueName.toLowerCase()); i++) uniqueName = name + "_" + i;
+			usedNames.add(uniqueName.toLowerCase());
+			return uniqueName;
+		};
+		presetNames.forEach((name, net) => nodeNames.set(net, getUniqueName(name)));
+
+		let generatedCount = 0;
+		return (net) => {
+			if (!net) return getUniqueName("NC");
+			let nodeName = nodeNames.get(net);
+			if (!nodeName) {
+				if (groundNets.has(net) || /^(0|gnd)$/i.test(net.netname)) nodeName = "0";
+				else if (net.isGenerated) nodeName = getUniqueName("N" + String(++generatedCount).padStart(3, "0"));
+				else nodeName = getUniqueName(this.#sanitize(net.netname));
+				nodeNames.set(net, nodeName);
+			}
+			return nodeName;
+		};
+	}
+
+	/**
+	 * Converts the first found parameter to a SPICE value.
+	 *
+	 * @param {Object<string, string>} parameters - the raw parameters of the instance
+	 * @param {string[]} names - the parameter names to search for, in descending priority
+	 * @param {netlistContext} context - the shared state; collects values passed as expression
+	 * @returns {string|null} the SPICE number, an expression like `{Rload}` or null if no parameter was found
+	 */
+	static #getValue(parameters, names, context) {
+		const name = names.find((name) => parameters[name] && parameters[name].trim());
+		if (!name) return null;
+		const rawValue = parameters[name].trim();
+		const value = atoSpice(rawValue);
+		if (value !== null) return value;
+		context.expressions.add(rawValue);
+		return "{" + rawValue + "}";
+	}
+
+	/**
+	 * Builds the value of a voltage or current source. ADS sources use the parameters `Vdc`/`Idc`, `Vac`/`Iac` (with
+	 * `Freq` for a sine) and `Vlow`, `Vhigh`, `Delay`, `Rise`, `Fall`, `Width` and `Period` for pulses. Other formats
+	 * (e.g. KiCad) put the SPICE value in the parameter `Value`.
+	 *
+	 * @param {Object<string, string>} parameters - the raw parameters of the instance
+	 * @param {"V"|"I"} quantity - the quantity of the source
+	 * @param {netlistContext} context - the shared state
+	 * @returns {string|null} the source value, e.g. "DC 5 AC 1" or null if no parameter was found
+	 */
+	static #getSourceValue(parameters, quantity, context) {
+		const getValue = (name) => this.#getValue(parameters, [name], context);
+		/** @type {string[]} */
+		const parts = [];
+
+		const dc = getValue(quantity + "dc");
+		if (dc) parts.push("DC " + dc);
+
+		const ac = getValue(quantity + "ac");
+		if (ac) {
+			parts.push("AC " + ac);
+			const frequency = getValue("Freq");
+			if (frequency) parts.push("SIN(0 " + ac + " " + frequency + ")");
+		}
+
+		if (parameters[quantity + "high"]) {
+			const pulseParameters = [quantity + "low", quantity + "high", "Delay", "Rise", "Fall", "Width", "Period"];
+			parts.push("PULSE(" + pulseParameters.map((name) => getValue(name) || "0").join(" ") + ")");
+		}
+
+		if (parts.length === 0 && parameters.Value && parameters.Value.trim()) {
+			// e.g. "5", "dc 5" or "sin(0 1 1k)"
+			const value = atoSpice(parameters.Value);
+			parts.push(value !== null ? "DC " + value : parameters.Value.trim());
+		}
+
+		return parts.length > 0 ? parts.join(" ") : null;
+	}
+
+	/**
+	 * Builds the SPICE element name of a component. The element letter is prepended, if the instance name does not
+	 * already start with it, e.g. "SRC1" --> "VSRC1".
+	 *
+	 * @param {string} letter - the element letter, e.g. "R"
+	 * @param {string} instanceName - the instance name, e.g. "R1"
+	 * @returns {string} the element name
+	 */
+	static #getElementName(letter, instanceName) {
+		const name = this.#sanitize(instanceName);
+		return name.toUpperCase().startsWith(letter) ? name : letter + name;
+	}
+
+	/**
+	 * Sorts the ports of a schematic by their number.
+	 *
+	 * @param {Schematic} schematic - the parsed schematic
+	 * @returns {{name: string, number: number, net: Net|null}[]} the sorted ports
+	 */
+	static #getSortedPorts(schematic) {
+		return schematic.ports.sort((a, b) => a.number - b.number);
+	}
+
+	/**
+	 * Checks if a potential is a ground symbol.
+	 *
+	 * @param {PotentialComponent} potential - the potential to check
+	 * @returns {boolean} true for grounds, false for supplies
+	 */
+	static #isGround(potential) {
+		return potential.tikzComponentName.endsWith("ground");
+	}
+
+	/**
+	 * Describes a component for comments.
+	 *
+	 * @param {Component} component - the component
+	 * @returns {string} the description, e.g. "R1 (ads_rflib:R)"
+	 */
+	static #describe(component) {
+		const source = component.source
+			? [component.source.libraryName, component.source.cellName].filter((name) => name).join(":")
+			: component.tikzComponentName || "";
+		return (component.instanceName || "unnamed") + (source ? " (" + source + ")" : "");
+	}
+
+	/**
+	 * Converts a name to a SPICE token. Quotes are removed and every other character except for letters, digits, "_",
+	 * "+", "-" and "." is replaced by an underscore.
+	 *
+	 * @param {string} name - the name to convert
+	 * @returns {string} the sanitized name; "_" if nothing is left
+	 */
+	static #sanitize(name) {
+		return (
+			String(name || "")
+				.trim()
+				.replace(/^"(.*)"$/, "$1")
+				.replace(/[^\w+\-.]+/g, "_") || "_"
+		);
+	}
+}
+
+export { SpiceNetlist };
@@ -0,0 +1,62 @@
+/**
+ * @typedef {object} styleProfile a CircuiTikZ style profile.
+ * @property {string[]} environmentOptions - options of the `circuitikz` environment, e.g. `["american"]`
+ * @property {Object<string, string>} componentNames - replacements of TikZ component names, e.g. `{battery: "vsourceAM"}`
+ */
+
+// prettier-ignore
+/**
+ * Enum/map-alike of all (supported) CircuiTikZ style profiles. Generic components like `R` or `L` follow the style of
+ * the environment options, components with a fixed style (e.g. `battery`) are replaced by their counterpart.
+ *
+ * @readonly
+ * @enum {styleProfile}
+ */
+const STYLE_PROFILES = {
+	american: {
+		environmentOptions: ["american"],
+		componentNames: {
+			battery: "vsourceAM",	// ADS V_DC
+			vsource: "vsourceAM",
+			vsourceC: "vsourceAM",
+			isource: "isourceAM",
+			isourceC: "isourceAM",
+		},
+	},
+	european: {
+		environmentOptions: ["european"],
+		componentNames: {
+			battery: "vsource",		// ADS V_DC
+			vsourceAM: "vsource",
+			vsourceC: "vsource",
+			isourceAM: "isource",
+			isourceC: "isource",
+		},
+	},
+	cute: {
+		environmentOptions: ["european", "cute inductors"],
+		componentNames: {
+			battery: "vsourceC",	// ADS V_DC
+			vsource: "vsourceC",
+			vsourceAM: "vsourceC",
+			isource: "isourceC",
+			isourceAM: "isourceC",
+		},
+	},
+};
+
+/**
+ * Applies a style profile to a TikZ component name.
+ *
+ * @example getStyledComponentName("battery", "american"); // returns "vsourceAM"
+ *
+ * @param {string} tikzComponentName - the TikZ component name, e.g. "battery"
+ * @param {string} [style] - the name of the style profile, e.g. "american"; empty for no style
+ * @returns {string} the TikZ component name to use
+ */
+function getStyledComponentName(tikzComponentName, style) {
+	const profile = style ? STYLE_PROFILES[style] : null;
+	return (profile && profile.componentNames[tikzComponentName]) || tikzComponentName;
+}
+
+export { STYLE_PROFILES, getStyledComponentName };
@@ -0,0 +1,303 @@
+import { Component } from "./component.mjs";
+import { Coordinate } from "./coordinate.mjs";
+import { Designer } from "./designer.mjs";
+import { GenericBlock } from "./genericBlock.mjs";
+import { Pin } from "./pin.mjs";
+import { Net } from "./net.mjs";
+import { Svg } from "./svg.mjs";
+import { Wire } from "./wire.mjs";
+
+/**
+ * Class representing an instance of a hierarchical subcircuit, i.e. of another cell of the source file.
+ *
+ * Depending on the mode, the subcircuit is rendered as
+ * - `"block"`: a box (see `GenericBlock`) with the port names as pin labels,
+ * - `"scope"`: its schematic inlined as shifted TikZ `scope` or
+ * - `"pic"`: its schematic as `\pic`, which is defined once per cell.
+ *
+ * Inlined schematics are centered between the instance pins and are not rotated. Every instance pin is connected to
+ * the matching port of the schematic with an orthogonal wire; the ports are labeled with their names.
+ *
+ * @extends GenericBlock
+ */
+class Subcircuit extends GenericBlock {
+	/**
+	 * All supported modes.
+	 *
+	 * @constant
+	 * @type {string[]}
+	 */
+	static MODES = ["block", "scope", "pic"];
+
+	/** @property {Schematic} schematic - the parsed schematic view of the subcircuit cell; its origin is normalized */
+	schematic;
+	/** @property {"block"|"scope"|"pic"} mode - the rendering mode */
+	mode;
+
+	/**
+	 * Generate a Subcircuit or -stencil.
+	 *
+	 * @param {string} [instanceName=""] - the instance name, e.g. "X1"
+	 * @param {string} [cellName=""] - the name of the subcircuit cell, e.g. "amp_lna"
+	 * @param {Pin[]} [pins=[]] - the pins of the component
+	 * @param {Coordinate|null} [coord=null] - the position of the component
+	 * @param {Schematic} schematic - the parsed schematic view of the subcircuit cell
+	 * @param {"block"|"scope"|"pic"} [mode="block"] - the rendering mode
+	 */
+	constructor(instanceName, cellName, pins, coord, schematic, mode = "block") {
+		super(instanceName, cellName, pins, coord);
+		this.schematic = schematic;
+		this.mode = mode;
+		this.showPinNames = true;
+	}
+
+	/**
+	 * The name of the TikZ pic of the subcircuit cell.
+	 *
+	 * @returns {string} the pic name, e.g. "subcircuit-amp_lna"
+	 */
+	get picName() {
+		return "subcircuit-" + this.cellName.replace(/[^a-zA-Z0-9]+/g, "_");
+	}
+
+	/**
+	 * Calculates the position of the inlined schematic, so that it is centered between the instance pins.
+	 *
+	 * @returns {Coordinate} the position of the schematic origin
+	 */
+	#getOrigin() {
+		const coords = this.pins.map((pin) => pin.coord).filter((coord) => coord);
+		const center =
+			coords.length > 0
+				? new Coordinate(
+						(Math.min(...coords.map((coord) => coord.x)) + Math.max(...coords.map((coord) => coord.x))) / 2,
+						(Math.min(...coords.map((coord) => coord.y)) + Math.max(...coords.map((coord) => coord.y))) / 2
+				  )
+				: this.coord || new Coordinate(0, 0);
+		const boundingBox = this.schematic.getBoundingBox();
+		if (!boundingBox) return center;
+		return center.subtract(boundingBox.max.clone().add(boundingBox.min).scale(0.5, true));
+	}
+
+	/**
+	 * Calculates the bounding box of the inlined schematic.
+	 *
+	 * @returns {{min: Coordinate, max: Coordinate}|null} the bounding box; null if the schematic is not inlined (mode
+	 * "block") or empty
+	 */
+	getBoundingBox() {
+		const boundingBox = this.mode !== "block" ? this.schematic.getBoundingBox() : null;
+		if (!boundingBox) return null;
+		const origin = this.#getOrigin();
+		return { min: boundingBox.min.clone().add(origin), max: boundingBox.max.clone().add(origin) };
+	}
+
+	/**
+	 * Serializes a component. The TikZ "source code" is returned.
+	 *
+	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string} the serialized component
+	 */
+	serialize(indent = 0, options = {}) {
+		if (this.mode === "block") return super.serialize(indent, options);
+
+		const tabs = "\t".repeat(indent);
+		const origin = this.#getOrigin();
+		const comment = " % " + this.instanceName + ": " + this.cellName;
+		/** @type {string[]} */
+		const lines = [];
+		if (this.mode === "pic")
+			lines.push(tabs + "\\pic at " + origin.serializePosition() + " {" + this.picName + "};" + comment);
+		else
+			lines.push(
+				tabs + "\\begin{scope}[shift={" + origin.serializePosition() + "}]" + comment,
+				...this.schematic.serializeContent(indent + 1, options),
+				tabs + "\\end{scope}"
+			);
+
+		// connect instance pins and ports
+		const ports = this.schematic.ports;
+		for (const pin of this.pins) {
+			const port = ports.find((port) => port.number === pin.instTermNumber);
+			if (!port || !port.coord) continue;
+			const portCoord = port.coord.clone().add(origin);
+			if (!portCoord.equals(pin.coord))
+				lines.push(tabs + "\\draw " + pin.coord.serializeName() + " -| " + portCoord.serializePosition() + ";");
+			if (port.name)
+				lines.push(
+					tabs +
+						"\\node[above, font=\\tiny] at " +
+						portCoord.serializePosition() +
+						" {" +
+						Component.escapeLaTeX(port.name) +
+						"};"
+				);
+		}
+		return lines.join("\n");
+	}
+
+	/**
+	 * Serializes a component as SVG. Inlined schematics (modes "scope" and "pic") are drawn as shifted group.
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string[]} the SVG elements
+	 */
+	serializeSvg(options = {}) {
+		if (this.mode === "block") return super.serializeSvg(options);
+
+		const origin = this.#getOrigin();
+		const elements = [
+			Svg.comment(this.instanceName + ": " + this.cellName),
+			'<g transform="translate(' + Svg.position(origin) + ')">',
+			...this.schematic.serializeSvgContent(options).map((element) => "\t" + element),
+			"</g>",
+		];
+
+		// connect instance pins and ports
+		const ports = this.schematic.ports;
+		for (const pin of this.pins) {
+			const port = ports.find((port) => port.number === pin.instTermNumber);
+			if (!port || !port.coord) continue;
+			const portCoord = port.coord.clone().add(origin);
+			if (!portCoord.equals(pin.coord))
+				elements.push(Svg.line([pin.coord, new Coordinate(portCoord.x, pin.coord.y), portCoord]));
+			if (port.name) elements.push(Svg.text(portCoord, Component.escapeLaTeX(port.name), "above", true));
+		}
+		return elements;
+	}
+
+	/**
+	 * Serializes a component for the Circuit2TikZ designer (see `Designer`). Inlined schematics (modes "scope" and
+	 * "pic") are flattened, as the designer has no groups. The port names are not supported.
+	 *
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {designerComponent[]} the designer components
+	 */
+	serializeDesigner(options = {}) {
+		if (this.mode === "block") return super.serializeDesigner(options);
+
+		const origin = this.#getOrigin();
+		const components = Designer.translate(this.schematic.serializeDesignerContent(options), origin);
+
+		// connect instance pins and ports
+		const ports = this.schematic.ports;
+		for (const pin of this.pins) {
+			const port = ports.find((port) => port.number === pin.instTermNumber);
+			if (!port || !port.coord) continue;
+			const portCoord = port.coord.clone().add(origin);
+			if (!portCoord.equals(pin.coord))
+				components.push(Designer.wire([pin.coord, new Coordinate(portCoord.x, pin.coord.y), portCoord]));
+		}
+		return components;
+	}
+
+	/**
+	 * Serializes a component for the JSON representation (see `Schematic.toJSON`). The schematic is referenced by the
+	 * cell name and serialized once per cell.
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates, nets and subcircuit schematics
+	 * @returns {componentJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			...super.serializeJson(context),
+			type: "subcircuit",
+			mode: this.mode,
+			schematic: context.subcircuit(this.cellName, this.schematic),
+		};
+	}
+
+	/**
+	 * Creates a component from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {componentJson} json - the component of type "subcircuit"
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets and cell names to the
+	 * subcircuit schematics
+	 * @returns {Subcircuit} the new component
+	 * @throws {Error} if the mode is unknown or a reference is invalid
+	 */
+	static fromJson(json, context) {
+		if (!Subcircuit.MODES.includes(json.mode)) throw new Error('Unknown subcircuit mode "' + json.mode + '"');
+		const subcircuit = new Subcircuit(
+			json.instanceName,
+			json.cellName,
+			(json.pins || []).map((pin) => Pin.fromJson(pin, context)),
+			context.coord(json.coord),
+			context.subcircuit(json.schematic),
+			json.mode
+		);
+		subcircuit.showPinNames = json.showPinNames !== false;
+		return subcircuit.applyJson(json);
+	}
+
+	/**
+	 * Serializes the definition of the pic of the subcircuit cell.
+	 *
+	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {serializeOptions} [options={}] - settings for the serialization
+	 * @returns {string[]} the lines of the definition
+	 */
+	serializePicDefinition(indent = 0, options = {}) {
+		const tabs = "\t".repeat(indent);
+		return [
+			tabs + "\\tikzset{" + this.picName + "/.pic={",
+			...this.schematic.serializeContent(indent + 1, options),
+			tabs + "}}",
+		];
+	}
+
+	/**
+	 * Generate a Subcircuit using `this` as an stencil. The parameters are informations extracted from ABL.
+	 *
+	 * The pins are placed like the ones of a `GenericBlock` and named after the matching ports of the schematic.
+	 *
+	 * @param {string} libraryName - the ABL library name, e.g. "mylib"
+	 * @param {string} cellName - the librarys component name, e.g. "amp_lna"
+	 * @param {string} instanceName - the instance/component name, e.g. "X1"
+	 * @param {Map<string,string>} attributes - map of all (XML) attributes
+	 * @param {Pin[]} pins - the pins with their name and number (position not yet set)
+	 * @param {{x: number, y: number, angle: number, xScale: number, yScale: number, mirrorX: boolean, mirrorY: boolean, scaling: number}} placement - general component placement information
+	 * @param {Wire[]} wires - list of all wires
+	 * @param {Map<string,Net>} nets - list of all nets
+	 * @param {Coordinate[]} coords - list of all coordinates
+	 * @param {Pin[]|null} [symbolPins=null] - pin positions of the ABL symbol view; overwrite the stencil pins
+	 *
+	 * @returns {Subcircuit} the new Subcircuit
+	 */
+	useAsStencil(
+		libraryName,
+		cellName,
+		instanceName,
+		attributes,
+		pins,
+		placement,
+		wires,
+		nets,
+		coords,
+		symbolPins = null
+	) {
+		const block = super.useAsStencil(
+			libraryName,
+			cellName,
+			instanceName,
+			attributes,
+			pins,
+			placement,
+			wires,
+			nets,
+			coords,
+			symbolPins
+		);
+
+		const ports = this.schematic.ports;
+		for (const pin of block.pins) {
+			const port = ports.find((port) => port.number === pin.instTermNumber);
+			if (port && port.name) pin.name = port.name;
+		}
+
+		return new Subcircuit(instanceName, cellName, block.pins, block.coord, this.schematic, this.mode);
+	}
+}
+
+export { Subcircuit };
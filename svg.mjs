@@ -0,0 +1,622 @@
+import { Coordinate } from "./coordinate.mjs";
+import { laTexToText } from "./physQuantityParser.mjs";
+import { STYLE_PROFILES } from "./styles.mjs";
+
+/**
+ * @typedef {object} svgShape a line, polygon or circle of a glyph in its local frame.
+ * @property {[number, number][]} [points] - the points of a line or polygon
+ * @property {boolean} [closed=false] - set to true to close the line (polygon)
+ * @property {boolean} [filled=false] - set to true to fill the polygon or circle
+ * @property {[number, number]} [center] - the center of a circle
+ * @property {number} [radius] - the radius of a circle
+ */
+
+/**
+ * @typedef {object} svgText a text of a glyph in its local frame.
+ * @property {[number, number]} position - the position of the text
+ * @property {string} text - the text (LaTeX)
+ * @property {"center"|"above"|"below"|"left"|"right"} [anchor="center"] - the placement relative to the position
+ * @property {boolean} [small=false] - set to true to use a small font (like `\tiny`)
+ */
+
+/**
+ * @typedef {object} svgGlyph a simple symbol of a component.
+ * @property {number} [halfLength] - path components only: half the length of the symbol; the pins are connected to
+ * (±halfLength, 0) by leads
+ * @property {number} [halfHeight] - path components only: half the height of the symbol; the labels are placed beside
+ * @property {svgShape[]} shapes - the shapes
+ * @property {svgText[]} [texts] - fixed texts of the symbol, e.g. the signs of an op amp
+ * @property {[number, number]} [textPosition] - node components only: position of the node text; it is placed away
+ * from the origin
+ */
+
+/**
+ * A straight line.
+ *
+ * @param {...[number, number]} points - the points of the line
+ * @returns {svgShape}
+ */
+const line = (...points) => ({ points: points });
+
+/**
+ * An axis aligned rectangle.
+ *
+ * @param {number} x1 - the left border
+ * @param {number} y1 - the bottom border
+ * @param {number} x2 - the right border
+ * @param {number} y2 - the top border
+ * @param {boolean} [filled=false] - set to true to fill the rectangle
+ * @returns {svgShape}
+ */
+const rect = (x1, y1, x2, y2, filled = false) => ({
+	points: [
+		[x1, y1],
+		[x2, y1],
+		[x2, y2],
+		[x1, y2],
+	],
+	closed: true,
+	filled: filled,
+});
+
+/**
+ * Approximates an arc by a polyline.
+ *
+ * @param {number} cx - x position of the center
+ * @param {number} cy - y position of the center
+ * @param {number} radius - the radius
+ * @param {number} startAngle - the start angle in degrees
+ * @param {number} endAngle - the end angle in degrees
+ * @param {number} [steps=8] - the number of line segments
+ * @returns {[number, number][]} the points of the arc
+ */
+const arc = (cx, cy, radius, startAngle, endAngle, steps = 8) =>
+	Array.from({ length: steps + 1 }, (_val, i) => {
+		const angle = ((startAngle + ((endAngle - startAngle) * i) / steps) * Math.PI) / 180;
+		return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+	});
+
+/**
+ * An arrow with a filled head.
+ *
+ * @param {[number, number]} from - the start of the arrow
+ * @param {[number, number]} to - the tip of the arrow
+ * @returns {svgShape[]}
+ */
+const arrow = (from, to) => [line(from, to), arrowHead(to, [to[0] - from[0], to[1] - from[1]])];
+
+/**
+ * A filled arrow head.
+ *
+ * @param {[number, number]} tip - the tip of the head
+ * @param {[number, number]} direction - the direction the head points to
+ * @returns {svgShape}
+ */
+const arrowHead = (tip, direction) => {
+	const length = Math.hypot(...direction) || 1;
+	const [dx, dy] = [direction[0] / length, direction[1] / length];
+	const [bx, by] = [tip[0] - 0.12 * dx, tip[1] - 0.12 * dy];
+	return {
+		points: [tip, [bx - 0.05 * dy, by + 0.05 * dx], [bx + 0.05 * dy, by - 0.05 * dx]],
+		closed: true,
+		filled: true,
+	};
+};
+
+const ZIGZAG = [-0.4, -0.35, -0.25, -0.15, -0.05, 0.05, 0.15, 0.25, 0.35, 0.4].map((x, i, xs) => [
+	x,
+	i === 0 || i === xs.length - 1 ? 0 : i % 2 ? 0.15 : -0.15,
+]);
+const BUMPS = [-0.3, -0.1, 0.1, 0.3].flatMap((cx, i) => arc(cx, 0, 0.1, 180, 0).slice(i > 0 ? 1 : 0));
+const SINE = Array.from({ length: 17 }, (_val, i) => [-0.2 + i * 0.025, 0.1 * Math.sin(((i - 8) * Math.PI) / 8)]);
+
+// decorations of resistors, capacitors and inductors
+const VARIABLE = arrow([-0.35, -0.35], [0.35, 0.35]);
+const SENSOR = [line([-0.45, -0.3], [-0.3, -0.3], [0.3, 0.3])];
+const WIPER = arrow([0, 0.5], [0, 0.17]);
+const LIGHT = [...arrow([-0.25, 0.6], [-0.1, 0.3]), ...arrow([0.05, 0.6], [0.2, 0.3])];
+
+/**
+ * A resistor: zig-zag (american) or box (european).
+ *
+ * @param {boolean} european - set to true for the european symbol
+ * @param {svgShape[]} [decorations=[]] - additional shapes
+ * @returns {svgGlyph}
+ */
+const resistor = (european, decorations = []) => ({
+	halfLength: 0.4,
+	halfHeight: 0.15,
+	shapes: [european ? rect(-0.4, -0.15, 0.4, 0.15) : line(...ZIGZAG), ...decorations],
+});
+
+/**
+ * An inductor: bumps (american) or filled box (european).
+ *
+ * @param {boolean} european - set to true for the european symbol
+ * @param {svgShape[]} [decorations=[]] - additional shapes
+ * @returns {svgGlyph}
+ */
+const inductor = (european, decorations = []) => ({
+	halfLength: 0.4,
+	halfHeight: european ? 0.1 : 0.2,
+	shapes: [european ? rect(-0.4, -0.1, 0.4, 0.1, true) : line(...BUMPS), ...decorations],
+});
+
+/**
+ * A capacitor with two straight plates.
+ *
+ * @param {svgShape[]} [decorations=[]] - additional shapes
+ * @returns {svgGlyph}
+ */
+const capacitor = (decorations = []) => ({
+	halfLength: 0.06,
+	halfHeight: 0.3,
+	shapes: [line([-0.06, -0.3], [-0.06, 0.3]), line([0.06, -0.3], [0.06, 0.3]), ...decorations],
+});
+
+/**
+ * A round source.
+ *
+ * @param {svgShape[]} [decorations=[]] - shapes inside the circle
+ * @returns {svgGlyph}
+ */
+const source = (decorations = []) => ({
+	halfLength: 0.3,
+	halfHeight: 0.3,
+	shapes: [{ center: [0, 0], radius: 0.3 }, ...decorations],
+});
+
+/**
+ * A battery cell: long plate and short, thick plate.
+ *
+ * @param {number} x - the position of the long plate
+ * @returns {svgShape[]}
+ */
+const batteryCell = (x) => [line([x, -0.3], [x, 0.3]), rect(x + 0.1, -0.15, x + 0.14, 0.15, true)];
+
+/**
+ * Glyphs of path components by TikZ component name. The european flag selects the european symbol, if any.
+ *
+ * @type {Object<string, function(boolean): svgGlyph>}
+ */
+const PATH_GLYPHS = {
+	R: (european) => resistor(european),
+	vR: (european) => resistor(european, VARIABLE),
+	pR: (european) => resistor(european, WIPER),
+	sR: (european) => resistor(european, SENSOR),
+	ldR: (european) => resistor(european, LIGHT),
+	varistor: (european) => resistor(european, SENSOR),
+	phR: (european) => resistor(european, LIGHT),
+	thR: (european) => resistor(european, SENSOR),
+	thRp: (european) => resistor(european, SENSOR),
+	thRn: (european) => resistor(european, SENSOR),
+
+	C: () => capacitor(),
+	cC: () => ({
+		halfLength: 0.06,
+		halfHeight: 0.3,
+		shapes: [line([-0.06, -0.3], [-0.06, 0.3]), line(...arc(0.56, 0, 0.5, 143, 217))],
+	}),
+	eC: () => ({
+		halfLength: 0.12,
+		halfHeight: 0.3,
+		shapes: [line([-0.12, -0.3], [-0.12, 0.3]), rect(0.04, -0.3, 0.12, 0.3, true)],
+	}),
+	vC: () => capacitor(VARIABLE),
+	sC: () => capacitor(SENSOR),
+	PZ: () => ({
+		halfLength: 0.15,
+		halfHeight: 0.3,
+		shapes: [line([-0.15, -0.3], [-0.15, 0.3]), line([0.15, -0.3], [0.15, 0.3]), rect(-0.08, -0.2, 0.08, 0.2)],
+	}),
+	cpe: () => ({
+		halfLength: 0.1,
+		halfHeight: 0.25,
+		shapes: [line([-0.2, 0.25], [-0.1, 0], [-0.2, -0.25]), line([0, 0.25], [0.1, 0], [0, -0.25])],
+	}),
+	feC: () => capacitor([line([-0.2, -0.35], [0.2, 0.35])]),
+
+	L: (european) => inductor(european),
+	vL: (european) => inductor(european, VARIABLE),
+	sL: (european) => inductor(european, SENSOR),
+	"cute choke": () => inductor(false, [line([-0.4, 0.25], [0.4, 0.25])]),
+	"cute choke, twolineschoke": () =>
+		inductor(false, [line([-0.4, 0.25], [0.4, 0.25]), line([-0.4, 0.32], [0.4, 0.32])]),
+
+	Do: () => ({
+		halfLength: 0.2,
+		halfHeight: 0.2,
+		shapes: [{ points: [[-0.2, 0.2], [0.2, 0], [-0.2, -0.2]], closed: true }, line([0.2, 0.2], [0.2, -0.2])],
+	}),
+
+	battery: () => ({ halfLength: 0.19, halfHeight: 0.3, shapes: [...batteryCell(-0.19), ...batteryCell(0.05)] }),
+	battery1: () => ({ halfLength: 0.07, halfHeight: 0.3, shapes: batteryCell(-0.07) }),
+	battery2: () => ({ halfLength: 0.07, halfHeight: 0.3, shapes: batteryCell(-0.07) }),
+
+	vsource: () => source([line([-0.3, 0], [0.3, 0])]),
+	vsourceAM: () =>
+		source([line([-0.15, -0.06], [-0.15, 0.06]), line([0.09, 0], [0.21, 0]), line([0.15, -0.06], [0.15, 0.06])]),
+	vsourceC: () => source([line([-0.3, 0], [0.3, 0])]),
+	isource: () => source([line([0, -0.3], [0, 0.3])]),
+	isourceAM: () => source(arrow([-0.2, 0], [0.2, 0])),
+	isourceC: () => source([line([0, -0.3], [0, 0.3])]),
+	sV: () => source([line(...SINE)]),
+	sI: () => source([line(...SINE)]),
+	dcvsource: () => source([line([-0.05, -0.15], [-0.05, 0.15]), line([0.05, -0.15], [0.05, 0.15])]),
+	dcisource: () => source(arrow([-0.2, 0], [0.2, 0])),
+	sqV: () =>
+		source([line([-0.2, -0.1], [-0.1, -0.1], [-0.1, 0.1], [0.1, 0.1], [0.1, -0.1], [0.2, -0.1])]),
+
+	amp: () => ({
+		halfLength: 0.4,
+		halfHeight: 0.35,
+		shapes: [{ points: [[-0.4, 0.35], [0.4, 0], [-0.4, -0.35]], closed: true }],
+	}),
+	twoport: () => ({ halfLength: 0.4, halfHeight: 0.3, shapes: [rect(-0.4, -0.3, 0.4, 0.3)] }),
+};
+
+const GROUND_BARS = [
+	line([-0.25, -0.15], [0.25, -0.15]),
+	line([-0.16, -0.23], [0.16, -0.23]),
+	line([-0.07, -0.31], [0.07, -0.31]),
+];
+
+/**
+ * Glyphs of node components by TikZ component name. The origin is the node position; unknown grounds use `ground`.
+ *
+ * @type {Object<string, svgGlyph>}
+ */
+const NODE_GLYPHS = {
+	ground: { shapes: [line([0, 0], [0, -0.15]), ...GROUND_BARS] },
+	tlground: { shapes: GROUND_BARS.map((bar) => line(...bar.points.map(([x, y]) => [x, y + 0.15]))) },
+	rground: { shapes: [line([0, 0], [0, -0.15]), line([-0.25, -0.15], [0.25, -0.15])] },
+	sground: { shapes: [line([0, 0], [0, -0.15]), { points: [[-0.25, -0.15], [0.25, -0.15], [0, -0.4]], closed: true }] },
+	tground: { shapes: [rect(-0.25, -0.05, 0.25, 0, true)] },
+	vcc: { shapes: [line([0, 0], [0, 0.3]), line([-0.1, 0.2], [0, 0.3], [0.1, 0.2])], textPosition: [0, 0.3] },
+	vee: { shapes: [line([0, 0], [0, -0.3]), line([-0.1, -0.2], [0, -0.3], [0.1, -0.2])], textPosition: [0, -0.3] },
+};
+
+/**
+ * @class Static class for serializing schematics as SVG. It contains the drawing primitives and the simple symbols
+ * (glyphs) of the components, which are used by the `serializeSvg` methods of the components and the schematic.
+ *
+ * The SVG uses the TikZ coordinates in cm with the y axis flipped. Thus, the geometry matches the TikZ output one to
+ * one, just the symbols are simplified.
+ *
+ * @example
+ * Svg.line([new Coordinate(0, 0), new Coordinate(1, 0)]); // returns '<polyline points="0,0 1,0"/>'
+ * @hideconstructor
+ */
+class Svg {
+	/**
+	 * Line width in cm (like TikZ "semithick").
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static STROKE_WIDTH = 0.02;
+
+	/**
+	 * Radius of junction dots and open poles in cm.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static NODE_RADIUS = 0.06;
+
+	/**
+	 * Space around the bounding box of the schematic in cm. Symbols and labels may exceed the bounding box of the
+	 * coordinates.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static MARGIN = 1;
+
+	/**
+	 * Font size in cm.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static FONT_SIZE = 0.35;
+
+	/**
+	 * Font size of small texts (like `\tiny`) in cm.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static SMALL_FONT_SIZE = 0.2;
+
+	/**
+	 * Distance of a text to its position in cm.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static TEXT_DISTANCE = 0.1;
+
+	/**
+	 * Serializes a position as SVG point. The y axis is flipped.
+	 *
+	 * @param {Coordinate} coord - the position
+	 * @returns {string} the point, e.g. "1,-2"
+	 */
+	static position(coord) {
+		return Coordinate.formatNumber(coord.x) + "," + Coordinate.formatNumber(-coord.y);
+	}
+
+	/**
+	 * Serializes a line or polygon.
+	 *
+	 * @param {Coordinate[]} coords - the points
+	 * @param {boolean} [closed=false] - set to true for a polygon
+	 * @param {boolean} [filled=false] - set to true to fill the polygon
+	 * @returns {string} the SVG element
+	 */
+	static line(coords, closed = false, filled = false) {
+		return (
+			(closed ? "<polygon" : "<polyline") +
+			' points="' +
+			coords.map((coord) => this.position(coord)).join(" ") +
+			'"' +
+			(filled ? ' fill="black"' : "") +
+			"/>"
+		);
+	}
+
+	/**
+	 * Serializes a circle.
+	 *
+	 * @param {Coordinate} coord - the center
+	 * @param {number} radius - the radius
+	 * @param {"none"|"black"|"white"} [fill="none"] - the fill color
+	 * @returns {string} the SVG element
+	 */
+	static circle(coord, radius, fill = "none") {
+		return (
+			'<circle cx="' +
+			Coordinate.formatNumber(coord.x) +
+			'" cy="' +
+			Coordinate.formatNumber(-coord.y) +
+			'" r="' +
+			radius +
+			'"' +
+			(fill !== "none" ? ' fill="' + fill + '"' : "") +
+			"/>"
+		);
+	}
+
+	/**
+	 * Serializes a text. The LaTeX text is converted to plain text with subscripts.
+	 *
+	 * @param {Coordinate} coord - the position
+	 * @param {string} text - the text (LaTeX)
+	 * @param {"center"|"above"|"below"|"left"|"right"} [anchor="center"] - the placement relative to the position,
+	 * like the TikZ node options
+	 * @param {boolean} [small=false] - set to true to use a small font (like `\tiny`)
+	 * @returns {string} the SVG element
+	 */
+	static text(coord, text, anchor = "center", small = false) {
+		const distance = anchor === "center" ? 0 : this.TEXT_DISTANCE;
+		const offsets = { center: [0, 0], above: [0, 1], below: [0, -1], left: [-1, 0], right: [1, 0] };
+		const [dx, dy] = offsets[anchor] || offsets.center;
+		const textAnchor = anchor === "left" ? "end" : anchor === "right" ? "start" : "middle";
+		const baseline = anchor === "above" ? "text-after-edge" : anchor === "below" ? "text-before-edge" : "central";
+		return (
+			'<text x="' +
+			Coordinate.formatNumber(coord.x + dx * distance) +
+			'" y="' +
+			Coordinate.formatNumber(-(coord.y + dy * distance)) +
+			'" text-anchor="' +
+			textAnchor +
+			'" dominant-baseline="' +
+			baseline +
+			'"' +
+			(small ? ' font-size="' + this.SMALL_FONT_SIZE + '"' : "") +
+			">" +
+			this.laTexToMarkup(text) +
+			"</text>"
+		);
+	}
+
+	/**
+	 * Finds the TikZ like anchor of a text, which should be placed in a direction.
+	 *
+	 * @param {Coordinate} direction - the direction
+	 * @returns {"above"|"below"|"left"|"right"} the anchor
+	 */
+	static getAnchor(direction) {
+		if (Math.abs(direction.x) > Math.abs(direction.y) + 1e-9) return direction.x > 0 ? "right" : "left";
+		return direction.y >= 0 ? "above" : "below";
+	}
+
+	/**
+	 * Creates a function, which converts positions of a local frame to coordinates.
+	 *
+	 * @param {Coordinate} origin - the origin of the frame
+	 * @param {Coordinate} xAxis - the x axis (unit vector)
+	 * @param {Coordinate} [yAxis] - the y axis (unit vector); default: the x axis rotated by 90°
+	 * @returns {function([number, number]): Coordinate} the conversion
+	 */
+	static frame(origin, xAxis, yAxis = new Coordinate(-xAxis.y, xAxis.x)) {
+		return ([x, y]) => new Coordinate(origin.x + x * xAxis.x + y * yAxis.x, origin.y + x * xAxis.y + y * yAxis.y);
+	}
+
+	/**
+	 * Serializes the shapes of a glyph.
+	 *
+	 * @param {svgShape[]} shapes - the shapes
+	 * @param {function([number, number]): Coordinate} frame - the conversion of the local positions (see `frame`)
+	 * @param {number} [scale=1] - the factor to scale circles with
+	 * @returns {string[]} the SVG elements
+	 */
+	static shapes(shapes, frame, scale = 1) {
+		return shapes.map((shape) =>
+			shape.center
+				? this.circle(frame(shape.center), shape.radius * scale, shape.filled ? "black" : "none")
+				: this.line(shape.points.map(frame), shape.closed, shape.filled)
+		);
+	}
+
+	/**
+	 * Gets the glyph of a path component.
+	 *
+	 * @param {string} tikzComponentName - the (styled) TikZ component name, e.g. "R"
+	 * @param {string} [style] - the name of the style profile, e.g. "european"; selects box resistors and inductors
+	 * @returns {svgGlyph} the glyph; a box for unknown components
+	 */
+	static getPathGlyph(tikzComponentName, style) {
+		const profile = style ? STYLE_PROFILES[style] : null;
+		const european = !!profile && profile.environmentOptions.includes("european");
+		return (PATH_GLYPHS[tikzComponentName] || PATH_GLYPHS.twoport)(european);
+	}
+
+	/**
+	 * Gets the glyph of a node component.
+	 *
+	 * @param {string} tikzComponentName - the TikZ component name, e.g. "ground"
+	 * @returns {svgGlyph|null} the glyph; null if unknown
+	 */
+	static getNodeGlyph(tikzComponentName) {
+		if (NODE_GLYPHS[tikzComponentName]) return NODE_GLYPHS[tikzComponentName];
+		return tikzComponentName.endsWith("ground") ? NODE_GLYPHS.ground : null;
+	}
+
+	/**
+	 * Gets the glyph of a transistor or op amp. The local frame has its origin at the crossing of the top-bottom line
+	 * and the tap line. The y axis points to the top pin, the tap (except of op amps) lies on the negative x axis.
+	 *
+	 * @param {string} tikzComponentName - the TikZ component name, e.g. "npn"
+	 * @param {string[]} anchorNames - top, bottom and tap pin name
+	 * @param {number} top - the y position of the top pin
+	 * @param {number} bottom - the y position of the bottom pin
+	 * @param {number} tap - the x position of the tap pin
+	 * @returns {svgGlyph|null} the glyph; null if unknown
+	 */
+	static getTransistorGlyph(tikzComponentName, anchorNames, top, bottom, tap) {
+		const mid = (top + bottom) / 2;
+		const halfHeight = (top - bottom) / 2;
+
+		if (tikzComponentName === "op amp") {
+			const halfTriangle = Math.max(0.4 * tap, Math.abs(top) + 0.2, Math.abs(bottom) + 0.2);
+			const [left, right] = [0.15 * tap, 0.85 * tap];
+			return {
+				shapes: [
+					{ points: [[left, halfTriangle], [right, 0], [left, -halfTriangle]], closed: true },
+					line([0, top], [left, top]),
+					line([0, bottom], [left, bottom]),
+					line([right, 0], [tap, 0]),
+				],
+				texts: anchorNames.slice(0, 2).map((name, i) => ({
+					position: [left + 0.12, i === 0 ? top : bottom],
+					text: name === "-" ? "−" : name,
+					small: true,
+				})),
+				textPosition: [(left + right) / 2, 0],
+			};
+		}
+
+		const width = -tap;
+		if (["npn", "pnp"].includes(tikzComponentName)) {
+			const bar = -0.5 * width;
+			const topLead = [[0, top], [0, mid + 0.5 * halfHeight], [bar, mid + 0.2 * halfHeight]];
+			const bottomLead = [[0, bottom], [0, mid - 0.5 * halfHeight], [bar, mid - 0.2 * halfHeight]];
+			// arrow on the emitter: pointing outwards for npn, inwards for pnp
+			const [corner, barEnd] = (anchorNames[0] === "E" ? topLead : bottomLead).slice(1);
+			const [from, to] = tikzComponentName === "npn" ? [barEnd, corner] : [corner, barEnd];
+			const tip = [from[0] + 0.75 * (to[0] - from[0]), from[1] + 0.75 * (to[1] - from[1])];
+			return {
+				shapes: [
+					line([tap, 0], [bar, 0]),
+					line([bar, mid - 0.4 * halfHeight], [bar, mid + 0.4 * halfHeight]),
+					line(...topLead),
+					line(...bottomLead),
+					arrowHead(tip, [to[0] - from[0], to[1] - from[1]]),
+				],
+				textPosition: [0.2, mid],
+			};
+		}
+
+		if (["nmos", "pmos", "nigfete", "pigfete"].includes(tikzComponentName)) {
+			const [gate, channel] = [-0.6 * width, -0.45 * width];
+			const bubble = tikzComponentName.startsWith("p") ? 0.07 : 0;
+			return {
+				shapes: [
+					line([tap, 0], [gate - 2 * bubble, 0]),
+					line([gate, mid - 0.5 * halfHeight], [gate, mid + 0.5 * halfHeight]),
+					line([channel, mid - 0.6 * halfHeight], [channel, mid + 0.6 * halfHeight]),
+					line([0, top], [0, mid + 0.5 * halfHeight], [channel, mid + 0.5 * halfHeight]),
+					line([0, bottom], [0, mid - 0.5 * halfHeight], [channel, mid - 0.5 * halfHeight]),
+					...(bubble ? [{ center: [gate - bubble, 0], radius: bubble }] : []),
+				],
+				textPosition: [0.2, mid],
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * Serializes a comment.
+	 *
+	 * @param {string} text - the text of the comment
+	 * @returns {string} the SVG comment
+	 */
+	static comment(text) {
+		return "<!-- " + this.escape(text).replace(/--/g, "- -") + " -->";
+	}
+
+	/**
+	 * Escapes special characters of a text for XML.
+	 *
+	 * @example Svg.escape("R<1> & more"); // returns "R&lt;1&gt; &amp; more"
+	 *
+	 * @param {string} text - the text to escape
+	 * @returns {string} the escaped text
+	 */
+	static escape(text) {
+		const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+		return String(text).replace(/[&<>"']/g, (char) => entities[char]);
+	}
+
+	/**
+	 * Converts a LaTeX text, as generated for the TikZ output, to the content of an SVG text element. Subscripts of
+	 * math mode are kept, siunitx macros and escaped characters are converted to plain text.
+	 *
+	 * @example Svg.laTexToMarkup("${R}_{1}$, \\qty{50}{\\ohm}"); // returns 'R<tspan ...>1</tspan>, 50 Ω'
+	 *
+	 * @param {string} text - the LaTeX text
+	 * @returns {string} the escaped content
+	 */
+	static laTexToMarkup(text) {
+		// placeholders, which can't be part of the text
+		const [dollar, subStart, subEnd] = ["\u0000", "\u0001", "\u0002"];
+		const specialChars = { textbackslash: "\\", textasciitilde: "~", textasciicircum: "^" };
+
+		const plain = laTexToText(String(text).replace(/\\tiny\s*/g, ""))
+			.replace(/\\\$/g, dollar)
+			.split("$")
+			.map((part, i) =>
+				i % 2 === 0
+					? // text mode
+					  part
+							.replace(/\\(textbackslash|textasciitilde|textasciicircum)\{\}/g, (_m, name) => specialChars[name])
+							.replace(/\\([_%&#{}])/g, "$1")
+					: // math mode
+					  part
+							.replace(/\\mathrm\{([^}]*)\}/g, "$1")
+							.replace(/_\{([^}]*)\}|_([a-zA-Z0-9])/g, (_m, long, short) => subStart + (long || short) + subEnd)
+							.replace(/[{}]/g, "")
+			)
+			.join("")
+			.replace(new RegExp(dollar, "g"), "$");
+
+		return this.escape(plain)
+			.replace(new RegExp(subStart, "g"), '<tspan baseline-shift="sub" font-size="70%">')
+			.replace(new RegExp(subEnd, "g"), "</tspan>");
+	}
+}
+
+export { Svg };
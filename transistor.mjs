@@ -1,6 +1,15 @@
 import { Coordinate } from "./coordinate.mjs";
 import { NodeComponent } from "./nodeComponent.mjs";
 import { Pin } from "./pin.mjs";
+import { Svg } from "./svg.mjs";
+
+/**
+ * @typedef {object} debugMarker a position marked in the debug overlay of the picture (see
+ * `serializeOptions.debugOverlay`).
+ * @property {Coordinate} coord - the marked position (a copy; not moved by snapping to the grid)
+ * @property {string} color - the x11 color name, e.g. "Gold3"
+ * @property {"circle"|"star"} mark - the shape of the marker
+ */
 
 /**
  * Class representing a TikZ transistor.
@@ -11,6 +20,10 @@ import { Pin } from "./pin.mjs";
  * @property {string[]} anchorNames - top, bottom and tap pin name
  * @property {0|1|2|null} anchorNr - the selected anchor; 0=top, 1=bottom, 2=tap; null=use mid
  * @property {string} nodeName - the name of the node
+ * @property {{pin: Pin, from: Coordinate}[]} movedPins - pins, which were moved to the TikZ anchors while mapping, and
+ * their former position; the attached wires are rerouted by the schematic
+ * @property {debugMarker[]} debugMarkers - positions found while mapping: the line crossing (Gold3), the anchors of the
+ * TikZ transistor (Cornsilk4), the pins of the source (SpringGreen4) and the final pins (Turquoise3 star)
  */
 class Transistor extends NodeComponent {
 	#tikzComponentName;
@@ -20,6 +33,8 @@ class Transistor extends NodeComponent {
 	anchorNr;
 	nodeName;
 	anchorCoord;
+	movedPins = [];
+	debugMarkers = [];
 
 	/**
 	 * Generate a TikZ transistor (-stencil).
@@ -135,6 +150,95 @@ class Transistor extends NodeComponent {
 		return this.pins[2].coord.orthogonalProjection(this.pins[0].coord, this.pins[1].coord);
 	}
 
+	/**
+	 * Serializes a transistor as SVG. The outline is built from the pin positions, thus it follows any rotation and
+	 * mirroring. The node text is placed right of the symbol (op amps: inside).
+	 *
+	 * @returns {string[]} the SVG elements; empty if there is no symbol for the component or a pin is missing
+	 */
+	serializeSvg() {
+		const coords = this.pins.map((pin) => pin && pin.coord);
+		if (coords.length < 3 || coords.some((coord) => !coord)) return [];
+		const [top, bottom, tap] = coords;
+		const height = top.getDistance(bottom);
+		if (height === 0) return [];
+
+		const origin = this.lineCrossingCoord;
+		const yAxis = top.clone().subtract(bottom).scale(1 / height, true);
+		const xAxis = new Coordinate(yAxis.y, -yAxis.x);
+		const local = (coord) => [
+			(coord.x - origin.x) * xAxis.x + (coord.y - origin.y) * xAxis.y,
+			(coord.x - origin.x) * yAxis.x + (coord.y - origin.y) * yAxis.y,
+		];
+		// the tap lies left of the body, the output of an op amp right of it --> mirror the frame if needed
+		if ((local(tap)[0] > 0) !== (this.tikzComponentName === "op amp")) xAxis.scale(-1, true);
+
+		const glyph = Svg.getTransistorGlyph(
+			this.tikzComponentName,
+			this.anchorNames,
+			local(top)[1],
+			local(bottom)[1],
+			local(tap)[0]
+		);
+		if (!glyph) return [];
+
+		const frame = Svg.frame(origin, xAxis, yAxis);
+		const elements = Svg.shapes(glyph.shapes, frame);
+		for (const text of glyph.texts || []) elements.push(Svg.text(frame(text.position), text.text, "center", true));
+		if (this.nodeText) {
+			const position = frame(glyph.textPosition);
+			const anchor = this.tikzComponentName === "op amp" ? "center" : Svg.getAnchor(frame([1, 0]).subtract(origin));
+			elements.push(Svg.text(position, this.nodeText, anchor));
+		}
+		return elements;
+	}
+
+	/**
+	 * Serializes a component for the JSON representation (see `Schematic.toJSON`). The moved pins are only needed
+	 * while parsing and are not serialized.
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {componentJson} the JSON object
+	 */
+	serializeJson(context) {
+		return {
+			type: "transistor",
+			tikzComponentName: this.#tikzComponentName,
+			instanceName: this.instanceName,
+			pins: this.pins.map((pin) => pin.serializeJson(context)),
+			anchorNames: [...this.anchorNames],
+			anchorNr: this.anchorNr,
+			anchorCoord: context.coord(this.anchorCoord),
+			nodeName: this.nodeName || "",
+			...super.serializeJson(context),
+		};
+	}
+
+	/**
+	 * Creates a component from its JSON representation (see `Schematic.fromJSON`).
+	 *
+	 * @param {componentJson} json - the component of type "transistor"
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {Transistor} the new component
+	 * @throws {Error} if the transistor has not exactly three pins or a reference is invalid
+	 */
+	static fromJson(json, context) {
+		const pins = (json.pins || []).map((pin) => Pin.fromJson(pin, context));
+		if (pins.length !== 3) throw new Error('Transistor "' + json.instanceName + '" needs exactly 3 pins');
+		return new Transistor(
+			json.tikzComponentName,
+			json.instanceName,
+			pins,
+			json.anchorNames || [],
+			[0, 1, 2].includes(json.anchorNr) ? json.anchorNr : null,
+			context.coord(json.anchorCoord),
+			json.nodeName,
+			json.angle,
+			!!json.mirrorX,
+			!!json.mirrorY
+		).applyJson(json);
+	}
+
 	/**
 	 * Mirror coords/pins around the anchor.
 	 *
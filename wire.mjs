@@ -1,5 +1,7 @@
 import { Net } from "./net.mjs";
 import { Coordinate } from "./coordinate.mjs";
+import { Designer } from "./designer.mjs";
+import { Svg } from "./svg.mjs";
 
 /**
  * Class representing a wire.
@@ -8,6 +10,14 @@ import { Coordinate } from "./coordinate.mjs";
  * @param {Coordinate[]} coords - positions of wire "edges"
  */
 class Wire {
+	/**
+	 * Radius of the arcs used for hopping over crossing wires.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static HOP_RADIUS = 0.15;
+
 	/**
 	 * Generates a wire.
 	 *
@@ -19,18 +29,155 @@ class Wire {
 		this.coords = coords || [];
 	}
 
+	/**
+	 * Serializes the wire for the JSON representation (see `Schematic.toJSON`).
+	 *
+	 * @param {jsonSerializeContext} context - resolves shared coordinates and nets to their index
+	 * @returns {{net: number, coords: number[]}} the JSON object
+	 */
+	serializeJson(context) {
+		return { net: context.net(this.net), coords: this.coords.map(context.coord) };
+	}
+
+	/**
+	 * Creates a wire from its JSON representation (see `Schematic.fromJSON`) and adds it to its net.
+	 *
+	 * @param {{net: number, coords: number[]}} json - the wire
+	 * @param {jsonParseContext} context - resolves indices to the shared coordinates and nets
+	 * @returns {Wire} the new wire
+	 * @throws {Error} if the net is missing or a reference is invalid
+	 */
+	static fromJson(json, context) {
+		const net = context.net(json.net);
+		if (!net) throw new Error("Wire without net");
+		const wire = new Wire(net, (json.coords || []).map(context.coord));
+		net.wires.push(wire);
+		return wire;
+	}
+
 	/**
 	 * Serializes the wire. The TikZ "source code" is returned.
 	 *
+	 * Hops are drawn as half circles bulging upwards (or to the left for vertical segments). Hops too close to an edge
+	 * or to another hop are skipped.
+	 *
 	 * @param {number} [indent=0] - the indention (= amount of tabs) to use
+	 * @param {{segment: number, coord: Coordinate}[]} [hops=[]] - crossings to hop over; segment is the index of the
+	 * segment's start coordinate
+	 * @param {serializeOptions} [options={}] - settings for the serialization; only `debug` is used
 	 * @returns {string} the serislized wire
 	 */
-	serialize(indent = 0) {
+	serialize(indent = 0, hops = [], options = {}) {
+		let path = "";
+		this.coords.forEach((coord, i) => {
+			if (i > 0) {
+				for (const hopCoord of this.#getSegmentHops(i - 1, hops))
+					path += " -- " + this.#serializeHop(this.coords[i - 1], coord, hopCoord);
+				path += " -- ";
+			}
+			path += coord.serializeName();
+		});
+
+		return "\t".repeat(indent) + (options.debug ? "\\draw[Rays-Rays,red] " : "\\draw ") + path + ";";
+	}
+
+	/**
+	 * Serializes the wire as SVG polyline. Hops are approximated like in `serialize`.
+	 *
+	 * @param {{segment: number, coord: Coordinate}[]} [hops=[]] - crossings to hop over; segment is the index of the
+	 * segment's start coordinate
+	 * @returns {string} the SVG element
+	 */
+	serializeSvg(hops = []) {
+		/** @type {Coordinate[]} */
+		const points = [];
+		this.coords.forEach((coord, i) => {
+			if (i > 0) {
+				const start = this.coords[i - 1];
+				const direction = coord.clone().subtract(start).scale(1 / start.getDistance(coord), true);
+				// bulge upwards, or to the left for vertical segments
+				const normal = new Coordinate(-direction.y, direction.x);
+				if (!(normal.y > 1e-9 || (Math.abs(normal.y) <= 1e-9 && normal.x < 0))) normal.scale(-1, true);
+				for (const hopCoord of this.#getSegmentHops(i - 1, hops))
+					for (let step = 0; step <= 8; step++) {
+						const angle = (step * Math.PI) / 8;
+						points.push(
+							hopCoord
+								.clone()
+								.add(direction.clone().scale(-Wire.HOP_RADIUS * Math.cos(angle), true))
+								.add(normal.clone().scale(Wire.HOP_RADIUS * Math.sin(angle), true))
+						);
+					}
+			}
+			points.push(coord);
+		});
+
+		return Svg.line(points);
+	}
+
+	/**
+	 * Serializes the wire for the Circuit2TikZ designer (see `Designer`). The designer has no hops.
+	 *
+	 * @returns {designerComponent} the designer wire
+	 */
+	serializeDesigner() {
+		return Designer.wire(this.coords);
+	}
+
+	/**
+	 * Selects the hops of a segment, which have enough space for their arc. Hops too close to an edge or to another hop
+	 * are skipped.
+	 *
+	 * @param {number} segment - the index of the segment's start coordinate
+	 * @param {{segment: number, coord: Coordinate}[]} hops - crossings to hop over
+	 * @returns {Coordinate[]} the positions of the hops sorted by their distance to the segment start
+	 */
+	#getSegmentHops(segment, hops) {
+		const [start, end] = [this.coords[segment], this.coords[segment + 1]];
+		const segmentHops = hops
+			.filter((hop) => hop.segment === segment)
+			.map((hop) => hop.coord)
+			.sort((a, b) => start.getDistance(a) - start.getDistance(b));
+		let lastDistance = -Infinity;
+		return segmentHops.filter((hopCoord) => {
+			const distance = start.getDistance(hopCoord);
+			if (
+				distance < Wire.HOP_RADIUS ||
+				end.getDistance(hopCoord) < Wire.HOP_RADIUS ||
+				distance - lastDistance < 2 * Wire.HOP_RADIUS
+			)
+				return false; // no space for the arc
+			lastDistance = distance;
+			return true;
+		});
+	}
+
+	/**
+	 * Serializes a single hop as arc.
+	 *
+	 * @param {Coordinate} start - start of the segment
+	 * @param {Coordinate} end - end of the segment
+	 * @param {Coordinate} hopCoord - the crossing position on the segment
+	 * @returns {string} the TikZ code from the arc start to the arc end (without leading "--")
+	 */
+	#serializeHop(start, end, hopCoord) {
+		const direction = end.clone().subtract(start).scale(1 / start.getDistance(end), true);
+		const arcStart = direction.clone().scale(-Wire.HOP_RADIUS, true).add(hopCoord);
+		// angle of the segment direction; the arc runs from the opposite direction to this one
+		const angle = Math.round((Math.atan2(direction.y, direction.x) * 180) / Math.PI);
+		// clockwise (decreasing angle) bulges to angle+90, counter clockwise to angle-90 --> prefer up, then left
+		const bulgeUp = Math.sin(((angle + 90) * Math.PI) / 180);
+		const clockwise = Math.abs(bulgeUp) > 1e-9 ? bulgeUp > 0 : Math.cos(((angle + 90) * Math.PI) / 180) < 0;
+		const startAngle = clockwise ? angle + 180 : angle - 180;
 		return (
-			"\t".repeat(indent) +
-			(global.DEBUG ? "\\draw[Rays-Rays,red] " : "\\draw ") +
-			this.coords.map((coord) => coord.serializeName()).join(" -- ") +
-			";"
+			arcStart.serializeName() +
+			" arc[start angle=" +
+			startAngle +
+			", end angle=" +
+			angle +
+			", radius=" +
+			Wire.HOP_RADIUS +
+			"]"
 		);
 	}
 }
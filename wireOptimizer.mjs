@@ -0,0 +1,173 @@
+import { Coordinate } from "./coordinate.mjs";
+import { Net } from "./net.mjs";
+import { Wire } from "./wire.mjs";
+
+/**
+ * @class Static class for simplifying the wires of a net.
+ *
+ * ADS often splits a single visual wire into many collinear pieces or exports duplicate or overlapping segments. The
+ * optimizer splits all wires of a net into single segments, removes zero-length and duplicate ones and then joins them
+ * to the longest possible polylines. At branches, the polylines continue straight ahead. Collinear inner edges are
+ * removed, unless a pin is placed there.
+ *
+ * @example
+ * // net: the net to optimize; pinCoords: coordinates of all pins
+ * net.wires = WireOptimizer.optimizeNet(net, pinCoords);
+ * @hideconstructor
+ */
+class WireOptimizer {
+	/**
+	 * Maximum distance of two coordinates to be treated as equal.
+	 *
+	 * @constant
+	 * @type {number}
+	 */
+	static TOLERANCE = 1e-9;
+
+	/**
+	 * Optimizes the wires of a net. The net itself is not altered, the new wires are returned instead.
+	 *
+	 * @param {Net} net - the net to optimize
+	 * @param {Coordinate[]} [protectedCoords=[]] - coordinates which must not be removed, e.g. pin positions
+	 * @returns {Wire[]} the new wires of the net
+	 */
+	static optimizeNet(net, protectedCoords = []) {
+		const segments = this.#getSegments(net, protectedCoords);
+
+		/** @type {Map<Coordinate, {start: Coordinate, end: Coordinate}[]>} */ // coordinate --> connected segments
+		const adjacency = new Map();
+		for (const segment of segments)
+			for (const coord of [segment.start, segment.end]) {
+				if (!adjacency.has(coord)) adjacency.set(coord, []);
+				adjacency.get(coord).push(segment);
+			}
+
+		/** @type {Set<{start: Coordinate, end: Coordinate}>} */
+		const visited = new Set();
+		/** @type {Coordinate[][]} */
+		const polylines = [];
+
+		/**
+		 * Follows a chain of segments until a coordinate not connecting exactly two segments is reached.
+		 *
+		 * @param {Coordinate} startCoord - the coordinate to start at
+		 * @param {{start: Coordinate, end: Coordinate}} firstSegment - the first segment to follow
+		 * @returns {Coordinate[]} the polyline
+		 */
+		const walk = (startCoord, firstSegment) => {
+			const polyline = [startCoord];
+			let coord = startCoord;
+			let segment = firstSegment;
+			while (segment && !visited.has(segment)) {
+				visited.add(segment);
+				coord = segment.start === coord ? segment.end : segment.start;
+				polyline.push(coord);
+				const next = adjacency.get(coord);
+				segment = next.length === 2 ? next.find((other) => other !== segment) : null;
+			}
+			return polyline;
+		};
+
+		// open chains start at ends and branches ...
+		adjacency.forEach((coordSegments, coord) => {
+			if (coordSegments.length === 2) return;
+			for (const segment of coordSegments) if (!visited.has(segment)) polylines.push(walk(coord, segment));
+		});
+		// ... closed loops anywhere
+		for (const segment of segments) if (!visited.has(segment)) polylines.push(walk(segment.start, segment));
+
+		// go straight through branches: join polylines ending at a branch in opposite directions
+		adjacency.forEach((coordSegments, coord) => {
+			if (coordSegments.length < 3) return;
+			for (let joined = true; joined; ) {
+				joined = false;
+				const ending = polylines.filter(
+					(polyline) =>
+						polyline[0] !== polyline[polyline.length - 1] &&
+						(polyline[0] === coord || polyline[polyline.length - 1] === coord)
+				);
+				for (let i = 0; i < ending.length && !joined; i++)
+					for (let j = i + 1; j < ending.length && !joined; j++) {
+						// orient: first polyline ends at coord, second one starts there
+						const first = ending[i][0] === coord ? [...ending[i]].reverse() : ending[i];
+						const second = ending[j][0] === coord ? ending[j] : [...ending[j]].reverse();
+						if (!coord.isInsideSegment(first[first.length - 2], second[1], this.TOLERANCE)) continue;
+						polylines.splice(polylines.indexOf(ending[i]), 1);
+						polylines.splice(polylines.indexOf(ending[j]), 1, [...first, ...second.slice(1)]);
+						joined = true;
+					}
+			}
+		});
+
+		return polylines.map((polyline) => new Wire(net, this.#removeCollinearCoords(polyline, protectedCoords)));
+	}
+
+	/**
+	 * Splits the wires of a net into single segments. Segments are split at every wire edge and protected coordinate
+	 * of the net lying on them. Zero-length and duplicate segments are dropped.
+	 *
+	 * @param {Net} net - the net to split
+	 * @param {Coordinate[]} protectedCoords - coordinates which must not be removed, e.g. pin positions
+	 * @returns {{start: Coordinate, end: Coordinate}[]} the segments
+	 */
+	static #getSegments(net, protectedCoords) {
+		/** @type {Coordinate[]} */
+		const netCoords = [...new Set(net.wires.flatMap((wire) => wire.coords))];
+		const splitCoords = [...netCoords, ...protectedCoords.filter((coord) => !netCoords.includes(coord))];
+
+		/** @type {Map<string, {start: Coordinate, end: Coordinate}>} */ // unique key --> segment
+		const segments = new Map();
+		for (const wire of net.wires)
+			wire.coords.forEach((end, i) => {
+				if (i === 0) return;
+				const start = wire.coords[i - 1];
+				// split at inner coordinates (sorted by distance)
+				const innerCoords = splitCoords
+					.filter((coord) => coord.isInsideSegment(start, end, this.TOLERANCE))
+					.sort((a, b) => start.getDistance(a) - start.getDistance(b));
+				[start, ...innerCoords, end].forEach((coord, j, chain) => {
+					if (j === 0) return;
+					const previous = chain[j - 1];
+					if (previous.getDistance(coord) <= this.TOLERANCE) return; // zero-length
+					const key = [previous.serializePosition(), coord.serializePosition()].sort().join(" -- ");
+					if (!segments.has(key)) segments.set(key, { start: previous, end: coord });
+				});
+			});
+
+		// unify equal coordinates, which are different instances
+		/** @type {Map<string, Coordinate>} */
+		const uniqueCoords = new Map();
+		const unify = (coord) => {
+			const key = coord.serializePosition();
+			if (!uniqueCoords.has(key)) uniqueCoords.set(key, coord);
+			return uniqueCoords.get(key);
+		};
+		return [...segments.values()].map((segment) => ({ start: unify(segment.start), end: unify(segment.end) }));
+	}
+
+	/**
+	 * Removes inner coordinates of a polyline, if the coordinates before and after are on a straight line with it.
+	 *
+	 * @param {Coordinate[]} polyline - the polyline
+	 * @param {Coordinate[]} protectedCoords - coordinates which must not be removed, e.g. pin positions
+	 * @returns {Coordinate[]} the simplified polyline
+	 */
+	static #removeCollinearCoords(polyline, protectedCoords) {
+		const isClosed = polyline.length > 2 && polyline[0] === polyline[polyline.length - 1];
+		const result = [];
+		polyline.forEach((coord, i) => {
+			const isEnd = i === 0 || i === polyline.length - 1;
+			if (
+				!isEnd &&
+				!protectedCoords.some((protectedCoord) => protectedCoord.equals(coord)) &&
+				coord.isInsideSegment(result[result.length - 1], polyline[i + 1], this.TOLERANCE)
+			)
+				return; // collinear --> skip
+			result.push(coord);
+		});
+		if (isClosed && result.length < 4) return polyline; // keep degenerated loops untouched
+		return result;
+	}
+}
+
+export { WireOptimizer };